@@ -1,4 +1,5 @@
 const { defineConfig } = require("cypress");
+const { setupSchemaValidator } = require("./src/plugin");
 
 module.exports = defineConfig({
   viewportWidth: 1920,
@@ -8,7 +9,7 @@ module.exports = defineConfig({
   
   e2e: {
     setupNodeEvents(on, config) {
-      // implement node event listeners here
+      return setupSchemaValidator(on, config, { coverage: true, report: true, waivers: 'cypress/fixtures/schema-waivers.json', drift: true, failedPayloads: 'cypress/reports/schema-failures' });
     },
     specPattern: 'cypress/e2e/**/*.{js,jsx,ts,tsx}',
     baseUrl: 'https://www.google.com',
@@ -0,0 +1,64 @@
+/// <reference types="cypress" />
+
+// Import cypress-ajv-schema-validator plugin
+import { registerMismatchesRenderer } from '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+
+
+// The data mismatches are only shown on the UI when running the tests with 'cypress open'
+describe('Data mismatches panel without an API plugin', { env: { enableMismatchesOnUI: true } }, () => {
+
+    it('should show the mismatches of a response in a panel of its own', () => {
+        cy.wrap({ status: 200, body: { id: '10', photoUrls: 'url1' } }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 }, undefined, { mode: 'warn' })
+
+        if (Cypress.config('isInteractive')) {
+            cy.get('#schema-mismatches-panels .schema-mismatches-panel').should('have.length', 1)
+                .and('contain', 'RESPONSE BODY - Number of schema errors: 3')
+                .find('pre.hljs')
+                .should('contain', '⚠️ \'10\' must be integer')
+                .and('contain', '❌ Missing property \'name\'')
+        }
+    })
+
+    it('should show the mismatches of any data in a panel of its own', () => {
+        cy.validateData({ id: 10, name: 'doggie', photoUrls: [], extra: true }, petstoreSchema, { endpoint: '/pet/{petId}' }, undefined, { mode: 'warn', strict: true })
+
+        if (Cypress.config('isInteractive')) {
+            cy.get('#schema-mismatches-panels .schema-mismatches-panel').last()
+                .should('contain', 'DATA - Number of schema errors: 1')
+                .and('contain', '❔ Undocumented property \'extra\'')
+        }
+    })
+
+    it('should show the mismatches with a registered renderer, before the built-in ones', () => {
+        registerMismatchesRenderer({
+            name: 'test-renderer',
+            detect: ({ responseBody }) => responseBody && Cypress.$('body'),
+            render: ($body, { dataMismatches }) => {
+                Cypress.$('<pre id="test-renderer-view"></pre>').text(JSON.stringify(dataMismatches)).appendTo($body)
+            }
+        })
+
+        cy.wrap({ status: 200, body: { id: 10, photoUrls: [] } }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/{petId}' }, undefined, { mode: 'warn' })
+
+        if (Cypress.config('isInteractive')) {
+            cy.get('#test-renderer-view').should('contain', 'Missing property')
+        }
+    })
+
+    it('should only show the schema errors in the Cypress log when a renderer fails', () => {
+        registerMismatchesRenderer({
+            name: 'test-renderer',
+            detect: () => true,
+            render: () => {
+                throw new Error('Renderer failure')
+            }
+        })
+
+        cy.wrap({ status: 200, body: { id: 10, photoUrls: [] } }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/{petId}' }, undefined, { mode: 'warn' })
+    })
+})
@@ -0,0 +1,33 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+import plainJsonSchema from '../fixtures/schemas/plainjson-schema.json'
+
+
+describe('ALL TESTS SHOULD FAIL', () => {
+
+    it('Plain JSON schema - expect() with match.schema and the schema errors in the message', () => {
+        cy.fixture('mock-data-plainjson/fail.json').then((users) => {
+            expect(users).to.match.schema(plainJsonSchema, undefined, { maxErrorsToShow: 3 })
+        })
+    })
+
+    it('Swagger 2.0 - expect() with not.match.schema for valid data', () => {
+        const pet = { id: 10, name: 'doggie', photoUrls: [] }
+
+        expect(pet).not.to.match.schema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+    })
+
+    it('Swagger 2.0 - should() with match.schema retried until the timeout', () => {
+        const pet = { id: '10', name: 'doggie', photoUrls: 'url1' }
+
+        cy.wrap({ status: 200, body: pet }, { log: false }).its('body', { timeout: 1000 })
+            .should('match.schema', petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+    })
+
+    it('Swagger 2.0 - match.schema with a schema file not registered', () => {
+        cy.wrap({ id: 10 }).should('match.schema', 'cypress/fixtures/schemas/petstore-swagger.json', { endpoint: '/pet/{petId}' })
+    })
+})
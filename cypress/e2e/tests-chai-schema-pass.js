@@ -0,0 +1,51 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+import plainJsonSchema from '../fixtures/schemas/plainjson-schema.json'
+
+
+describe('ALL TESTS SHOULD PASS', () => {
+
+    it('Plain JSON schema - expect() with match.schema', () => {
+        cy.fixture('mock-data-plainjson/pass.json').then((users) => {
+            expect(users).to.match.schema(plainJsonSchema)
+        })
+    })
+
+    it('Swagger 2.0 - expect() with not.match.schema', () => {
+        const pet = { id: '10', name: 'doggie' }
+
+        expect(pet).not.to.match.schema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+    })
+
+    it('Swagger 2.0 - should() with match.schema and a registered schema', () => {
+        const pet = { id: 10, name: 'doggie', photoUrls: [] }
+
+        cy.registerSchema('petstore', petstoreSchema)
+        cy.wrap({ status: 200, body: pet }, { log: false }).its('body')
+            .should('match.schema', 'petstore', { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+            .and('not.match.schema', plainJsonSchema)
+            .should((body) => {
+                expect(body.name).to.match(/dog/)
+                expect(body.name).not.to.match(/cat/)
+                expect(body).to.match.schema('petstore', { endpoint: '/pet/{petId}' })
+            })
+    })
+
+    it('The built-in match assertion keeps working as a chainer of should()', () => {
+        cy.wrap('doggie').should('match', /dog/).and('not.match', /cat/)
+    })
+
+    it('Swagger 2.0 - should() with match.schema retried until the data becomes valid', () => {
+        // The pet is completed after a while, as a polling endpoint that eventually becomes consistent
+        const state = { pet: { id: 10, name: 'doggie' } }
+        setTimeout(() => {
+            state.pet.photoUrls = ['url1']
+        }, 1000)
+
+        cy.wrap(state).its('pet')
+            .should('match.schema', petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+    })
+})
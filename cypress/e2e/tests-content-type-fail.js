@@ -0,0 +1,37 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import mediaTypesSchema from '../fixtures/schemas/openapi-media-types.json'
+
+
+// Response as yielded by cy.request(), with the 'Content-Type' header
+const apiResponse = (url, status, contentType, body) => {
+    return { status, body, headers: { 'content-type': contentType }, allRequestResponses: [{ 'Request URL': url }] }
+}
+
+describe('ALL TESTS SHOULD FAIL', () => {
+
+    it('OpenAPI 3.0.1 - Content type not documented for the response', () => {
+        cy.wrap(apiResponse('https://api.example.com/orders/1', 200, 'application/xml', '<order><id>1</id></order>'), { log: false })
+            .validateSchema(mediaTypesSchema)
+    })
+
+    it('OpenAPI 3.0.1 - Body not valid against the schema of the media type selected', () => {
+        // Valid as 'application/json', but not as 'application/hal+json' (missing '_links')
+        cy.wrap(apiResponse('https://api.example.com/orders/1', 200, 'application/hal+json', { id: 1, total: 10.5 }), { log: false })
+            .validateSchema(mediaTypesSchema)
+    })
+
+    it('OpenAPI 3.0.1 - String body of a JSON media type not valid after parsing', () => {
+        const body = JSON.stringify({ title: 'Not Found', status: '404' })
+
+        cy.wrap(apiResponse('https://api.example.com/orders/99', 404, 'application/problem+json', body), { log: false })
+            .validateSchema(mediaTypesSchema)
+    })
+
+    it('OpenAPI 3.0.1 - Non-JSON body not valid against the schema of a media type range', () => {
+        cy.wrap(apiResponse('https://api.example.com/reports/orders', 200, 'text/plain', 'no report'), { log: false })
+            .validateSchema(mediaTypesSchema)
+    })
+})
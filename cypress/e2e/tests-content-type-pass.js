@@ -0,0 +1,43 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import mediaTypesSchema from '../fixtures/schemas/openapi-media-types.json'
+
+
+// Response as yielded by cy.request(), with the 'Content-Type' header
+const apiResponse = (url, status, contentType, body) => {
+    return { status, body, headers: { 'content-type': contentType }, allRequestResponses: [{ 'Request URL': url }] }
+}
+
+describe('ALL TESTS SHOULD PASS', () => {
+
+    it('OpenAPI 3.0.1 - Media type selected from the Content-Type header (with parameters)', () => {
+        cy.wrap(apiResponse('https://api.example.com/orders/1', 200, 'application/json; charset=utf-8', { id: 1, total: 10.5 }), { log: false })
+            .validateSchema(mediaTypesSchema)
+    })
+
+    it('OpenAPI 3.0.1 - Media type other than application/json', () => {
+        const body = { id: 1, total: 10.5, _links: { self: { href: '/orders/1' } } }
+
+        cy.wrap(apiResponse('https://api.example.com/orders/1', 200, 'application/hal+json', body), { log: false })
+            .validateSchema(mediaTypesSchema)
+    })
+
+    it('OpenAPI 3.0.1 - String body of a JSON media type parsed before the validation', () => {
+        const body = JSON.stringify({ type: 'about:blank', title: 'Not Found', status: 404 })
+
+        cy.wrap(apiResponse('https://api.example.com/orders/99', 404, 'application/problem+json', body), { log: false })
+            .validateSchema(mediaTypesSchema, undefined, undefined, { validateStatus: true })
+    })
+
+    it('OpenAPI 3.0.1 - Non-JSON body matched with a media type range', () => {
+        cy.wrap(apiResponse('https://api.example.com/reports/orders', 200, 'text/csv', 'id,total\n1,10.5\n'), { log: false })
+            .validateSchema(mediaTypesSchema)
+    })
+
+    it('OpenAPI 3.0.1 - Response without Content-Type header validated against the JSON media type', () => {
+        cy.wrap({ status: 200, body: { id: 1, total: 10.5 } }, { log: false })
+            .validateSchema(mediaTypesSchema, { endpoint: '/orders/{orderId}' })
+    })
+})
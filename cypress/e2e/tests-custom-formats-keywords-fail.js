@@ -0,0 +1,36 @@
+/// <reference types="cypress" />
+
+import { configureSchemaValidator } from '../../src/index.js'
+
+
+configureSchemaValidator({
+    formats: {
+        'iso-currency': /^[A-Z]{3}$/,
+        ulid: /^[0-9A-HJKMNP-TV-Z]{26}$/
+    },
+    keywords: [
+        'x-nullable',
+        { keyword: 'x-even', type: 'number', schemaType: 'boolean', validate: (even, data) => !even || data % 2 === 0 }
+    ]
+})
+
+const orderSchema = {
+    type: 'object',
+    required: ['id', 'currency', 'quantity'],
+    properties: {
+        id: { type: 'string', format: 'ulid' },
+        currency: { type: 'string', format: 'iso-currency' },
+        quantity: { type: 'integer', 'x-even': true },
+        notes: { type: 'string', 'x-nullable': true }
+    }
+}
+
+describe('ALL TESTS SHOULD FAIL', () => {
+
+    it('Plain JSON schema - Data not valid against custom formats and keywords', () => {
+        const body = { id: 'not-a-ulid', currency: 'euro', quantity: 3 }
+
+        cy.wrap({ status: 200, body }, { log: false })
+            .validateSchema(orderSchema)
+    })
+})
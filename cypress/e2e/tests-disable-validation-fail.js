@@ -0,0 +1,24 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+
+
+const pet = { id: '10', photoUrls: 'url1' }
+
+describe('ALL TESTS SHOULD FAIL', () => {
+
+    it('Swagger 2.0 - Endpoint not matching the patterns', { env: { disableSchemaValidation: { endpoints: ['/store/**', '/pet'] } } }, () => {
+        cy.wrap({ status: 200, body: pet }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+    })
+
+    it('Swagger 2.0 - Operation without the tags', { env: { disableSchemaValidation: { tags: ['store', 'user'] } } }, () => {
+        cy.validateData(pet, petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+    })
+
+    it('Swagger 2.0 - Test without the tag', { env: { disableSchemaValidation: { testTags: ['@no-schema'] } } }, () => {
+        cy.validateData(pet, petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+    })
+})
@@ -0,0 +1,76 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+
+
+// The bodies are not valid against the schema, so the tests only pass if the validations are skipped
+const pet = { id: '10', photoUrls: 'url1' }
+
+describe('ALL TESTS SHOULD PASS', () => {
+
+    it('Swagger 2.0 - Schema validation disabled for every test', { env: { disableSchemaValidation: true } }, () => {
+        cy.wrap({ status: 200, body: pet }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+    })
+
+    it('Swagger 2.0 - Endpoint matching a pattern', { env: { disableSchemaValidation: { endpoints: ['/pet/**'] } } }, () => {
+        cy.wrap({ status: 200, body: pet }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+        cy.wrap({ status: 200, body: [pet] }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/findByStatus', method: 'GET', status: 200 })
+    })
+
+    it('Swagger 2.0 - Operation with a tag', { env: { disableSchemaValidation: { tags: ['pet'] } } }, () => {
+        cy.wrap({ status: 200, body: pet }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+        cy.validateData(pet, petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+    })
+
+    it('Swagger 2.0 - Request body of an operation with a tag', { env: { disableSchemaValidation: { tags: ['pet'] } } }, () => {
+        cy.wrap({ request: { method: 'POST', url: 'https://petstore.swagger.io/v2/pet', body: pet } }, { log: false })
+            .validateRequestSchema(petstoreSchema, { endpoint: '/pet', method: 'POST' })
+    })
+
+    it('Swagger 2.0 - Spec file matching a pattern', { env: { disableSchemaValidation: { specs: ['*-disable-validation-*.js'] } } }, () => {
+        cy.validateData(pet, petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+    })
+
+    it('Swagger 2.0 - Test with a tag @no-schema', { env: { disableSchemaValidation: { testTags: ['@no-schema'] } } }, () => {
+        cy.validateData(pet, petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+    })
+
+    describe('Suite with a tag @no-schema', { env: { disableSchemaValidation: { testTags: ['@no-schema'] } } }, () => {
+
+        it('Swagger 2.0 - Test in a suite with a tag', () => {
+            cy.validateData(pet, petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+        })
+    })
+})
+
+describe('ALL TESTS SHOULD PASS - Validations in hooks (no current test)', () => {
+
+    const validPet = { id: 10, name: 'doggie', photoUrls: ['url1'] }
+    let disableSchemaValidation
+
+    before(() => {
+        disableSchemaValidation = Cypress.env('disableSchemaValidation')
+
+        // The tags of the test are checked, but there is no current test in a 'before' hook
+        Cypress.env('disableSchemaValidation', { testTags: ['@no-schema'] })
+        cy.validateData(validPet, petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+
+        // The validation skipped is recorded without a test
+        Cypress.env('disableSchemaValidation', { endpoints: ['/pet/**'] })
+        cy.validateData(pet, petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+
+        cy.then(() => {
+            Cypress.env('disableSchemaValidation', disableSchemaValidation)
+        })
+    })
+
+    it('Swagger 2.0 - Validations in a before hook do not fail when the test tags are checked', () => {
+        cy.validateData(validPet, petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+    })
+})
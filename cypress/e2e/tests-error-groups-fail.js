@@ -0,0 +1,40 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import plainJsonSchema from '../fixtures/schemas/plainjson-schema.json'
+
+
+// 25 users with the same errors (E.g.: 'age' is not an integer and 'address' is missing 'postal_code')
+const users = Cypress._.times(25, (i) => ({
+    id: `123e4567-e89b-12d3-a456-42661417400${i % 10}`,
+    name: `User ${i}`,
+    age: `${20 + i}`,
+    address: { street: `${i} Main St`, city: 'Anytown' }
+}))
+
+
+describe('ALL TESTS SHOULD FAIL', () => {
+
+    it('Plain JSON schema - Errors repeated in the items of an array shown as groups', () => {
+        cy.validateData(users, plainJsonSchema)
+    })
+
+    it('Plain JSON schema - Errors repeated and errors not repeated', () => {
+        const data = [...users, { id: 123456, name: 'User 25', age: 45, address: { street: '25 Main St', city: 'Anytown', postal_code: '12345' } }]
+
+        cy.validateData(data, plainJsonSchema)
+    })
+
+    it('Plain JSON schema - Limit of errors provided in the options', () => {
+        cy.fixture('mock-data-plainjson/fail.json').then((data) => {
+            cy.validateData(data, plainJsonSchema, undefined, undefined, { maxErrorsToShow: 3 })
+        })
+    })
+
+    it('Plain JSON schema - Limit of errors provided in the environment variable', { env: { schemaMaxErrorsToShow: 2 } }, () => {
+        cy.fixture('mock-data-plainjson/fail.json').then((data) => {
+            cy.validateData(data, plainJsonSchema)
+        })
+    })
+})
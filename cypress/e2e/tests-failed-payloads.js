@@ -0,0 +1,71 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+
+
+describe('Failing payloads saved as fixtures', () => {
+
+    it('should save the failing response with the operation of the document', () => {
+        const pet = { id: '10', name: 'doggie', photoUrls: 'url1' }
+
+        cy.wrap({ status: 200, headers: { 'content-type': 'application/json', 'set-cookie': 'session=1234' }, body: pet }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 }, undefined, { mode: 'warn', strict: true })
+
+        cy.readFile('cypress/reports/schema-failures/tests-failed-payloads/get-pet-petid-200--should-save-the-failing-response-with-the-operation-of-the.json').then((fixture) => {
+            expect(fixture.path).to.deep.equal({ endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+            expect(fixture.options).to.deep.equal({ strict: true })
+            expect(fixture.response).to.deep.equal({ status: 200, headers: { 'content-type': 'application/json', 'set-cookie': '[REDACTED]' }, body: pet })
+            expect(fixture.failures[0].validation).to.equal('RESPONSE BODY')
+            expect(Object.keys(fixture.schema.paths)).to.deep.equal(['/pet/{petId}'])
+            expect(Object.keys(fixture.schema.paths['/pet/{petId}'])).to.deep.equal(['get'])
+        })
+
+        cy.readFile('cypress/reports/schema-failures/tests-failed-payloads/get-pet-petid-200--should-save-the-failing-response-with-the-operation-of-the.replay.js')
+            .should('contain', "cy.readFile('cypress/reports/schema-failures/tests-failed-payloads/get-pet-petid-200--should-save-the-failing-response-with-the-operation-of-the.json')")
+            .and('contain', 'validateSchema(schema, path, undefined, options)')
+    })
+
+    it('should save the failing response in hard mode before the test fails', () => {
+        // The failure of the validation is expected, so the test passes once the fixture has been saved
+        cy.on('fail', (error) => {
+            expect(error.message).to.include('The response body is not valid against the schema!')
+        })
+
+        cy.wrap({ status: 200, headers: {}, body: { id: 10, name: 'doggie' } }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+    })
+
+    it('should have saved the failing response of the test in hard mode', () => {
+        cy.readFile('cypress/reports/schema-failures/tests-failed-payloads/get-pet-petid-200--should-save-the-failing-response-in-hard-mode-before-the.json').then((fixture) => {
+            expect(fixture.test).to.deep.equal(['Failing payloads saved as fixtures', 'should save the failing response in hard mode before the test fails'])
+            expect(fixture.response.body).to.deep.equal({ id: 10, name: 'doggie' })
+            expect(fixture.failures[0].errors[0].params).to.deep.equal({ missingProperty: 'photoUrls' })
+        })
+    })
+
+    it('should save the failing responses of spec files with the same name in different folders', () => {
+        const failure = {
+            specRun: Date.now(), test: ['Users', 'should get the users'], operation: 'GET /users (200)', schema: { type: 'array' }, path: null,
+            options: {}, response: { status: 200, headers: {}, body: {} }, failures: [{ validation: 'RESPONSE BODY', errors: [] }]
+        }
+
+        cy.task('schemaValidator:saveFailedPayload', { ...failure, spec: 'cypress/e2e/admin/users.cy.js', response: { ...failure.response, body: { admin: true } } })
+            .its('fixture').should('equal', 'cypress/reports/schema-failures/admin/users/get-users-200--should-get-the-users.json')
+        cy.task('schemaValidator:saveFailedPayload', { ...failure, spec: 'cypress/e2e/public/users.cy.js', response: { ...failure.response, body: { admin: false } } })
+            .its('fixture').should('equal', 'cypress/reports/schema-failures/public/users/get-users-200--should-get-the-users.json')
+
+        cy.readFile('cypress/reports/schema-failures/admin/users/get-users-200--should-get-the-users.json').its('response.body').should('deep.equal', { admin: true })
+        cy.readFile('cypress/reports/schema-failures/public/users/get-users-200--should-get-the-users.json').its('response.body').should('deep.equal', { admin: false })
+    })
+
+    it('should not save the responses valid against the schema', () => {
+        const pet = { id: 10, name: 'doggie', photoUrls: [] }
+
+        cy.wrap({ status: 200, headers: {}, body: pet }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+
+        cy.readFile('cypress/reports/schema-failures/tests-failed-payloads/get-pet-petid-200--should-not-save-the-responses-valid-against-the-schema.json').should('not.exist')
+    })
+})
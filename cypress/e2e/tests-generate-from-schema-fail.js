@@ -0,0 +1,21 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+
+
+describe('ALL TESTS SHOULD FAIL', () => {
+
+    it('Swagger 2.0 - Response definition not documented', () => {
+        cy.generateFromSchema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 500 })
+    })
+
+    it('Swagger 2.0 - Endpoint not provided', () => {
+        cy.generateFromSchema(petstoreSchema)
+    })
+
+    it('Route stubbed without a schema', () => {
+        cy.stubFromSchema('/api/pets/*')
+    })
+})
@@ -0,0 +1,85 @@
+/// <reference types="cypress" />
+
+import { generateFromSchema } from '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+import openApiSchema from '../fixtures/schemas/openapi-schema.json'
+import plainJsonSchema from '../fixtures/schemas/plainjson-schema.json'
+
+
+describe('ALL TESTS SHOULD PASS', () => {
+
+    it('Plain JSON schema - Generated data is valid against the schema', () => {
+        cy.generateFromSchema(plainJsonSchema).then((users) => {
+            cy.validateData(users, plainJsonSchema)
+        })
+    })
+
+    it('OpenAPI 3.0.1 - Generated response bodies are valid against the document', () => {
+        const operations = [
+            { endpoint: '/service1', method: 'GET', status: 200 },
+            { endpoint: '/service2', method: 'GET', status: 200 },
+            { endpoint: '/service1', method: 'POST', status: 201 },
+            { endpoint: '/service2', method: 'POST', status: 401 }
+        ]
+
+        operations.forEach((path) => {
+            cy.generateFromSchema(openApiSchema, path, { useExamples: false }).then((body) => {
+                cy.validateData(body, openApiSchema, { ...path })
+            })
+        })
+    })
+
+    it('Swagger 2.0 - Same seed generates the same data, other seed generates other data', () => {
+        const path = { endpoint: '/pet/{petId}', method: 'GET', status: 200 }
+
+        const pet = generateFromSchema(petstoreSchema, path, { seed: 42 })
+
+        cy.generateFromSchema(petstoreSchema, path, { seed: 42 }).should('deep.equal', pet)
+        cy.generateFromSchema(petstoreSchema, path, { seed: 43 }).should('not.deep.equal', pet)
+    })
+
+    it('Swagger 2.0 - Examples of the schema are used, enums and required properties are honored', () => {
+        cy.generateFromSchema(petstoreSchema, { endpoint: '/pet/{petId}' }).then((pet) => {
+            // 'name' has example 'doggie' in the Petstore document
+            expect(pet.name).to.equal('doggie')
+            expect(pet.photoUrls).to.be.an('array')
+            expect(['available', 'pending', 'sold']).to.include(pet.status)
+        })
+    })
+
+    it('Swagger 2.0 - Route stubbed with a generated response', () => {
+        cy.stubFromSchema('https://petstore.swagger.io/v2/pet/*', petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 }, { alias: 'getPet', seed: 7 })
+            .then((response) => {
+                cy.window().then((win) => win.fetch('https://petstore.swagger.io/v2/pet/1'))
+
+                cy.wait('@getPet').then((interception) => {
+                    expect(interception.response.statusCode).to.equal(200)
+                    expect(interception.response.body).to.deep.equal(response.body)
+                })
+                    .validateSchema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+            })
+    })
+
+    it('Swagger 2.0 - Route stubbed with a response documented without a body', () => {
+        // The 404 response of the Petstore document has only a description
+        cy.stubFromSchema('https://petstore.swagger.io/v2/pet/*', petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 404 }, { alias: 'getMissingPet' })
+            .then((response) => {
+                expect(response).to.deep.equal({ statusCode: 404, headers: {}, body: '' })
+
+                cy.window().then((win) => win.fetch('https://petstore.swagger.io/v2/pet/1'))
+
+                cy.wait('@getMissingPet').its('response.statusCode').should('equal', 404)
+            })
+    })
+
+    it('Swagger 2.0 - Route stubbed with the headers documented for the response', () => {
+        cy.stubFromSchema('https://petstore.swagger.io/v2/user/login*', petstoreSchema, { endpoint: '/user/login', method: 'GET', status: 200 })
+            .then((response) => {
+                expect(response.headers).to.have.all.keys('x-expires-after', 'x-rate-limit', 'content-type')
+
+                cy.wrap({ status: 200, headers: response.headers, body: response.body }, { log: false })
+                    .validateSchema(petstoreSchema, { endpoint: '/user/login', method: 'GET', status: 200 }, undefined, { validateHeaders: true })
+            })
+    })
+})
@@ -0,0 +1,35 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import openApiSchema from '../fixtures/schemas/openapi-schema.json'
+import swaggerSchema from '../fixtures/schemas/swagger-schema.json'
+
+
+// Interception as yielded by cy.wait('@alias')
+const interception = (method, url, requestBody, statusCode, responseBody) => {
+    return {
+        request: { method, url, headers: {}, body: requestBody },
+        response: { statusCode, headers: { 'content-type': 'application/json' }, body: responseBody }
+    }
+}
+
+describe('ALL TESTS SHOULD FAIL', () => {
+
+    [openApiSchema, swaggerSchema].forEach(schema => {
+
+        const schemaSpecVersion = schema.swagger ? `Swagger ${schema.swagger}` : `OpenAPI ${schema.openapi}`
+
+        it(`${schemaSpecVersion} - Intercepted GET /service2 (200 Response) - Operation resolved from the interception`, () => {
+            cy.fixture('mock-data-openapi-swagger/fail/GET/service2_200.json').then((body) => {
+                cy.wrap(interception('GET', 'https://api.example.com/service2', '', 200, body), { log: false })
+                    .validateSchema(schema)
+            })
+        })
+
+        it(`${schemaSpecVersion} - Intercepted request without response`, () => {
+            cy.wrap({ request: { method: 'GET', url: 'https://api.example.com/service2', headers: {} }, response: undefined }, { log: false })
+                .validateSchema(schema)
+        })
+    })
+})
@@ -0,0 +1,40 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import openApiSchema from '../fixtures/schemas/openapi-schema.json'
+import swaggerSchema from '../fixtures/schemas/swagger-schema.json'
+
+
+// Interception as yielded by cy.wait('@alias')
+const interception = (method, url, requestBody, statusCode, responseBody) => {
+    return {
+        request: { method, url, headers: {}, body: requestBody },
+        response: { statusCode, headers: { 'content-type': 'application/json' }, body: responseBody }
+    }
+}
+
+describe('ALL TESTS SHOULD PASS', () => {
+
+    [openApiSchema, swaggerSchema].forEach(schema => {
+
+        const schemaSpecVersion = schema.swagger ? `Swagger ${schema.swagger}` : `OpenAPI ${schema.openapi}`
+
+        it(`${schemaSpecVersion} - Intercepted GET /service1 (200 Response)`, () => {
+            cy.fixture('mock-data-openapi-swagger/pass/GET/service1_200.json').then((body) => {
+                cy.wrap(interception('GET', 'https://api.example.com/service1', '', 200, body), { log: false })
+                    .validateSchema(schema, { endpoint: '/service1', method: 'GET', status: 200 })
+            })
+        })
+
+        it(`${schemaSpecVersion} - Intercepted POST /service1 (201 Response) - Operation resolved from the interception`, () => {
+            cy.fixture('mock-data-request-openapi-swagger/pass/POST/service1.json').then((requestBody) => {
+                cy.fixture('mock-data-openapi-swagger/pass/POST/service1_201.json').then((responseBody) => {
+                    cy.wrap(interception('POST', 'https://api.example.com/service1', requestBody, 201, responseBody), { log: false })
+                        .validateRequestSchema(schema)
+                        .validateSchema(schema)
+                })
+            })
+        })
+    })
+})
@@ -0,0 +1,34 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+
+
+// Large list of pets with a name that is not a string every 100 pets, validated in the Node process when it is above the size threshold
+const pets = Array.from({ length: 5000 }, (_, i) => ({ id: i, name: i % 100 === 0 ? i : `pet-${i}`, photoUrls: [], status: 'available' }))
+
+describe('ALL TESTS SHOULD FAIL', () => {
+
+    afterEach(() => {
+        Cypress.env('schemaOffloadThreshold', null)
+    })
+
+    it('Swagger 2.0 - Large response body not valid, validated in the Node process above the size threshold', () => {
+        Cypress.env('schemaOffloadThreshold', 100000)
+
+        cy.wrap({ status: 200, body: pets }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/findByStatus', method: 'GET', status: 200 })
+    })
+
+    it('Swagger 2.0 - Response body not valid, validated in the Node process with the option "offload"', () => {
+        const pet = { id: '10', photoUrls: 'url1' }
+
+        cy.wrap({ status: 200, body: pet }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 }, undefined, { offload: true })
+    })
+
+    it('Swagger 2.0 - Data not valid against a schema file, validated in the Node process', () => {
+        cy.validateData(pets, 'cypress/fixtures/schemas/petstore-swagger.json', { endpoint: '/pet/findByStatus' }, undefined, { offload: true })
+    })
+})
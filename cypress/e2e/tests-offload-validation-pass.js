@@ -0,0 +1,51 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+
+
+// Large list of pets, validated in the Node process when it is above the size threshold
+const pets = Array.from({ length: 5000 }, (_, i) => ({ id: i, name: `pet-${i}`, photoUrls: [`https://pets.com/${i}.png`], status: 'available' }))
+
+describe('ALL TESTS SHOULD PASS', () => {
+
+    afterEach(() => {
+        Cypress.env('schemaOffloadThreshold', null)
+    })
+
+    it('Swagger 2.0 - Large response body validated in the Node process above the size threshold', () => {
+        Cypress.env('schemaOffloadThreshold', 100000)
+
+        cy.wrap({ status: 200, body: pets }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/findByStatus', method: 'GET', status: 200 })
+    })
+
+    it('Swagger 2.0 - Response body validated in the Node process with the option "offload"', () => {
+        const pet = { id: 10, name: 'doggie', photoUrls: ['url1'] }
+
+        cy.wrap({ status: 200, body: pet }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 }, undefined, { offload: true })
+    })
+
+    it('Swagger 2.0 - Schema file validated in the Node process, referenced by its path', () => {
+        cy.validateData(pets, 'cypress/fixtures/schemas/petstore-swagger.json', { endpoint: '/pet/findByStatus' }, undefined, { offload: true })
+            .should('have.length', 5000)
+    })
+
+    it('Swagger 2.0 - Large response body validated in the browser with the option "offload" set to false', () => {
+        Cypress.env('schemaOffloadThreshold', 100000)
+
+        cy.wrap({ status: 200, body: pets }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/findByStatus' }, undefined, { offload: false })
+    })
+
+    it('Swagger 2.0 - Mismatches of a large response body in warn mode, with only the first ones flagged', () => {
+        Cypress.env('schemaOffloadThreshold', 100000)
+
+        const petsNotValid = pets.map((pet, i) => (i % 100 === 0 ? { ...pet, name: i } : pet))
+
+        cy.wrap({ status: 200, body: petsNotValid }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/findByStatus' }, undefined, { mode: 'warn', maxErrorsToShow: 5 })
+    })
+})
@@ -0,0 +1,35 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+
+
+// Response as yielded by cy.request() (the request URL is available in 'allRequestResponses')
+const apiResponse = (url, status, body) => {
+    return { status, body, headers: {}, allRequestResponses: [{ 'Request URL': url }] }
+}
+
+describe('ALL TESTS SHOULD FAIL', () => {
+
+    before(() => {
+        cy.registerSchema('petstore', petstoreSchema)
+    })
+
+    it('Swagger 2.0 - Response body not valid against a registered schema', () => {
+        cy.wrap(apiResponse('https://petstore.swagger.io/v2/pet/10', 200, { id: '10', photoUrls: [] }), { log: false })
+            .validateSchema('petstore', { method: 'GET' })
+    })
+
+    it('Swagger 2.0 - Second response not valid against the same operation (compiled validator reused)', () => {
+        cy.wrap(apiResponse('https://petstore.swagger.io/v2/pet/1', 200, { id: 1, name: 'doggie', photoUrls: [] }), { log: false })
+            .validateSchema('petstore', { method: 'GET' })
+
+        cy.wrap(apiResponse('https://petstore.swagger.io/v2/pet/2', 200, { id: 2, name: 'doggie', photoUrls: 'url1' }), { log: false })
+            .validateSchema('petstore', { method: 'GET' })
+    })
+
+    it('Schema registered without a name', () => {
+        cy.registerSchema(undefined, petstoreSchema)
+    })
+})
@@ -0,0 +1,47 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+import plainJsonSchema from '../fixtures/schemas/plainjson-schema.json'
+
+
+// Response as yielded by cy.request() (the request URL is available in 'allRequestResponses')
+const apiResponse = (url, status, body) => {
+    return { status, body, headers: {}, allRequestResponses: [{ 'Request URL': url }] }
+}
+
+describe('ALL TESTS SHOULD PASS', () => {
+
+    before(() => {
+        cy.registerSchema('petstore', petstoreSchema)
+        cy.registerSchema('plain-users', plainJsonSchema)
+        cy.registerSchema('pets-yaml', 'cypress/fixtures/schemas/multi-file-openapi/openapi.yaml')
+    })
+
+    it('Swagger 2.0 - Registered schema referred by name', () => {
+        const body = { id: 10, name: 'doggie', photoUrls: ['url1'] }
+
+        cy.wrap(apiResponse('https://petstore.swagger.io/v2/pet/10', 200, body), { log: false })
+            .validateSchema('petstore', { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+    })
+
+    it('Swagger 2.0 - Same operation validated several times (compiled validator reused)', () => {
+        for (let id = 1; id <= 5; id++) {
+            cy.wrap(apiResponse(`https://petstore.swagger.io/v2/pet/${id}`, 200, { id, name: `pet ${id}`, photoUrls: [] }), { log: false })
+                .validateSchema('petstore', { method: 'GET' })
+        }
+    })
+
+    it('Plain JSON schema - Registered schema referred by name', () => {
+        cy.fixture('mock-data-plainjson/pass.json').then((body) => {
+            cy.wrap({ status: 200, body }, { log: false })
+                .validateSchema('plain-users')
+        })
+    })
+
+    it('OpenAPI 3.0.1 (YAML) - Registered schema loaded from a file', () => {
+        cy.wrap(apiResponse('https://pets.example.com/api/pets/1', 200, { id: 1, name: 'Rex' }), { log: false })
+            .validateSchema('pets-yaml')
+    })
+})
@@ -0,0 +1,5 @@
+import runTestsRequestOpenapiSwagger  from '../support/run-tests-request-openapi-swagger.js'
+
+describe('ALL TESTS SHOULD FAIL', () => {
+    runTestsRequestOpenapiSwagger('fail')
+})
@@ -0,0 +1,37 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import openApiSchema from '../fixtures/schemas/openapi-schema.json'
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+
+
+// Response as yielded by cy.request() (the request URL is available in 'allRequestResponses')
+const apiResponse = (url, status, body) => {
+    return { status, body, headers: {}, allRequestResponses: [{ 'Request URL': url }] }
+}
+
+describe('ALL TESTS SHOULD FAIL', () => {
+
+    it('Swagger 2.0 - No path matching the request URL', () => {
+        cy.wrap(apiResponse('https://petstore.swagger.io/v2/pets/10/owner', 200, {}), { log: false })
+            .validateSchema(petstoreSchema)
+    })
+
+    it('Swagger 2.0 - Request method not available for an endpoint with several operations', () => {
+        cy.wrap(apiResponse('https://petstore.swagger.io/v2/pet/10', 200, { id: 10, name: 'doggie', photoUrls: [] }), { log: false })
+            .validateSchema(petstoreSchema)
+    })
+
+    it('Swagger 2.0 - Request URL not available', () => {
+        cy.wrap({ status: 200, body: {} }, { log: false })
+            .validateSchema(petstoreSchema)
+    })
+
+    it('OpenAPI 3.0.1 - Response body not valid against the resolved operation', () => {
+        cy.fixture('mock-data-openapi-swagger/fail/GET/service1_200.json').then((body) => {
+            cy.wrap(apiResponse('https://api.example.com/service1', 200, body), { log: false })
+                .validateSchema(openApiSchema, { method: 'GET' })
+        })
+    })
+})
@@ -0,0 +1,43 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import openApiSchema from '../fixtures/schemas/openapi-schema.json'
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+
+
+// Response as yielded by cy.request() (the request URL is available in 'allRequestResponses')
+const apiResponse = (url, status, body) => {
+    return { status, body, headers: {}, allRequestResponses: [{ 'Request URL': url }] }
+}
+
+describe('ALL TESTS SHOULD PASS', () => {
+
+    it('Swagger 2.0 - Concrete path resolved before templated path (basePath /v2)', () => {
+        const body = [{ id: 1, name: 'doggie', photoUrls: [], status: 'available' }]
+
+        cy.wrap(apiResponse('https://petstore.swagger.io/v2/pet/findByStatus?status=available', 200, body), { log: false })
+            .validateSchema(petstoreSchema)
+    })
+
+    it('Swagger 2.0 - Templated path resolved with the method provided (basePath /v2)', () => {
+        const body = { id: 10, name: 'doggie', photoUrls: ['url1'] }
+
+        cy.wrap(apiResponse('https://petstore.swagger.io/v2/pet/10', 200, body), { log: false })
+            .validateSchema(petstoreSchema, { method: 'GET' })
+    })
+
+    it('OpenAPI 3.0.1 - GET path resolved with the method provided (servers)', () => {
+        cy.fixture('mock-data-openapi-swagger/pass/GET/service1_200.json').then((body) => {
+            cy.wrap(apiResponse('https://api.example.com/service1', 200, body), { log: false })
+                .validateSchema(openApiSchema, { method: 'GET' })
+        })
+    })
+
+    it('OpenAPI 3.0.1 - POST path resolved with the method provided', () => {
+        cy.fixture('mock-data-openapi-swagger/pass/POST/service1_201.json').then((body) => {
+            cy.wrap(apiResponse('https://api.example.com/service1', 201, body), { log: false })
+                .validateSchema(openApiSchema, { method: 'POST' })
+        })
+    })
+})
@@ -0,0 +1,35 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import openApiSchema from '../fixtures/schemas/openapi-schema.json'
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+
+
+describe('ALL TESTS SHOULD FAIL', () => {
+
+    it('GET /user/login (200 Response) - Response headers with wrong type and format', () => {
+        const response = {
+            status: 200,
+            headers: { 'x-rate-limit': 'unlimited', 'x-expires-after': 'tomorrow', 'content-type': 'application/json' },
+            body: 'logged in user session:1234567890'
+        }
+
+        cy.wrap(response, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/user/login', method: 'GET', status: 200 }, {}, { validateHeaders: true })
+    })
+
+    it('GET /service1 (404 Response) - Status not documented for the operation', () => {
+        const response = { status: 404, headers: {}, body: { code: 404, message: 'Not Found' } }
+
+        cy.wrap(response, { log: false })
+            .validateSchema(openApiSchema, { endpoint: '/service1', method: 'GET' }, {}, { validateStatus: true })
+    })
+
+    it('GET /service1 (401 Response) - Status different from the expected one', () => {
+        const response = { status: 401, headers: {}, body: { code: 401, message: 'Unauthorized' } }
+
+        cy.wrap(response, { log: false })
+            .validateSchema(openApiSchema, { endpoint: '/service1', method: 'GET', status: 200 }, {}, { validateStatus: true })
+    })
+})
@@ -0,0 +1,35 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import openApiSchema from '../fixtures/schemas/openapi-schema.json'
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+
+
+describe('ALL TESTS SHOULD PASS', () => {
+
+    it('GET /user/login (200 Response) - Documented response headers', () => {
+        const response = {
+            status: 200,
+            headers: { 'x-rate-limit': '5000', 'x-expires-after': '2024-12-31T23:59:59Z', 'content-type': 'application/json' },
+            body: 'logged in user session:1234567890'
+        }
+
+        cy.wrap(response, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/user/login', method: 'GET', status: 200 }, {}, { validateStatus: true, validateHeaders: true })
+    })
+
+    it('GET /service1 (401 Response) - Status taken from the response', () => {
+        const response = { status: 401, headers: {}, body: { code: 401, message: 'Unauthorized' } }
+
+        cy.wrap(response, { log: false })
+            .validateSchema(openApiSchema, { endpoint: '/service1', method: 'GET' }, {}, { validateStatus: true })
+    })
+
+    it('POST /service2 (500 Response) - Status documented as "default"', () => {
+        const response = { status: 500, headers: {}, body: { code: 500, message: 'Internal Server Error' } }
+
+        cy.wrap(response, { log: false })
+            .validateSchema(openApiSchema, { endpoint: '/service2', method: 'POST', status: 500 }, {}, { validateStatus: true })
+    })
+})
@@ -0,0 +1,88 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+
+
+describe('Schema validation results report', () => {
+
+    it('should record the validations performed in the spec file', () => {
+        cy.wrap({ status: 200, body: { id: 10, name: 'doggie', photoUrls: [] } }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+
+        cy.wrap({ status: 200, body: { id: '10', photoUrls: [] } }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 }, undefined, { mode: 'warn' })
+    })
+
+    it('should write the JUnit XML and JSON reports of a spec file', () => {
+        const results = [
+            {
+                test: ['Pets', 'should get a pet'], operation: 'GET /pet/{petId} (200)', validation: 'RESPONSE BODY',
+                document: { id: 'specs/petstore.json', title: 'Swagger Petstore 1.0.7', file: 'specs/petstore.json' },
+                endpoint: '/pet/{petId}', method: 'GET', status: '200', mode: 'hard', passed: true, errors: [], dataMismatches: null
+            },
+            {
+                test: ['Pets', 'should get a pet with errors'], operation: 'GET /pet/{petId} (200)', validation: 'RESPONSE BODY',
+                document: { id: 'Swagger Petstore 1.0.7 #1x2y3z', title: 'Swagger Petstore 1.0.7', file: null },
+                endpoint: '/pet/{petId}', method: 'GET', status: '200', mode: 'soft', passed: false,
+                errors: [{ instancePath: '/id', schemaPath: '#/properties/id/type', keyword: 'type', params: { type: 'integer' }, message: 'must be integer' }],
+                dataMismatches: { id: '⚠️ "10" must be integer', photoUrls: [] }
+            }
+        ]
+
+        cy.task('schemaValidator:recordResults', { spec: 'cypress/e2e/pets.cy.js', results })
+
+        cy.readFile('cypress/reports/schema-validation/json/cypress-e2e-pets.cy.json').then((report) => {
+            expect(report.spec).to.equal('cypress/e2e/pets.cy.js')
+            expect(report.summary).to.deep.equal({ validations: 2, passed: 1, failed: 1 })
+            expect(report.results[1].errors[0].message).to.equal('must be integer')
+            expect(report.results[1].dataMismatches.id).to.equal('⚠️ "10" must be integer')
+            expect(report.results[0].document.id).to.equal('specs/petstore.json')
+            expect(report.results[1].document.id).to.equal('Swagger Petstore 1.0.7 #1x2y3z')
+        })
+
+        cy.readFile('cypress/reports/schema-validation/junit/cypress-e2e-pets.cy.xml')
+            .should('contain', '<testsuite name="cypress/e2e/pets.cy.js" tests="2" failures="1"')
+            .and('contain', '<testcase classname="Pets &gt; should get a pet" name="GET /pet/{petId} (200) - RESPONSE BODY"/>')
+            .and('contain', '<failure message="1 schema errors" type="soft">')
+            .and('contain', '/id must be integer')
+    })
+
+    it('should write a valid JUnit XML report when the data contains characters not allowed in XML', () => {
+        const results = [
+            {
+                test: ['Pets', 'should get a pet with a control character'], operation: 'GET /pet/{petId} (200)', validation: 'RESPONSE BODY',
+                document: null, endpoint: null, method: null, status: null, mode: 'hard', passed: false,
+                // The error messages are written as they are (the data mismatches are written as JSON, with the control characters already escaped)
+                errors: [{ instancePath: '/name', schemaPath: '#/properties/name/pattern', keyword: 'pattern', params: {}, message: 'must match "dog\u0001gie\u001b[0m"' }],
+                dataMismatches: { name: '⚠️ "doggie" must match pattern' }
+            }
+        ]
+
+        cy.task('schemaValidator:recordResults', { spec: 'cypress/e2e/control-chars.cy.js', results })
+
+        cy.readFile('cypress/reports/schema-validation/junit/cypress-e2e-control-chars.cy.xml').then((xml) => {
+            expect(xml).not.to.match(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/)
+            expect(xml).to.contain('dog\\u0001gie\\u001b[0m')
+
+            const parsed = new DOMParser().parseFromString(xml, 'application/xml')
+            expect(parsed.getElementsByTagName('parsererror')).to.have.length(0)
+            expect(parsed.getElementsByTagName('testcase')).to.have.length(1)
+        })
+    })
+
+    describe('Validations in hooks', () => {
+
+        before(() => {
+            // There is no current test in a 'before' hook
+            cy.wrap({ status: 200, body: { id: 10, name: 'doggie', photoUrls: [] } }, { log: false })
+                .validateSchema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+        })
+
+        it('should record the validations performed in a before hook', () => {
+            cy.wrap({ status: 200, body: { id: 10, name: 'doggie', photoUrls: [] } }, { log: false })
+                .validateSchema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+        })
+    })
+})
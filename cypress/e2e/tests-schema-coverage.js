@@ -0,0 +1,53 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+import { getDocumentTitle, getOperationsInventory } from '../../src/schema-utils.js'
+
+import openApiSchema from '../fixtures/schemas/openapi-schema.json'
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+
+
+describe('Schema coverage report', () => {
+
+    it('should record the operations validated in the spec file', () => {
+        cy.fixture('mock-data-openapi-swagger/pass/GET/service1_200.json').then((data) => {
+            cy.wrap({ status: 200, body: data }, { log: false })
+                .validateSchema(openApiSchema, { endpoint: '/service1', method: 'GET', status: 200 })
+        })
+        cy.fixture('mock-data-openapi-swagger/pass/POST/service2_401.json').then((data) => {
+            cy.wrap({ status: 401, body: data }, { log: false })
+                .validateSchema(openApiSchema, { endpoint: '/service2', method: 'POST', status: 401 })
+        })
+    })
+
+    it('should write the coverage report with the operations and responses not validated', () => {
+        const title = getDocumentTitle(petstoreSchema)
+        const document = `${title} #test`
+
+        const coverage = {
+            documents: { [document]: { title, file: null, operations: getOperationsInventory(petstoreSchema) } },
+            records: [
+                { document, endpoint: '/pet/{petId}', method: 'GET', status: '200', responseKey: '200', passed: true },
+                { document, endpoint: '/pet/{petId}', method: 'GET', status: '404', responseKey: '404', passed: false },
+                { document, endpoint: '/pet/{petId}', method: 'GET', status: '500', responseKey: null, passed: false }
+            ]
+        }
+
+        cy.task('schemaValidator:recordCoverage', coverage)
+
+        cy.readFile('cypress/reports/schema-coverage/schema-coverage.json').then((report) => {
+            const petstore = report.documents.find(doc => doc.id === document)
+            const getPet = petstore.operations.find(operation => operation.method === 'GET' && operation.endpoint === '/pet/{petId}')
+
+            expect(getPet.validated).to.be.true
+            expect(getPet.responses).to.deep.include({ status: '200', validated: true, passed: 1, failed: 0, skipped: 0 })
+            expect(getPet.responses).to.deep.include({ status: '404', validated: true, passed: 0, failed: 1, skipped: 0 })
+            expect(getPet.undocumented).to.deep.include({ status: '500', validated: true, passed: 0, failed: 1, skipped: 0 })
+            expect(petstore.notValidated).to.include('GET /pet/{petId} 400')
+            expect(petstore.notValidated).to.include('GET /store/inventory 200')
+            expect(report.summary.responsesValidated).to.be.at.least(2)
+        })
+
+        cy.readFile('cypress/reports/schema-coverage/schema-coverage.html').should('contain', title)
+    })
+})
@@ -0,0 +1,78 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+import { getDocumentTitle, buildSchema } from '../../src/schema-utils.js'
+import { observeData } from '../../src/schema-inference.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+
+
+describe('Schema drift report', () => {
+
+    it('should record the response bodies observed in the spec file', () => {
+        const pets = [
+            { id: 1, name: 'doggie', photoUrls: [], status: 'available', category: null },
+            { id: 2, name: 'kitty', photoUrls: ['url1'], status: 'sold', category: null }
+        ]
+
+        cy.wrap({ status: 200, body: pets }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/findByStatus', method: 'GET', status: 200 }, undefined, { mode: 'warn' })
+    })
+
+    it('should write the drift report with the schema inferred from the bodies observed', () => {
+        const document = `${getDocumentTitle(petstoreSchema)} (drift)`
+        const documentedSchema = buildSchema(petstoreSchema, petstoreSchema.paths['/pet/{petId}'].get.responses['200'].schema)
+
+        const pets = [
+            { id: 1, name: 'doggie', photoUrls: [], status: 'available', category: null },
+            { id: 2, name: 'kitty', photoUrls: [], status: 'adopted', category: null, nickname: 'Kit' },
+            { id: 3, name: 'rex', photoUrls: [], status: 'sold', category: null }
+        ]
+
+        const observations = {
+            operations: [
+                { documentId: `${document} #1`, document, documentFile: null, endpoint: '/pet/{petId}', method: 'GET', status: '200', mediaType: null, documentedSchema, shape: pets.reduce(observeData, null) }
+            ]
+        }
+
+        cy.task('schemaValidator:recordDrift', observations)
+
+        cy.readFile('cypress/reports/schema-drift/schema-drift.json').then((report) => {
+            const getPet = report.operations.find(operation => operation.document === document)
+            const drift = getPet.drift.map(({ kind, path }) => `${kind} ${path}`)
+
+            expect(getPet.observations).to.equal(3)
+            expect(drift).to.include('newEnumValues /status')
+            expect(drift).to.include('alwaysNull /category')
+            expect(drift).to.include('optionalAlwaysPresent /id')
+            expect(drift).to.include('undocumentedProperty /nickname')
+            expect(drift).to.include('neverPresent /tags')
+            expect(getPet.inferredSchema.required).to.deep.equal(['id', 'name', 'photoUrls', 'status', 'category'])
+            expect(getPet.inferredSchema.properties.nickname).to.deep.equal({ type: 'string' })
+        })
+    })
+
+    it('should not merge the bodies observed for different documents with the same title', () => {
+        const document = `${getDocumentTitle(petstoreSchema)} (same title)`
+        const documentedSchema = buildSchema(petstoreSchema, petstoreSchema.paths['/pet/{petId}'].get.responses['200'].schema)
+        const operation = { document, endpoint: '/pet/{petId}', method: 'GET', status: '200', mediaType: null, documentedSchema }
+
+        const observations = {
+            operations: [
+                { ...operation, documentId: 'specs/petstore-v1.json', documentFile: 'specs/petstore-v1.json', shape: [{ id: 1, name: 'doggie', photoUrls: [] }].reduce(observeData, null) },
+                { ...operation, documentId: 'specs/petstore-v2.json', documentFile: 'specs/petstore-v2.json', shape: [{ id: 2, name: 'kitty', photoUrls: [], nickname: 'Kit' }].reduce(observeData, null) }
+            ]
+        }
+
+        cy.task('schemaValidator:recordDrift', observations)
+
+        cy.readFile('cypress/reports/schema-drift/schema-drift.json').then((report) => {
+            const getPets = report.operations.filter(operation => operation.document === document)
+
+            expect(getPets.map(operation => operation.documentId)).to.deep.equal(['specs/petstore-v1.json', 'specs/petstore-v2.json'])
+            expect(getPets.map(operation => operation.observations)).to.deep.equal([1, 1])
+            expect(getPets[0].drift.map(({ kind, path }) => `${kind} ${path}`)).not.to.include('undocumentedProperty /nickname')
+            expect(getPets[1].drift.map(({ kind, path }) => `${kind} ${path}`)).to.include('undocumentedProperty /nickname')
+        })
+    })
+})
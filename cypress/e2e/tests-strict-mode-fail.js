@@ -0,0 +1,25 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+
+
+const path = { endpoint: '/pet/{petId}', method: 'GET', status: 200 }
+
+describe('ALL TESTS SHOULD FAIL', () => {
+
+    it('Swagger 2.0 - Strict mode with undocumented properties', () => {
+        const body = { id: 10, name: 'doggie', photoUrls: [], passwordHash: 'abc', category: { id: 1, name: 'Dogs', internalCode: 7 } }
+
+        cy.wrap({ status: 200, body }, { log: false })
+            .validateSchema(petstoreSchema, path, undefined, { strict: true })
+    })
+
+    it('Swagger 2.0 - Strict mode with undocumented properties outside the allowed paths', () => {
+        const body = { id: 10, name: 'doggie', photoUrls: [], tags: [{ id: 1, name: 'tag1', internalId: 'x' }], _links: { self: '/pet/10' } }
+
+        cy.wrap({ status: 200, body }, { log: false })
+            .validateSchema(petstoreSchema, path, undefined, { strict: true, allowUndocumented: ['_links'] })
+    })
+})
@@ -0,0 +1,44 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+
+
+const path = { endpoint: '/pet/{petId}', method: 'GET', status: 200 }
+
+describe('ALL TESTS SHOULD PASS', () => {
+
+    it('Swagger 2.0 - Strict mode with all the properties documented', () => {
+        const body = { id: 10, name: 'doggie', photoUrls: ['url1'], category: { id: 1, name: 'Dogs' }, tags: [{ id: 1, name: 'tag1' }], status: 'available' }
+
+        cy.wrap({ status: 200, body }, { log: false })
+            .validateSchema(petstoreSchema, path, undefined, { strict: true })
+    })
+
+    it('Swagger 2.0 - Strict mode with undocumented properties in allowed paths', () => {
+        const body = { id: 10, name: 'doggie', photoUrls: [], tags: [{ id: 1, name: 'tag1', internalId: 'x' }], _links: { self: '/pet/10' } }
+
+        cy.wrap({ status: 200, body }, { log: false })
+            .validateSchema(petstoreSchema, path, undefined, { strict: true, allowUndocumented: ['_links', 'tags.*.internalId'] })
+    })
+
+    it('Plain JSON schema - Strict mode with properties declared in allOf and free-form objects', () => {
+        const schema = {
+            allOf: [
+                { type: 'object', properties: { id: { type: 'integer' } } },
+                { type: 'object', properties: { metadata: { type: 'object' } } }
+            ]
+        }
+
+        cy.wrap({ status: 200, body: { id: 1, metadata: { anything: true } } }, { log: false })
+            .validateSchema(schema, undefined, undefined, { strict: true })
+    })
+
+    it('Swagger 2.0 - Undocumented properties are valid without strict mode', () => {
+        const body = { id: 10, name: 'doggie', photoUrls: [], passwordHash: 'abc' }
+
+        cy.wrap({ status: 200, body }, { log: false })
+            .validateSchema(petstoreSchema, path)
+    })
+})
@@ -0,0 +1,32 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+import plainJsonSchema from '../fixtures/schemas/plainjson-schema.json'
+
+
+describe('ALL TESTS SHOULD FAIL', () => {
+
+    it('Plain JSON schema - Data from a fixture not valid', () => {
+        cy.fixture('mock-data-plainjson/fail.json').then((users) => {
+            cy.validateData(users, plainJsonSchema)
+        })
+    })
+
+    it('Swagger 2.0 - Object built in the test not valid against a response schema definition', () => {
+        const pet = { id: '10', photoUrls: 'url1' }
+
+        cy.validateData(pet, petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+    })
+
+    it('Swagger 2.0 - Object with an undocumented property in strict mode', () => {
+        const pet = { id: 10, name: 'doggie', photoUrls: [], nickname: 'Rex' }
+
+        cy.validateData(pet, petstoreSchema, { endpoint: '/pet/{petId}' }, undefined, { strict: true })
+    })
+
+    it('Swagger 2.0 - Endpoint not found in the document', () => {
+        cy.validateData({}, petstoreSchema, { endpoint: '/unknown' })
+    })
+})
@@ -0,0 +1,40 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+import plainJsonSchema from '../fixtures/schemas/plainjson-schema.json'
+
+
+describe('ALL TESTS SHOULD PASS', () => {
+
+    it('Plain JSON schema - Data from a fixture', () => {
+        cy.fixture('mock-data-plainjson/pass.json').then((users) => {
+            cy.validateData(users, plainJsonSchema)
+        })
+    })
+
+    it('Swagger 2.0 - Object built in the test against a response schema definition', () => {
+        const pet = { id: 10, name: 'doggie', photoUrls: ['url1'] }
+
+        cy.validateData(pet, petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+    })
+
+    it('Swagger 2.0 - Data validated against a registered schema and yielded to the next command', () => {
+        const pet = { id: 10, name: 'doggie', photoUrls: [] }
+
+        cy.registerSchema('petstore', petstoreSchema)
+        cy.validateData(pet, 'petstore', { endpoint: '/pet/{petId}' })
+            .should('deep.equal', pet)
+    })
+
+    it('Plain JSON schema - Data stored in localStorage', () => {
+        cy.fixture('mock-data-plainjson/pass.json').then((users) => {
+            window.localStorage.setItem('users', JSON.stringify(users))
+        })
+
+        cy.window().then((win) => {
+            cy.validateData(JSON.parse(win.localStorage.getItem('users')), plainJsonSchema)
+        })
+    })
+})
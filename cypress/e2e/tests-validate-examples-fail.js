@@ -0,0 +1,27 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreErrorsSchema from '../fixtures/schemas/petstore-swagger-errors.json'
+import openApiExamplesSchema from '../fixtures/schemas/openapi-examples.json'
+import plainJsonSchema from '../fixtures/schemas/plainjson-schema.json'
+
+
+describe('ALL TESTS SHOULD FAIL', () => {
+
+    it('Swagger 2.0 - Response example not valid against the schema', () => {
+        cy.validateExamples(petstoreErrorsSchema)
+    })
+
+    it('OpenAPI 3.0.1 - Examples not valid against their schemas', () => {
+        cy.validateExamples(openApiExamplesSchema)
+    })
+
+    it('OpenAPI 3.0.1 - Examples not valid with a limit of examples shown', () => {
+        cy.validateExamples(openApiExamplesSchema, { maxErrorsToShow: 2 })
+    })
+
+    it('Plain JSON schema - Not a Swagger or OpenAPI document', () => {
+        cy.validateExamples(plainJsonSchema)
+    })
+})
@@ -0,0 +1,48 @@
+/// <reference types="cypress" />
+
+import { validateExamples } from '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+import petstoreErrorsSchema from '../fixtures/schemas/petstore-swagger-errors.json'
+import openApiExamplesSchema from '../fixtures/schemas/openapi-examples.json'
+
+
+describe('ALL TESTS SHOULD PASS', () => {
+
+    it('Swagger 2.0 - All the examples valid against their schemas', () => {
+        cy.validateExamples(petstoreSchema).then(result => {
+            expect(result.examples).to.equal(1)
+            expect(result.failures).to.have.length(0)
+        })
+    })
+
+    it('Swagger 2.0 - Examples not valid only reported as a warning', () => {
+        cy.validateExamples(petstoreErrorsSchema, { mode: 'warn' }).then(({ examples, valid, failures }) => {
+            expect(examples).to.equal(2)
+            expect(valid).to.equal(1)
+            expect(failures[0].pointer).to.equal('/paths/~1pet~1{petId}/get/responses/200/examples/application~1json')
+            expect(failures[0].schemaPointer).to.equal('/paths/~1pet~1{petId}/get/responses/200/schema')
+            expect(failures[0].errors.map(error => error.pointer)).to.include('/paths/~1pet~1{petId}/get/responses/200/examples/application~1json/status')
+        })
+    })
+
+    it('OpenAPI 3.0.1 - Examples of schemas, parameters, request bodies and responses', () => {
+        const { examples, failures } = validateExamples(openApiExamplesSchema)
+
+        expect(examples).to.equal(11)
+        expect(failures.map(failure => failure.pointer)).to.deep.equal([
+            '/components/schemas/User/properties/email/example',
+            '/components/schemas/Address/example',
+            '/paths/~1users/get/parameters/0/example',
+            '/paths/~1users/get/responses/200/content/application~1json/example',
+            '/paths/~1users/post/requestBody/content/application~1json/examples/outdated/value'
+        ])
+        expect(failures[3].errors[0].pointer).to.equal('/paths/~1users/get/responses/200/content/application~1json/example/1/id')
+    })
+
+    it('OpenAPI 3.0.1 - Examples validated from a file loaded by the Node plugin', () => {
+        cy.validateExamples('cypress/fixtures/schemas/openapi-examples.json', { mode: 'warn' }).then(({ valid }) => {
+            expect(valid).to.equal(6)
+        })
+    })
+})
@@ -0,0 +1,47 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+
+
+const validPet = { id: 1, name: 'doggie', photoUrls: [] }
+const invalidPet = { id: 'one', photoUrls: 'url1' }
+
+// Makes a call from the application window, stubbed in the test so it does not depend on the live API
+const getPet = (id, body) => {
+    cy.intercept('GET', `https://petstore.swagger.io/v2/pet/${id}`, { statusCode: 200, body }).as(`getPet${id}`)
+    cy.window().then((win) => win.fetch(`https://petstore.swagger.io/v2/pet/${id}`))
+    cy.wait(`@getPet${id}`)
+}
+
+describe('Validation of the intercepted calls with cy.validateSchemaOnIntercept()', () => {
+
+    let failureMessage = null
+
+    before(() => {
+        cy.validateSchemaOnIntercept('https://petstore.swagger.io/v2/pet/*', petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 })
+    })
+
+    it('should pass when the intercepted calls are valid against the schema', () => {
+        getPet(1, validPet)
+        getPet(2, validPet)
+    })
+
+    it('should fail the test when any intercepted call is not valid against the schema', () => {
+        // The validation of the calls after the last command of the test is expected to fail, so the test passes once it has failed
+        cy.on('fail', (error) => {
+            failureMessage = error.message
+        })
+
+        getPet(3, validPet)
+        getPet(4, invalidPet)
+    })
+
+    it('should have failed the previous test, and still run the next tests', () => {
+        expect(failureMessage).to.include('The response body is not valid against the schema!')
+
+        // The routes are intercepted again in each test
+        getPet(5, validPet)
+    })
+})
@@ -0,0 +1,177 @@
+/// <reference types="cypress" />
+
+import { validateSchema as validateSchemaCore } from 'core-ajv-schema-validator'
+
+import { validateSchema } from '../../src/schema-validator.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+import polymorphicSchema from '../fixtures/schemas/openapi-polymorphic.json'
+
+
+// The validation engine must report the same errors and data mismatches as core-ajv-schema-validator (the engine used before the
+// compiled validators were cached), except for the errors of the polymorphic schemas, explained with the variant chosen.
+
+const formatsSchema = {
+    type: 'object',
+    properties: {
+        when: { type: 'string', format: 'date-time' },
+        day: { type: 'string', format: 'date' },
+        email: { type: 'string', format: 'email' },
+        id: { type: 'string', format: 'uuid' },
+        url: { type: 'string', format: 'uri' },
+        ip: { type: 'string', format: 'ipv4' },
+        count: { type: 'integer', format: 'int32' }
+    }
+}
+
+const petsSchema = {
+    openapi: '3.0.1',
+    info: { title: 'Pets', version: '1.0.0' },
+    paths: {
+        '/pets': {
+            get: {
+                responses: {
+                    200: { description: 'A pet', content: { 'application/json': { schema: { $ref: '#/components/schemas/Owner' } } } }
+                }
+            }
+        }
+    },
+    components: {
+        schemas: {
+            Owner: {
+                type: 'object',
+                required: ['name', 'pet'],
+                properties: {
+                    name: { type: 'string', nullable: true },
+                    pet: {
+                        oneOf: [{ $ref: '#/components/schemas/Dog' }, { $ref: '#/components/schemas/Cat' }],
+                        discriminator: { propertyName: 'petType' }
+                    }
+                }
+            },
+            Dog: { type: 'object', required: ['petType', 'bark'], properties: { petType: { type: 'string' }, bark: { type: 'boolean' } } },
+            Cat: { type: 'object', required: ['petType', 'lives'], properties: { petType: { type: 'string' }, lives: { type: 'integer' } } }
+        }
+    }
+}
+
+const petsPath = { endpoint: '/pets', method: 'GET', status: 200 }
+const petPath = { endpoint: '/pet/{petId}', method: 'GET', status: 200 }
+
+/**
+ * Gets the schema of the response of a GET operation of a Swagger or OpenAPI document, with the definitions it references, as a plain
+ * JSON schema. core-ajv-schema-validator is given this schema instead of the document, since it registers each document operation
+ * with a random $id (that can be repeated, or not be a valid URI).
+ *
+ * @param {object} schema - The Swagger or OpenAPI document.
+ * @param {string} endpoint - The endpoint path.
+ *
+ * @returns {object} - The plain JSON schema.
+ */
+const getPlainSchema = (schema, endpoint) => {
+    const response = schema.paths[endpoint].get.responses['200']
+
+    return schema.swagger
+        ? { ...response.schema, definitions: schema.definitions }
+        : { ...response.content['application/json'].schema, components: schema.components }
+}
+
+/**
+ * Validates the data with both engines and keeps the properties of the errors reported by Ajv.
+ *
+ * @param {any} data - The data to validate.
+ * @param {object} schema - The schema, or the Swagger or OpenAPI document.
+ * @param {object} [path] - The path to the schema definition in the Swagger or OpenAPI document.
+ *
+ * @returns {object} - An object containing `engine` and `core`, each with the errors (null if the data is valid) and dataMismatches.
+ */
+const validateWithBothEngines = (data, schema, path) => {
+    const plainSchema = path ? getPlainSchema(schema, path.endpoint) : schema
+
+    const pickErrors = ({ errors, dataMismatches }) => ({
+        errors: errors && errors.map(({ instancePath, keyword, params, message }) => ({ instancePath, keyword, params, message })),
+        dataMismatches
+    })
+
+    return {
+        engine: pickErrors(validateSchema(data, schema, path)),
+        core: pickErrors(validateSchemaCore(data, plainSchema))
+    }
+}
+
+
+describe('ALL TESTS SHOULD PASS - Parity with core-ajv-schema-validator', () => {
+
+    it('Plain JSON schema - Valid formats (date-time, date, email, uuid, uri, ipv4, int32)', () => {
+        const data = {
+            when: '2024-01-01T10:00:00Z', day: '2024-01-01', email: 'jane@example.com', id: '123e4567-e89b-12d3-a456-426614174000',
+            url: 'https://example.com/pets', ip: '10.0.0.1', count: 5
+        }
+
+        const { engine, core } = validateWithBothEngines(data, formatsSchema)
+
+        expect(engine.errors).to.equal(null)
+        expect(engine).to.deep.equal(core)
+    })
+
+    it('Plain JSON schema - Invalid formats report the same errors', () => {
+        const data = { when: 'yesterday', day: '2024-13-01', email: 'nope', id: '123', url: 'not a uri', ip: '999.1.1.1', count: 1.5 }
+
+        const { engine, core } = validateWithBothEngines(data, formatsSchema)
+
+        expect(engine.errors.map(error => error.instancePath)).to.deep.equal(['/when', '/day', '/email', '/id', '/url', '/ip', '/count', '/count'])
+        expect(engine).to.deep.equal(core)
+    })
+
+    it('Swagger 2.0 - Invalid pet reports the same errors and data mismatches', () => {
+        const data = { id: '10', photoUrls: 'url1', tags: [{ id: 'x' }] }
+
+        const { engine, core } = validateWithBothEngines(data, petstoreSchema, petPath)
+
+        expect(engine.errors.map(error => error.keyword)).to.deep.equal(['required', 'type', 'type', 'type'])
+        expect(engine).to.deep.equal(core)
+    })
+
+    it('OpenAPI 3.0.1 - Null accepted by both engines for a "nullable" property', () => {
+        const data = { name: null, pet: { petType: 'Cat', lives: 9 } }
+
+        const { engine, core } = validateWithBothEngines(data, petsSchema, petsPath)
+
+        expect(engine.errors).to.equal(null)
+        expect(engine).to.deep.equal(core)
+    })
+
+    it('OpenAPI 3.0.1 - Variant matching the discriminator', () => {
+        const data = { name: 'Jane', pet: { petType: 'Dog', bark: true } }
+
+        const { engine, core } = validateWithBothEngines(data, petsSchema, petsPath)
+
+        expect(engine.errors).to.equal(null)
+        expect(engine).to.deep.equal(core)
+    })
+
+    it('OpenAPI 3.0.1 - Discriminated variant not matched: only the errors of the variant chosen are kept, and the "oneOf" error explains it', () => {
+        const data = { name: 'Jane', pet: { petType: 'Dog', bark: 'loud' } }
+
+        const { engine, core } = validateWithBothEngines(data, petsSchema, petsPath)
+
+        // core-ajv-schema-validator also reports the property 'lives' missing for the variant Cat, which the data was not intended to match
+        expect(core.errors.map(error => error.keyword)).to.deep.equal(['type', 'required', 'oneOf'])
+        expect(engine.errors.map(error => error.keyword)).to.deep.equal(['type', 'oneOf'])
+
+        expect(engine.errors[0]).to.deep.equal(core.errors[0])
+        expect(engine.errors[1].params).to.include({ variantIndex: 0 })
+    })
+
+    it('OpenAPI 3.0.1 - Polymorphic document valid for both engines', () => {
+        const pets = [
+            { petType: 'dog', name: 'Rex', bark: true },
+            { petType: 'cat', name: 'Tom', lives: 7 }
+        ]
+
+        const { engine, core } = validateWithBothEngines(pets, polymorphicSchema, petsPath)
+
+        expect(engine.errors).to.equal(null)
+        expect(engine).to.deep.equal(core)
+    })
+})
@@ -0,0 +1,27 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import openApiSchema from '../fixtures/schemas/openapi-schema.json'
+import tests from '../fixtures/mock-data-openapi-swagger/tests.json'
+
+
+describe('ALL TESTS SHOULD FAIL', () => {
+
+    it('Soft mode per call - The test fails at the end with a summary of all the failed validations', () => {
+        tests.forEach(test => {
+            cy.fixture(`mock-data-openapi-swagger/fail/${test.method}${test.endpoint}_${test.status}.json`).then((data) => {
+                cy.wrap({ status: test.status, body: data }, { log: false })
+                    .validateSchema(openApiSchema, { endpoint: test.endpoint, method: test.method, status: test.status }, {}, { mode: 'soft' })
+            })
+        })
+    })
+
+    it('Soft mode with the environment variable "schemaValidationMode" - The test fails at the end', { env: { schemaValidationMode: 'soft' } }, () => {
+        cy.fixture('mock-data-openapi-swagger/fail/GET/service1_200.json').then((data) => {
+            cy.wrap({ status: 200, body: data }, { log: false })
+                .validateSchema(openApiSchema, { endpoint: '/service1', method: 'GET', status: 200 })
+        })
+        cy.log('This command runs even though the previous validation failed')
+    })
+})
@@ -0,0 +1,63 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+import { runAtEndOfTest } from '../../src/test-end.js'
+
+import openApiSchema from '../fixtures/schemas/openapi-schema.json'
+
+
+describe('ALL TESTS SHOULD PASS', () => {
+
+    let softFailureInTest = false
+
+    it('Soft mode - The failures fail the test itself, not a hook', () => {
+        // Only errors of the test are received here: a failing hook would not be caught, and would skip the next test
+        cy.on('fail', (error) => {
+            expect(error.message).to.include('Schema validation failed (soft mode) for 1 validations')
+            softFailureInTest = true
+        })
+
+        cy.fixture('mock-data-openapi-swagger/fail/GET/service1_200.json').then((data) => {
+            cy.wrap({ status: 200, body: data }, { log: false })
+                .validateSchema(openApiSchema, { endpoint: '/service1', method: 'GET', status: 200 }, {}, { mode: 'soft' })
+        })
+    })
+
+    it('Soft mode - The next test still runs after a test failed in soft mode', () => {
+        expect(softFailureInTest).to.equal(true)
+
+        cy.fixture('mock-data-openapi-swagger/pass/GET/service1_200.json').then((data) => {
+            cy.wrap({ status: 200, body: data }, { log: false })
+                .validateSchema(openApiSchema, { endpoint: '/service1', method: 'GET', status: 200 }, {}, { mode: 'soft' })
+        })
+    })
+})
+
+describe('ALL TESTS SHOULD PASS - Soft mode with retries', () => {
+
+    // Titles of the tests whose end of test callbacks have run (added after the soft mode check, so they run after it)
+    const endOfTestRuns = []
+    runAtEndOfTest(() => {
+        endOfTestRuns.push(Cypress.currentTest.title)
+    })
+
+    let attempts = 0
+
+    it('Soft mode - A retried test fails in soft mode at the end of the first attempt, and passes in the second one', { retries: 1 }, () => {
+        attempts++
+
+        const fixture = attempts === 1 ? 'fail' : 'pass'
+        cy.fixture(`mock-data-openapi-swagger/${fixture}/GET/service1_200.json`).then((data) => {
+            cy.wrap({ status: 200, body: data }, { log: false })
+                .validateSchema(openApiSchema, { endpoint: '/service1', method: 'GET', status: 200 }, {}, { mode: 'soft' })
+        })
+    })
+
+    it('Soft mode - The end of test callbacks run once in the attempt that passed (the test function is not wrapped again)', () => {
+        const retriedTest = 'Soft mode - A retried test fails in soft mode at the end of the first attempt, and passes in the second one'
+
+        // The callbacks after the soft mode check are not run in the first attempt, since it failed
+        expect(attempts).to.equal(2)
+        expect(endOfTestRuns.filter(title => title === retriedTest)).to.have.length(1)
+    })
+})
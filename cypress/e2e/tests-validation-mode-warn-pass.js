@@ -0,0 +1,27 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import openApiSchema from '../fixtures/schemas/openapi-schema.json'
+
+
+describe('ALL TESTS SHOULD PASS', () => {
+
+    it('Warn mode per call - Failures are only logged', () => {
+        cy.fixture('mock-data-openapi-swagger/fail/GET/service1_200.json').then((data) => {
+            cy.wrap({ status: 200, body: data }, { log: false })
+                .validateSchema(openApiSchema, { endpoint: '/service1', method: 'GET', status: 200 }, {}, { mode: 'warn' })
+        })
+    })
+
+    it('Warn mode with the environment variable "schemaValidationMode" - Failures are only logged', { env: { schemaValidationMode: 'warn' } }, () => {
+        cy.fixture('mock-data-openapi-swagger/fail/GET/service2_200.json').then((data) => {
+            cy.wrap({ status: 200, body: data }, { log: false })
+                .validateSchema(openApiSchema, { endpoint: '/service2', method: 'GET', status: 200 })
+        })
+        cy.fixture('mock-data-request-openapi-swagger/fail/POST/service1.json').then((data) => {
+            cy.wrap({ request: { method: 'POST', url: 'https://api.example.com/service1', body: data } }, { log: false })
+                .validateRequestSchema(openApiSchema, { endpoint: '/service1', method: 'POST' })
+        })
+    })
+})
@@ -0,0 +1,44 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import polymorphicSchema from '../fixtures/schemas/openapi-polymorphic.json'
+
+
+describe('ALL TESTS SHOULD FAIL', () => {
+
+    it('OpenAPI 3.0.1 - Only the errors of the variant chosen by the discriminator mapping are shown', () => {
+        // 'bark' is not a boolean in the dog, and 'lives' is out of range in the cat
+        const pets = [
+            { petType: 'dog', name: 'Rex', bark: 'woof' },
+            { petType: 'cat', name: 'Tom', lives: 12 }
+        ]
+
+        cy.wrap({ status: 200, body: pets }, { log: false })
+            .validateSchema(polymorphicSchema, { endpoint: '/pets', method: 'GET', status: 200 })
+    })
+
+    it('OpenAPI 3.0.1 - Closest variant chosen when the discriminator is missing or matches no variant', () => {
+        const pets = [
+            { name: 'Rex', bark: true },
+            { petType: 'bird', name: 'Tweety', wings: 2 }
+        ]
+
+        cy.wrap({ status: 200, body: pets }, { log: false })
+            .validateSchema(polymorphicSchema, { endpoint: '/pets', method: 'GET', status: 200 })
+    })
+
+    it('OpenAPI 3.0.1 - Closest variant of "anyOf" and "oneOf" chosen without discriminator', () => {
+        // The card number is not valid and the reference is too short
+        const payment = { id: 'p-1', method: { cardNumber: '1234', expiry: '12/30' }, reference: 'abc' }
+
+        cy.wrap({ status: 200, body: payment }, { log: false })
+            .validateSchema(polymorphicSchema, { endpoint: '/payments/{paymentId}', method: 'GET', status: 200 })
+    })
+
+    it('OpenAPI 3.0.1 - Data matching several variants of "oneOf"', () => {
+        const pets = [{ petType: 'dog', name: 'Rex', bark: true, lives: 3 }]
+
+        cy.validateData(pets, polymorphicSchema, { endpoint: '/pets', method: 'GET', status: 200 })
+    })
+})
@@ -0,0 +1,26 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import polymorphicSchema from '../fixtures/schemas/openapi-polymorphic.json'
+
+
+describe('ALL TESTS SHOULD PASS', () => {
+
+    it('OpenAPI 3.0.1 - Array of pets matching the variants chosen by the discriminator', () => {
+        const pets = [
+            { petType: 'dog', name: 'Rex', bark: true },
+            { petType: 'cat', name: 'Tom', lives: 7 }
+        ]
+
+        cy.wrap({ status: 200, body: pets }, { log: false })
+            .validateSchema(polymorphicSchema, { endpoint: '/pets', method: 'GET', status: 200 })
+    })
+
+    it('OpenAPI 3.0.1 - Payment matching a variant of "anyOf" and a variant of "oneOf"', () => {
+        const payment = { id: 'p-1', method: { iban: 'ES9121000418450200051332' }, reference: 12345 }
+
+        cy.wrap({ status: 200, body: payment }, { log: false })
+            .validateSchema(polymorphicSchema, { endpoint: '/payments/{paymentId}', method: 'GET', status: 200 })
+    })
+})
@@ -0,0 +1,39 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+import mediaTypesSchema from '../fixtures/schemas/openapi-media-types.json'
+
+
+// The waivers are loaded by the Node plugin from 'cypress/fixtures/schema-waivers.json' (see cypress.config.js)
+const path = { endpoint: '/pet/{petId}', method: 'GET', status: 200 }
+
+describe('ALL TESTS SHOULD FAIL', () => {
+
+    it('Swagger 2.0 - Errors matched by an expired waiver', () => {
+        const body = { id: 10, name: 'doggie', photoUrls: [], status: 'adopted' }
+
+        cy.wrap({ status: 200, body }, { log: false })
+            .validateSchema(petstoreSchema, path)
+    })
+
+    it('Swagger 2.0 - Errors waived and errors not waived', () => {
+        const body = { id: '10', name: 'doggie', photoUrls: [], tags: [{ id: '1', name: 'tag1' }] }
+
+        cy.wrap({ status: 200, body }, { log: false })
+            .validateSchema(petstoreSchema, path)
+    })
+
+    it('Swagger 2.0 - Errors matched by the waiver of other operation', () => {
+        const body = [{ id: 10, name: 'doggie', photoUrls: [], tags: [{ id: '1', name: 'tag1' }] }]
+
+        cy.wrap({ status: 200, body }, { log: false })
+            .validateSchema(petstoreSchema, { endpoint: '/pet/findByStatus', method: 'GET', status: 200 })
+    })
+
+    it('OpenAPI 3.0.1 - Content type waived, body not valid against the JSON media type', { env: { schemaWaivers: [{ endpoint: '/orders/{orderId}', keyword: 'contentType', reason: 'Orders returned as text/plain', expires: '2099-12-31' }] } }, () => {
+        cy.wrap({ status: 200, headers: { 'content-type': 'text/plain' }, body: { id: '1' } }, { log: false })
+            .validateSchema(mediaTypesSchema, { endpoint: '/orders/{orderId}', method: 'GET', status: 200 })
+    })
+})
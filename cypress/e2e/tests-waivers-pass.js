@@ -0,0 +1,36 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import petstoreSchema from '../fixtures/schemas/petstore-swagger.json'
+import mediaTypesSchema from '../fixtures/schemas/openapi-media-types.json'
+
+
+// The waivers are loaded by the Node plugin from 'cypress/fixtures/schema-waivers.json' (see cypress.config.js)
+const path = { endpoint: '/pet/{petId}', method: 'GET', status: 200 }
+
+describe('ALL TESTS SHOULD PASS', () => {
+
+    it('Swagger 2.0 - Errors matched by a waiver with the array indices as a wildcard', () => {
+        const body = { id: 10, name: 'doggie', photoUrls: [], tags: [{ id: '1', name: 'tag1' }, { id: '2', name: 'tag2' }] }
+
+        cy.wrap({ status: 200, body }, { log: false })
+            .validateSchema(petstoreSchema, path)
+    })
+
+    it('Swagger 2.0 - Errors matched by several waivers', () => {
+        const body = { id: 10, name: 'doggie', tags: [{ id: '1', name: 'tag1' }] }
+
+        cy.wrap({ status: 200, body }, { log: false })
+            .validateSchema(petstoreSchema, path)
+    })
+
+    it('Swagger 2.0 - Waivers provided in the environment variable', { env: { schemaWaivers: [{ instancePath: '/id', keyword: 'type', reason: 'Ids returned as strings', expires: '2099-12-31' }] } }, () => {
+        cy.validateData({ id: '10', name: 'doggie', photoUrls: [] }, petstoreSchema, path)
+    })
+
+    it('OpenAPI 3.0.1 - Content type waived, body valid against the JSON media type', { env: { schemaWaivers: [{ endpoint: '/orders/{orderId}', keyword: 'contentType', reason: 'Orders returned as text/plain', expires: '2099-12-31' }] } }, () => {
+        cy.wrap({ status: 200, headers: { 'content-type': 'text/plain' }, body: { id: 1, total: 10.5 } }, { log: false })
+            .validateSchema(mediaTypesSchema, { endpoint: '/orders/{orderId}', method: 'GET', status: 200 })
+    })
+})
@@ -0,0 +1,42 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+
+// OpenAPI document split across several YAML files, loaded by the Node plugin
+const openApiYamlFile = 'cypress/fixtures/schemas/multi-file-openapi/openapi.yaml'
+
+// Response as yielded by cy.request() (the request URL is available in 'allRequestResponses')
+const apiResponse = (url, status, body) => {
+    return { status, body, headers: {}, allRequestResponses: [{ 'Request URL': url }] }
+}
+
+describe('ALL TESTS SHOULD FAIL', () => {
+
+    it('OpenAPI 3.0.1 (YAML) - Response body not valid against a schema in other file', () => {
+        const body = [
+            { id: 1, name: 'Rex', category: { name: 'Dogs' } },
+            { id: '2', name: 'Tom' }
+        ]
+
+        cy.wrap(apiResponse('https://pets.example.com/api/pets', 200, body), { log: false })
+            .validateSchema(openApiYamlFile, { endpoint: '/pets', method: 'GET', status: 200 })
+    })
+
+    it('OpenAPI 3.0.1 (YAML) - Response body not valid against a circular reference', () => {
+        const body = { id: 3, name: 'Rex Jr', parent: { id: 1, parent: { id: 0, name: 'Rex Sr' } } }
+
+        cy.wrap(apiResponse('https://pets.example.com/api/pets/3', 200, body), { log: false })
+            .validateSchema(openApiYamlFile)
+    })
+
+    it('OpenAPI 3.0.1 (YAML) - Reference to a JSON pointer not found in other file', () => {
+        cy.wrap(apiResponse('https://pets.example.com/pets', 200, []), { log: false })
+            .validateSchema('cypress/fixtures/schemas/multi-file-openapi/openapi-unresolved-ref.yaml', { endpoint: '/pets', method: 'GET', status: 200 })
+    })
+
+    it('File not found', () => {
+        cy.wrap(apiResponse('https://pets.example.com/api/pets', 200, []), { log: false })
+            .validateSchema('cypress/fixtures/schemas/multi-file-openapi/not-found.yaml')
+    })
+})
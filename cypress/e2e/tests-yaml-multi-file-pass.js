@@ -0,0 +1,39 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+
+// OpenAPI document split across several YAML files, loaded by the Node plugin
+const openApiYamlFile = 'cypress/fixtures/schemas/multi-file-openapi/openapi.yaml'
+
+// Response as yielded by cy.request() (the request URL is available in 'allRequestResponses')
+const apiResponse = (url, status, body) => {
+    return { status, body, headers: {}, allRequestResponses: [{ 'Request URL': url }] }
+}
+
+describe('ALL TESTS SHOULD PASS', () => {
+
+    it('OpenAPI 3.0.1 (YAML) - Path item and schemas in other files', () => {
+        const body = [
+            { id: 1, name: 'Rex', category: { id: 1, name: 'Dogs' } },
+            { id: 2, name: 'Tom' }
+        ]
+
+        cy.wrap(apiResponse('https://pets.example.com/api/pets', 200, body), { log: false })
+            .validateSchema(openApiYamlFile, { endpoint: '/pets', method: 'GET', status: 200 })
+    })
+
+    it('OpenAPI 3.0.1 (YAML) - Circular reference between files', () => {
+        const body = { id: 3, name: 'Rex Jr', parent: { id: 1, name: 'Rex', parent: { id: 0, name: 'Rex Sr' } } }
+
+        cy.wrap(apiResponse('https://pets.example.com/api/pets/3', 200, body), { log: false })
+            .validateSchema(openApiYamlFile)
+    })
+
+    it('OpenAPI 3.0.1 (YAML) - Response in other file referencing the root document', () => {
+        const body = { code: 500, message: 'Internal error' }
+
+        cy.wrap(apiResponse('https://pets.example.com/api/pets', 500, body), { log: false })
+            .validateSchema(openApiYamlFile, { endpoint: '/pets', method: 'GET', status: 500 })
+    })
+})
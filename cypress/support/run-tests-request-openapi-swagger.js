@@ -0,0 +1,39 @@
+/// <reference types="cypress" />
+
+import '../../src/index.js'
+
+import openApiSchema from '../fixtures/schemas/openapi-schema.json'
+import swaggerSchema from '../fixtures/schemas/swagger-schema.json'
+import tests from '../fixtures/mock-data-request-openapi-swagger/tests.json'
+
+
+const runTestsRequestOpenapiSwagger = (scenario) => {
+
+    [openApiSchema, swaggerSchema].forEach(schema => {
+
+        const schemaSpecVersion = schema.swagger ? `Swagger ${schema.swagger}` : `OpenAPI ${schema.openapi}`
+
+        context(`Request Body Schema Validation for ${schemaSpecVersion}`, () => {
+
+            tests.forEach(test => {
+
+                it(`${test.method} ${test.endpoint} (Request body sent with cy.request)`, () => {
+                    cy.fixture(`mock-data-request-openapi-swagger/${scenario}/${test.method}${test.endpoint}.json`).then((data) => {
+                        cy.wrap({ status: 201, body: {}, allRequestResponses: [{ 'Request Body': data }] }, { log: false })
+                            .validateRequestSchema(schema, { endpoint: test.endpoint, method: test.method })
+                    })
+                })
+
+                it(`${test.method} ${test.endpoint} (Request body of an intercepted request)`, () => {
+                    cy.fixture(`mock-data-request-openapi-swagger/${scenario}/${test.method}${test.endpoint}.json`).then((data) => {
+                        cy.wrap({ request: { method: test.method, body: data } }, { log: false })
+                            .validateRequestSchema(schema, { endpoint: test.endpoint, method: test.method })
+                    })
+                })
+
+            })
+        })
+    })
+}
+
+export default runTestsRequestOpenapiSwagger
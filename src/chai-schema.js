@@ -0,0 +1,73 @@
+/// <reference types="cypress" />
+
+import { validateSchema } from './schema-validator.js'
+import { formatErrors } from './error-groups.js'
+
+
+// ------------------------------------
+// MESSAGES
+// ------------------------------------
+
+const errorSchemaNotAvailable = 'The schema of the "match.schema" assertion must be a schema object or the name of a schema registered with cy.registerSchema()!'
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Creates the Chai plugin that adds the `match.schema` assertion, so the schema validation can be used in `expect()` blocks
+ * and in `should()` (retried by Cypress until the data matches the schema), with `not` support:
+ * - `expect(body).to.match.schema(schema, path, options)`
+ * - `cy.wrap(response).its('body').should('match.schema', schema, path, options)`
+ * The `match` assertion keeps its behavior (E.g.: `expect('abc').to.match(/b/)`), it can also be chained with `schema`.
+ * The data is validated with the same validator as the commands, without logging the results: the assertion message contains the schema errors,
+ * formatted as in the Cypress log of the commands.
+ * @public
+ *
+ * @param {object} helpers - The functions shared with the commands.
+ * @param {Function} helpers.getSchema - Gets the schema object from the schema provided (a schema object, or the name of a registered schema),
+ *   or undefined if not available. The assertion is synchronous, so schema files must be loaded first (E.g.: with `cy.registerSchema()`).
+ * @param {Function} helpers.describeOperation - Describes the operation validated (E.g.: 'GET /users/{id} (200)').
+ * @param {Function} helpers.getMaxErrorsToShow - Gets the maximum number of schema errors (or groups of errors) shown in the assertion message.
+ * @param {object} helpers.issuesStyles - The icons used to flag the schema errors in the assertion message.
+ *
+ * @returns {Function} - The Chai plugin, to be used with `chai.use()`.
+ */
+export const createChaiSchemaPlugin = ({ getSchema, describeOperation, getMaxErrorsToShow, issuesStyles }) => (chai, utils) => {
+    const { Assertion } = chai
+
+    // 'match' becomes chainable, so 'match.schema' can be used as a chainer in should(). When called, it is the 'match' assertion
+    // defined so far (built-in, or overwritten by other plugins), so any other use keeps its behavior
+    const matchMethod = Assertion.prototype.match
+
+    Assertion.addChainableMethod('match', function (...args) {
+        return matchMethod.apply(this, args)
+    }, function () {})
+
+    Assertion.addMethod('schema', function (schema, path, options = {}) {
+        const data = utils.flag(this, 'object')
+        const schemaObj = getSchema(schema)
+
+        if (schemaObj == null) {
+            console.log(errorSchemaNotAvailable)
+            throw new Error(errorSchemaNotAvailable)
+        }
+
+        const { strict = false, allowUndocumented = [], mediaType } = options
+        const { errors, dataMismatches } = validateSchema(data, schemaObj, path, issuesStyles, { strict, allowUndocumented, mediaType })
+
+        const operation = describeOperation(schemaObj, path)
+
+        // The data with the mismatches flagged is the actual value shown by Cypress when the assertion is clicked
+        this.assert(
+            !errors,
+            () => `expected the data to match the schema (${operation}), but it has ${errors.length} schema errors:\n${formatErrors(errors, getMaxErrorsToShow(options), issuesStyles)}`,
+            `expected the data not to match the schema (${operation})`,
+            undefined,
+            dataMismatches,
+            false
+        )
+    })
+}
+
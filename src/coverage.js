@@ -0,0 +1,84 @@
+/// <reference types="cypress" />
+
+import { isSpecificationDoc, getDocumentTitle, getDocumentId, normalizeFile, getOperationsInventory, getOperation, findResponseKey } from './schema-utils.js'
+
+
+// ------------------------------------
+// STATE
+// ------------------------------------
+
+/**
+ * Each Swagger or OpenAPI document validated in the spec file (`title`, `file` and the operations inventory), keyed by document id.
+ * @private
+ *
+ * @type {object}
+ */
+let coverageDocuments = {}
+
+/**
+ * Validations performed (or skipped) in the spec file. Each record contains: document, endpoint, method, status, responseKey, passed and skipped.
+ * @private
+ *
+ * @type {object[]}
+ */
+let coverageRecords = []
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Records the validation of a response against an operation of a Swagger or OpenAPI document, for the schema coverage report.
+ * Only recorded when the schema coverage has been enabled by the Node plugin (Cypress environment variable "schemaCoverage").
+ * @public
+ *
+ * @param {object} schema - The schema validated against. Plain JSON schemas are not recorded.
+ * @param {object} path - The path object to the operation validated (`endpoint`, `method` and `status`).
+ * @param {boolean} passed - Whether the response was valid against the schema.
+ * @param {boolean} [skipped=false] - Whether the validation was skipped, since it has been disabled for the operation.
+ * @param {string} [file] - The file the document was loaded from, if any.
+ */
+export const recordCoverage = (schema, path, passed, skipped = false, file = null) => {
+    if (!Cypress.env('schemaCoverage') || !isSpecificationDoc(schema) || path == null || path.endpoint == null) {
+        return
+    }
+
+    const document = getDocumentId(schema, file)
+
+    if (!coverageDocuments[document]) {
+        coverageDocuments[document] = { title: getDocumentTitle(schema), file: file && normalizeFile(file), operations: getOperationsInventory(schema) }
+    }
+
+    const method = (path.method || 'GET').toUpperCase()
+    const status = String(path.status || 200)
+    const { operation } = getOperation(schema, path)
+
+    coverageRecords.push({
+        document,
+        endpoint: path.endpoint,
+        method,
+        status,
+        responseKey: findResponseKey(operation.responses, status) || null, // Documented response that covers the status (null if not documented)
+        passed,
+        skipped
+    })
+}
+
+
+// ------------------------------------
+// GLOBAL HOOKS
+// ------------------------------------
+
+after(() => {
+    if (coverageRecords.length === 0) {
+        return
+    }
+
+    // Send the records of the spec file to the Node plugin, that merges them for the whole run and writes the report
+    const coverage = { documents: coverageDocuments, records: coverageRecords }
+    coverageDocuments = {}
+    coverageRecords = []
+
+    cy.task('schemaValidator:recordCoverage', coverage, { log: false })
+})
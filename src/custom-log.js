@@ -3,6 +3,9 @@
 import StyleHandler from './StyleHandler'
 
 
+// Stack of the log groups currently open (the log entries created with 'groupStart')
+const logGroups = []
+
 /**
  * Custom comant that kogs a message in Cypress Log with a specified color.
  * Additional properties are shown in the console when the log message is clicked.
@@ -14,20 +17,27 @@ import StyleHandler from './StyleHandler'
  * @param {string} options.displayName - The display name for the log message.
  * @param {Object} options.$el - The element associated with the log message.
  * @param {Object} [options.info={}] - Additional info to be included in the log message.
+ * @param {Function} [options.onClick] - Function called when the log message is clicked (when its additional properties are shown in the console).
+ * @param {boolean} [options.groupStart=false] - If true, the log message starts a collapsible group where the following log messages are nested.
+ * @param {boolean} [options.groupEnd=false] - If true, the innermost open group is closed after logging the message.
  * 
  * @example
  * cy.colorLog('You did not pass the test!', '#FF0000',
  *   { displayName: "ERROR:", info: { comments: 'Wrong!', toDo: 'Need way more practice.' } })
  */
 Cypress.Commands.add('colorLog',
-    (message, hexColor, { displayName, $el, info = {}}) => {
+    (message, hexColor, { displayName, $el, info = {}, onClick, groupStart = false, groupEnd = false }) => {
         const name = StyleHandler.getStyleName(hexColor)
-        Cypress.log({
+        const log = Cypress.log({
             displayName,
             message,
             name,
             $el,
             consoleProps: () => {
+                if (onClick) {
+                    onClick()
+                }
+
                 // return an object which will
                 // print to dev tools console on click
                 return {
@@ -38,6 +48,14 @@ Cypress.Commands.add('colorLog',
                     ...info
                 }
             },
+            groupStart,
         })
+
+        if (groupStart) {
+            logGroups.push(log)
+        }
+        if (groupEnd && logGroups.length > 0) {
+            logGroups.pop().endGroup()
+        }
     }
 )
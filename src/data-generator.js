@@ -0,0 +1,468 @@
+/**
+ * Generator of mock data from JSON schemas, and from the response definitions of Swagger and OpenAPI documents.
+ * The data is deterministic: the same schema and seed always generate the same data.
+ * Written as plain CommonJS without Cypress globals, so it can be used both from the browser and from Node.
+ */
+
+const _ = require('lodash')
+
+const { isSpecificationDoc, getOperation, getResponseDefinition, getResponseHeadersSchema, findMediaType, isJsonMediaType, resolveRef } = require('./schema-utils.js')
+
+
+// ------------------------------------
+// MESSAGES
+// ------------------------------------
+
+const errorInvalidSchema = `You must provide a valid schema!`
+const errorInvalidSchemaParameters = `You must provide valid schema parameters (missing 'endpoint' param)!`
+
+// Nesting depth from which the optional properties and array items are no longer generated (to stop on circular references)
+const maxOptionalDepth = 4
+
+// Nesting depth from which nothing is generated, even for required properties
+const maxDepth = 16
+
+const words = ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel', 'india', 'juliet', 'kilo', 'lima']
+
+const compositionKeywords = ['allOf', 'oneOf', 'anyOf']
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Generates data valid against a schema. For a Swagger or OpenAPI document, it generates the body of the response
+ * documented for the given endpoint, method and status.
+ * It honors types, formats, enums, constants, required properties, lengths and numeric ranges, and uses the `example` and `examples` provided.
+ * Regular expressions (`pattern`) are not honored, so provide an `example` for those properties.
+ * @public
+ *
+ * @param {object} schema - The schema: plain JSON schema, Swagger, or OpenAPI document.
+ * @param {object} [path] - The path object to the response definition in a Swagger or OpenAPI document. Not required if the schema is a plain JSON schema.
+ * @param {string} path.endpoint - The endpoint path.
+ * @param {string} [path.method] - The HTTP method. If not provided, it will use 'GET'.
+ * @param {integer} [path.status] - The response status code. If not provided, it will use 200.
+ * @param {object} [options] - Generation options.
+ * @param {integer|string} [options.seed=1] - The seed of the random values. The same seed always generates the same data.
+ * @param {boolean} [options.useExamples=true] - If true, the `example`, `examples` and `default` values of the schema are used when provided.
+ * @param {string} [options.mediaType] - The media type of the response definition (OpenAPI). If not provided, the JSON media type is used.
+ *
+ * @returns {any} - The data generated.
+ * @throws {Error} - If the schema is not valid, or the response definition is not found in the document.
+ */
+const generateFromSchema = (schema, path, options) => {
+    return generateResponse(schema, path, options).body
+}
+
+/**
+ * Generates a response valid against a schema (see `generateFromSchema()`), ready to stub a route with `cy.intercept()`.
+ * For a Swagger or OpenAPI document, the headers documented for the response are generated too. A response documented without
+ * a body (E.g.: a 404 with only a description, or a 204) has an empty body and no content type.
+ * @public
+ *
+ * @param {object} schema - The schema: plain JSON schema, Swagger, or OpenAPI document.
+ * @param {object} [path] - The path object to the response definition in a Swagger or OpenAPI document.
+ * @param {object} [options] - Generation options (see `generateFromSchema()`).
+ *
+ * @returns {object} - The response, containing `statusCode`, `headers` (the documented ones, and the content type if it has a body) and `body`.
+ * @throws {Error} - If the schema is not valid, or the response definition is not found in the document.
+ */
+const generateResponse = (schema, path = {}, { seed = 1, useExamples = true, mediaType } = {}) => {
+    if (!_.isPlainObject(schema)) {
+        console.log(errorInvalidSchema)
+        throw new Error(errorInvalidSchema)
+    }
+
+    const context = { root: schema, random: _createRandom(seed), useExamples }
+    const statusCode = Number(path.status) || 200
+
+    if (!isSpecificationDoc(schema)) {
+        return { statusCode, headers: { 'content-type': 'application/json' }, body: _generateValue(schema, context, 0) }
+    }
+
+    if (path.endpoint == null) {
+        console.log(errorInvalidSchemaParameters)
+        throw new Error(errorInvalidSchemaParameters)
+    }
+
+    const responseDef = getResponseDefinition(schema, path)
+    let schemaDef, exampleValues
+
+    if (schema.swagger) {
+        // Media types produced by the operation (or by the API), the JSON one if any
+        const produces = getOperation(schema, path).operation.produces || schema.produces || []
+        mediaType = mediaType || produces.find(isJsonMediaType) || produces[0] || 'application/json'
+        schemaDef = responseDef.schema
+        exampleValues = responseDef.examples && Object.prototype.hasOwnProperty.call(responseDef.examples, mediaType) ? [responseDef.examples[mediaType]] : []
+    } else {
+        mediaType = findMediaType(responseDef.content, mediaType)
+        const mediaTypeDef = (responseDef.content || {})[mediaType] || {}
+
+        schemaDef = mediaTypeDef.schema
+        exampleValues = 'example' in mediaTypeDef
+            ? [mediaTypeDef.example]
+            : Object.values(mediaTypeDef.examples || {}).map(example => (resolveRef(schema, example) || {}).value).filter(value => value !== undefined)
+    }
+
+    let body
+    if (useExamples && exampleValues.length > 0) {
+        body = _.cloneDeep(exampleValues[0])
+    } else if (schemaDef !== undefined) {
+        body = _generateValue(schemaDef, context, 0)
+    } else {
+        // Response documented without a body
+        return { statusCode, headers: _generateHeaders(schema, path, context), body: '' }
+    }
+
+    // The headers are generated after the body, so the same seed generates the same body whether headers are documented or not
+    return { statusCode, headers: { ..._generateHeaders(schema, path, context), ...(mediaType ? { 'content-type': mediaType } : {}) }, body }
+}
+
+
+// ------------------------------------
+// PRIVATE FUNCTIONS
+// ------------------------------------
+
+/**
+ * Generates the headers documented for a response of a Swagger or OpenAPI document, as strings (arrays as comma separated values).
+ * @private
+ *
+ * @param {object} spec - The Swagger or OpenAPI document.
+ * @param {object} path - The path object to the response definition.
+ * @param {object} context - The generation context.
+ *
+ * @returns {object} - The headers, by name in lowercase.
+ */
+const _generateHeaders = (spec, path, context) => {
+    const headers = _generateValue(getResponseHeadersSchema(spec, path), context, 0) || {}
+
+    return _.mapValues(headers, value => (Array.isArray(value) ? value.join(',') : String(value)))
+}
+
+/**
+ * Generates a value valid against a schema.
+ * @private
+ *
+ * @param {object} schema - The schema.
+ * @param {object} context - The generation context: `root` (the document to resolve local $ref), `random` and `useExamples`.
+ * @param {integer} depth - The nesting depth of the value.
+ *
+ * @returns {any} - The value generated.
+ */
+const _generateValue = (schema, context, depth) => {
+    if (!_.isPlainObject(schema) || depth > maxDepth) {
+        return null
+    }
+
+    if (typeof schema.$ref === 'string') {
+        return _generateValue(resolveRef(context.root, schema), context, depth)
+    }
+
+    if (context.useExamples) {
+        if ('example' in schema) {
+            return _.cloneDeep(schema.example)
+        }
+        if (Array.isArray(schema.examples) && schema.examples.length > 0) {
+            return _.cloneDeep(schema.examples[0])
+        }
+        if ('default' in schema) {
+            return _.cloneDeep(schema.default)
+        }
+    }
+
+    if ('const' in schema) {
+        return _.cloneDeep(schema.const)
+    }
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+        return _.cloneDeep(_pick(schema.enum, context.random))
+    }
+
+    const compositionKeyword = compositionKeywords.find(keyword => Array.isArray(schema[keyword]) && schema[keyword].length > 0)
+    if (compositionKeyword) {
+        return _generateComposition(schema, compositionKeyword, context, depth)
+    }
+
+    switch (_getType(schema)) {
+        case 'object':
+            return _generateObject(schema, context, depth)
+        case 'array':
+            return _generateArray(schema, context, depth)
+        case 'integer':
+        case 'number':
+            return _generateNumber(schema, context.random)
+        case 'boolean':
+            return context.random() < 0.5
+        case 'null':
+            return null
+        default:
+            return _generateString(schema, context.random)
+    }
+}
+
+/**
+ * Generates a value valid against a schema with `allOf` (merging the values of all the subschemas), or with `oneOf` or `anyOf`
+ * (taking the first subschema, and setting the discriminator property if there is one).
+ * @private
+ *
+ * @param {object} schema - The schema.
+ * @param {string} keyword - The composition keyword: 'allOf', 'oneOf' or 'anyOf'.
+ * @param {object} context - The generation context.
+ * @param {integer} depth - The nesting depth of the value.
+ *
+ * @returns {any} - The value generated.
+ */
+const _generateComposition = (schema, keyword, context, depth) => {
+    const subschemas = keyword === 'allOf' ? [...schema[keyword]] : [schema[keyword][0]]
+    const ownSchema = _.omit(schema, keyword)
+
+    // Keywords next to the composition keyword (E.g.: 'properties') also apply to the value
+    if (['type', 'properties', 'items', 'required'].some(ownKeyword => ownKeyword in ownSchema)) {
+        subschemas.unshift(ownSchema)
+    }
+
+    const value = subschemas
+        .map(subschema => _generateValue(subschema, context, depth + 1))
+        .reduce((merged, subValue) => (_.isPlainObject(merged) && _.isPlainObject(subValue) ? _.merge(merged, subValue) : subValue))
+
+    const { discriminator } = schema
+    const selected = schema[keyword][0]
+
+    if (keyword !== 'allOf' && discriminator && discriminator.propertyName && _.isPlainObject(value) && typeof selected.$ref === 'string') {
+        // The discriminator value is the mapping key of the subschema, or otherwise the name of the subschema
+        const mappingKey = Object.keys(discriminator.mapping || {}).find(key => discriminator.mapping[key] === selected.$ref)
+        value[discriminator.propertyName] = mappingKey || selected.$ref.split('/').pop()
+    }
+
+    return value
+}
+
+/**
+ * Generates an object: all the required properties and, up to a nesting depth, the optional ones (except write only properties).
+ * @private
+ *
+ * @param {object} schema - The object schema.
+ * @param {object} context - The generation context.
+ * @param {integer} depth - The nesting depth of the object.
+ *
+ * @returns {object} - The object generated.
+ */
+const _generateObject = (schema, context, depth) => {
+    const properties = schema.properties || {}
+    const required = schema.required || []
+    const object = {}
+
+    Object.entries(properties).forEach(([name, propertySchema]) => {
+        const resolvedSchema = resolveRef(context.root, propertySchema) || {}
+
+        if (required.includes(name) || (depth < maxOptionalDepth && !resolvedSchema.writeOnly)) {
+            object[name] = _generateValue(propertySchema, context, depth + 1)
+        }
+    })
+
+    // Required properties not declared in 'properties'
+    required.filter(name => !(name in object)).forEach(name => {
+        object[name] = _generateValue(_.isPlainObject(schema.additionalProperties) ? schema.additionalProperties : {}, context, depth + 1)
+    })
+
+    return object
+}
+
+/**
+ * Generates an array with the minimum number of items (or one item, up to a nesting depth).
+ * @private
+ *
+ * @param {object} schema - The array schema.
+ * @param {object} context - The generation context.
+ * @param {integer} depth - The nesting depth of the array.
+ *
+ * @returns {Array} - The array generated.
+ */
+const _generateArray = (schema, context, depth) => {
+    const defaultItems = depth < maxOptionalDepth ? 1 : 0
+    const length = Math.max(schema.minItems || 0, Math.min(defaultItems, schema.maxItems === undefined ? defaultItems : schema.maxItems))
+
+    return Array.from({ length }, (value, i) => {
+        // Tuples (Draft 7 'items' as array, or Draft 2020-12 'prefixItems')
+        const tupleItems = Array.isArray(schema.items) ? schema.items : schema.prefixItems
+        const itemSchema = tupleItems ? (tupleItems[i] || {}) : schema.items
+
+        return _generateValue(itemSchema || {}, context, depth + 1)
+    })
+}
+
+/**
+ * Generates a number (or integer) within the range of the schema (`minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum` and `multipleOf`).
+ * @private
+ *
+ * @param {object} schema - The number or integer schema.
+ * @param {Function} random - The random number generator.
+ *
+ * @returns {number} - The number generated.
+ */
+const _generateNumber = (schema, random) => {
+    const isInteger = _getType(schema) === 'integer'
+    const step = isInteger ? 1 : 0.01
+
+    // 'exclusiveMinimum' and 'exclusiveMaximum' are booleans in Draft 4 (Swagger and OpenAPI 3.0), and numbers since Draft 6
+    let min = typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum + step : schema.minimum
+    let max = typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum - step : schema.maximum
+
+    if (schema.exclusiveMinimum === true && min !== undefined) min += step
+    if (schema.exclusiveMaximum === true && max !== undefined) max -= step
+
+    if (min === undefined) min = max === undefined ? 1 : max - 1000
+    if (max === undefined) max = min + 1000
+
+    if (schema.multipleOf) {
+        const first = Math.ceil(min / schema.multipleOf)
+        const last = Math.floor(max / schema.multipleOf)
+        return (first + Math.floor(random() * (last - first + 1))) * schema.multipleOf
+    }
+
+    if (isInteger) {
+        min = Math.ceil(min)
+        max = Math.floor(max)
+        return min + Math.floor(random() * (max - min + 1))
+    }
+
+    return Math.min(max, Math.round((min + random() * (max - min)) * 100) / 100)
+}
+
+/**
+ * Generates a string for the format of the schema (E.g.: 'date-time', 'email' or 'uuid'), or otherwise a word within the length of the schema.
+ * @private
+ *
+ * @param {object} schema - The string schema.
+ * @param {Function} random - The random number generator.
+ *
+ * @returns {string} - The string generated.
+ */
+const _generateString = (schema, random) => {
+    const number = 1 + Math.floor(random() * 999)
+    const word = _pick(words, random)
+    // Any date in 2024
+    const dateTime = new Date(Date.UTC(2024, 0, 1) + Math.floor(random() * 366 * 24 * 3600) * 1000).toISOString()
+
+    switch (schema.format) {
+        case 'date-time':
+            return dateTime
+        case 'date':
+            return dateTime.slice(0, 10)
+        case 'time':
+            return `${dateTime.slice(11, 19)}Z`
+        case 'email':
+        case 'idn-email':
+            return `${word}${number}@example.com`
+        case 'hostname':
+        case 'idn-hostname':
+            return `${word}${number}.example.com`
+        case 'ipv4':
+            return `192.168.${number % 256}.${Math.floor(random() * 256)}`
+        case 'ipv6':
+            return `2001:db8::${number.toString(16)}`
+        case 'uri':
+        case 'url':
+        case 'iri':
+        case 'uri-reference':
+        case 'iri-reference':
+            return `https://example.com/${word}/${number}`
+        case 'uuid':
+            return _generateUuid(random)
+        case 'byte':
+            return btoa(`${word}${number}`)
+        case 'password':
+            return `${_.capitalize(word)}${number}!`
+        default: {
+            let value = `${word}-${number}`
+
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                value = value.padEnd(schema.minLength, 'x')
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                value = value.slice(0, schema.maxLength)
+            }
+            return value
+        }
+    }
+}
+
+/**
+ * Generates a UUID (version 4).
+ * @private
+ *
+ * @param {Function} random - The random number generator.
+ *
+ * @returns {string} - The UUID.
+ */
+const _generateUuid = (random) => {
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+        const value = Math.floor(random() * 16)
+        return (char === 'x' ? value : (value & 0x3) | 0x8).toString(16)
+    })
+}
+
+/**
+ * Gets the type of a schema, from its `type` (the first one that is not 'null' if it is a list of types) or otherwise from its keywords.
+ * @private
+ *
+ * @param {object} schema - The schema.
+ *
+ * @returns {string} - The type.
+ */
+const _getType = (schema) => {
+    if (Array.isArray(schema.type)) {
+        return schema.type.find(type => type !== 'null') || 'null'
+    }
+    if (schema.type) {
+        return schema.type
+    }
+
+    if (schema.properties || schema.additionalProperties || schema.required) return 'object'
+    if (schema.items || schema.prefixItems) return 'array'
+    if (['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf'].some(keyword => keyword in schema)) return 'number'
+
+    return 'string'
+}
+
+/**
+ * Picks an item of a list.
+ * @private
+ *
+ * @param {Array} list - The list.
+ * @param {Function} random - The random number generator.
+ *
+ * @returns {any} - The item picked.
+ */
+const _pick = (list, random) => {
+    return list[Math.floor(random() * list.length)]
+}
+
+/**
+ * Creates a seeded random number generator (Mulberry32), so the same seed always generates the same sequence.
+ * @private
+ *
+ * @param {integer|string} seed - The seed.
+ *
+ * @returns {Function} - A function that returns a number between 0 (included) and 1 (excluded).
+ */
+const _createRandom = (seed) => {
+    // String seeds are hashed into a 32-bit integer
+    let state = typeof seed === 'number'
+        ? seed >>> 0
+        : String(seed).split('').reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0, 2166136261)
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+
+module.exports = {
+    generateFromSchema,
+    generateResponse
+}
@@ -0,0 +1,134 @@
+/// <reference types="cypress" />
+
+// ------------------------------------
+// MESSAGES
+// ------------------------------------
+
+const iconMoreErrors = '➕'
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Groups the schema errors that are the same error repeated in the items of arrays: errors with the same keyword and the same
+ * path once the array indices are replaced by '*' (E.g.: '/0/name' and '/1/name' are grouped together). The property missing or undocumented
+ * is part of the path, so each one is a group of its own.
+ * @public
+ *
+ * @param {object[]} errors - The schema errors, as provided by Ajv.
+ *
+ * @returns {object[]} - The groups of errors, in order of first occurrence. Each group contains: path (normalized), keyword, message
+ *   (of the first error), count, indices (the array indices of each error, E.g.: '3' or '3/0' for nested arrays) and errors.
+ */
+export const groupErrors = (errors) => {
+    const groups = new Map()
+
+    errors.forEach(error => {
+        const segments = error.instancePath.split('/').slice(1)
+        const pathSegments = segments.map(segment => (/^\d+$/.test(segment) ? '*' : segment))
+
+        if (error.keyword === 'required') {
+            pathSegments.push(error.params.missingProperty)
+        } else if (error.keyword === 'undocumentedProperty') {
+            pathSegments.push(error.params.undocumentedProperty)
+        }
+
+        const path = `/${pathSegments.join('/')}`
+        const key = `${path} ${error.keyword}`
+
+        if (!groups.has(key)) {
+            groups.set(key, { path, keyword: error.keyword, message: error.message, count: 0, indices: [], errors: [] })
+        }
+
+        const group = groups.get(key)
+        const indices = segments.filter(segment => /^\d+$/.test(segment))
+
+        group.count++
+        group.errors.push(error)
+        if (indices.length) {
+            group.indices.push(indices.join('/'))
+        }
+    })
+
+    return [...groups.values()]
+}
+
+/**
+ * Splits the groups of errors into the first 'maxErrorsToShow' groups, shown one by one, and the rest of groups, shown as a single line
+ * (to avoid showing a huge amount of errors). If there is only one group more than 'maxErrorsToShow', all the groups are shown,
+ * since there would anyway be one more line.
+ * @public
+ *
+ * @param {object[]} errorGroups - The groups of errors, as returned by `groupErrors()`.
+ * @param {integer} maxErrorsToShow - The maximum number of groups of errors shown.
+ *
+ * @returns {object} - An object containing `groupsToShow` and `restOfGroups` (undefined if all the groups are shown).
+ */
+export const splitErrorGroups = (errorGroups, maxErrorsToShow) => {
+    if (errorGroups.length > maxErrorsToShow + 1) {
+        return { groupsToShow: errorGroups.slice(0, maxErrorsToShow), restOfGroups: errorGroups.slice(maxErrorsToShow) }
+    }
+    return { groupsToShow: errorGroups }
+}
+
+/**
+ * Gets the icon and the color of a schema error, depending on whether it is a property missing, undocumented or with other error.
+ * @public
+ *
+ * @param {object} error - The schema error, as provided by Ajv.
+ * @param {object} issuesStyles - An object with the icons and HEX colors used to flag the issues.
+ *
+ * @returns {object} - An object containing `iconError` and `colorError`.
+ */
+export const getErrorStyle = (error, issuesStyles) => {
+    const { iconPropertyError, colorPropertyError, iconPropertyMissing, colorPropertyMissing, iconPropertyUndocumented, colorPropertyUndocumented } = issuesStyles
+
+    if (error.keyword === 'required') {
+        return { iconError: iconPropertyMissing, colorError: colorPropertyMissing }
+    } else if (error.keyword === 'undocumentedProperty') {
+        return { iconError: iconPropertyUndocumented, colorError: colorPropertyUndocumented }
+    }
+    return { iconError: iconPropertyError, colorError: colorPropertyError }
+}
+
+/**
+ * Describes the occurrences of a group of errors (E.g.: '12 occurrences, at indices 0, 1, 2, 3, 4...').
+ * @public
+ *
+ * @param {object} group - The group of errors, as returned by `groupErrors()`.
+ *
+ * @returns {string} - The description of the occurrences.
+ */
+export const describeOccurrences = (group) => {
+    const sampleIndices = group.indices.slice(0, 5).join(', ') + (group.indices.length > 5 ? '...' : '')
+
+    return `${group.count} occurrences${group.indices.length ? `, at indices ${sampleIndices}` : ''}`
+}
+
+/**
+ * Formats the schema errors as text, as they are shown in the Cypress log: one line per error or group of errors repeated in the items
+ * of arrays, flagged with its icon (E.g.: "⚠️ /id must be integer"), and a last line with the number of errors not shown.
+ * @public
+ *
+ * @param {object[]} errors - The schema errors, as provided by Ajv.
+ * @param {integer} maxErrorsToShow - The maximum number of errors (or groups of errors) shown.
+ * @param {object} issuesStyles - An object with the icons used to flag the issues.
+ *
+ * @returns {string} - The errors formatted.
+ */
+export const formatErrors = (errors, maxErrorsToShow, issuesStyles) => {
+    const { groupsToShow, restOfGroups } = splitErrorGroups(groupErrors(errors), maxErrorsToShow)
+
+    const lines = groupsToShow.map(group => {
+        const { iconError } = getErrorStyle(group.errors[0], issuesStyles)
+        return `${iconError} ${group.path} ${group.message}${group.count > 1 ? ` (${describeOccurrences(group)})` : ''}`
+    })
+
+    if (restOfGroups) {
+        lines.push(`${iconMoreErrors} ...and ${restOfGroups.flatMap(group => group.errors).length} more errors.`)
+    }
+
+    return lines.join('\n')
+}
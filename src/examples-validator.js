@@ -0,0 +1,282 @@
+/**
+ * Validator of the examples of Swagger and OpenAPI documents against their own schemas.
+ * Written as plain CommonJS without Cypress globals, so it can be used both from the browser and from Node.
+ */
+
+const { validateDerivedSchema } = require('./schema-validator.js')
+const { isSpecificationDoc, getOperationMethods, isJsonMediaType, buildSchema, resolveRef } = require('./schema-utils.js')
+
+
+// ------------------------------------
+// MESSAGES
+// ------------------------------------
+
+const errorNotSpecificationDoc = 'The examples can only be validated in Swagger or OpenAPI documents!'
+
+// Keywords of a schema with nested schemas: a schema, a map of schemas or an array of schemas
+const nestedSchemaKeywords = {
+    schema: ['items', 'additionalProperties', 'not'],
+    schemaMap: ['properties', 'patternProperties'],
+    schemaArray: ['allOf', 'anyOf', 'oneOf', 'items']
+}
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Validates every example of a Swagger or OpenAPI document against its own schema:
+ * - The `example` of any schema or nested schema (definitions or components, and the schemas of the operations).
+ * - The examples of the request bodies and responses of the operations, for the JSON media types (OpenAPI `example` and `examples`,
+ *   and Swagger `examples`).
+ * - The examples of the parameters and response headers (OpenAPI `example` and `examples`).
+ * Each example is identified by its JSON pointer in the document, and each schema error by the JSON pointer of the value that is not valid.
+ * @public
+ *
+ * @param {object} spec - The Swagger or OpenAPI document.
+ *
+ * @returns {object} - An object containing `examples` (the number of examples validated), `valid` (the number of examples valid)
+ *   and `failures` (for each example not valid: `pointer`, `schemaPointer`, `example`, `errors` and `dataMismatches`).
+ * @throws {Error} - If the document is not a Swagger or OpenAPI document.
+ */
+const validateExamples = (spec) => {
+    if (!isSpecificationDoc(spec)) {
+        throw new Error(errorNotSpecificationDoc)
+    }
+
+    const examples = _collectExamples(spec)
+
+    const failures = examples
+        .map(({ pointer, schemaPointer, schema, example }) => {
+            // The schema of each example is compiled only the first time the document is validated
+            const { errors, dataMismatches } = validateDerivedSchema(example, spec, `example:${pointer}`, () => buildSchema(spec, schema))
+
+            return errors && {
+                pointer,
+                schemaPointer,
+                example,
+                errors: errors.map(error => ({ ...error, pointer: `${pointer}${error.instancePath}` })),
+                dataMismatches
+            }
+        })
+        .filter(failure => failure)
+
+    return {
+        examples: examples.length,
+        valid: examples.length - failures.length,
+        failures
+    }
+}
+
+
+// ------------------------------------
+// PRIVATE FUNCTIONS
+// ------------------------------------
+
+/**
+ * Collects all the examples of a Swagger or OpenAPI document, with the schema each one must be valid against.
+ * @private
+ *
+ * @param {object} spec - The Swagger or OpenAPI document.
+ *
+ * @returns {object[]} - The examples, containing `pointer`, `schemaPointer`, `schema` and `example`.
+ */
+const _collectExamples = (spec) => {
+    const examples = []
+
+    // Definitions (Swagger) or components (OpenAPI) schemas
+    const schemas = spec.swagger ? spec.definitions : (spec.components || {}).schemas
+    Object.entries(schemas || {}).forEach(([name, schema]) => {
+        _collectSchemaExamples(schema, spec.swagger ? ['definitions', name] : ['components', 'schemas', name], examples)
+    })
+
+    // Operations
+    Object.entries(spec.paths || {}).forEach(([endpoint, pathItemObj]) => {
+        const pathItem = resolveRef(spec, pathItemObj) || {}
+
+        getOperationMethods(spec, endpoint).forEach(method => {
+            const operation = pathItem[method]
+            const operationSegments = ['paths', endpoint, method]
+
+            // Parameters of the path item and the operation
+            const parameters = [
+                ...(pathItem.parameters || []).map((parameter, i) => ({ parameter, segments: ['paths', endpoint, 'parameters', String(i)] })),
+                ...(operation.parameters || []).map((parameter, i) => ({ parameter, segments: [...operationSegments, 'parameters', String(i)] }))
+            ]
+            parameters.forEach(({ parameter, segments }) => {
+                _collectObjectExamples(spec, resolveRef(spec, parameter), segments, examples)
+            })
+
+            if (spec.openapi && operation.requestBody) {
+                _collectContentExamples(spec, resolveRef(spec, operation.requestBody), [...operationSegments, 'requestBody'], examples)
+            }
+
+            Object.entries(operation.responses || {}).forEach(([status, responseObj]) => {
+                const response = resolveRef(spec, responseObj) || {}
+                const responseSegments = [...operationSegments, 'responses', status]
+
+                if (spec.openapi) {
+                    _collectContentExamples(spec, response, responseSegments, examples)
+                } else if (response.schema) {
+                    _collectSchemaExamples(response.schema, [...responseSegments, 'schema'], examples)
+
+                    Object.entries(response.examples || {})
+                        .filter(([mediaType]) => isJsonMediaType(mediaType))
+                        .forEach(([mediaType, example]) => {
+                            examples.push(_example([...responseSegments, 'examples', mediaType], [...responseSegments, 'schema'], response.schema, example))
+                        })
+                }
+
+                Object.entries(response.headers || {}).forEach(([name, header]) => {
+                    _collectObjectExamples(spec, resolveRef(spec, header), [...responseSegments, 'headers', name], examples)
+                })
+            })
+        })
+    })
+
+    return examples
+}
+
+/**
+ * Collects the examples of the media types of a request body or response (OpenAPI), for the JSON media types.
+ * @private
+ *
+ * @param {object} spec - The OpenAPI document.
+ * @param {object} obj - The request body or response object.
+ * @param {string[]} segments - The path of the object in the document.
+ * @param {object[]} examples - The examples collected.
+ */
+const _collectContentExamples = (spec, obj, segments, examples) => {
+    Object.entries((obj && obj.content) || {})
+        .filter(([mediaType]) => isJsonMediaType(mediaType))
+        .forEach(([mediaType, mediaTypeObj]) => {
+            _collectObjectExamples(spec, mediaTypeObj, [...segments, 'content', mediaType], examples)
+        })
+}
+
+/**
+ * Collects the examples of an object with a `schema` and its own `example` or `examples` (OpenAPI media type, parameter or header),
+ * and the examples of its schema. The examples of Swagger parameters and headers are the examples of their schema.
+ * @private
+ *
+ * @param {object} spec - The Swagger or OpenAPI document.
+ * @param {object} obj - The object.
+ * @param {string[]} segments - The path of the object in the document.
+ * @param {object[]} examples - The examples collected.
+ */
+const _collectObjectExamples = (spec, obj, segments, examples) => {
+    if (obj == null) {
+        return
+    }
+
+    // Swagger parameters (other than body) and headers are schemas themselves
+    const schema = spec.swagger && obj.in !== 'body' ? obj : obj.schema
+    const schemaSegments = schema === obj ? segments : [...segments, 'schema']
+
+    if (schema == null) {
+        return
+    }
+
+    if (schema !== obj) {
+        _collectSchemaExamples(schema, schemaSegments, examples)
+
+        if (obj.example !== undefined) {
+            examples.push(_example([...segments, 'example'], schemaSegments, schema, obj.example))
+        }
+
+        // The Examples Objects can be references (E.g.: to '#/components/examples/User'), and an external value is not validated
+        Object.entries(obj.examples || {}).forEach(([name, exampleObj]) => {
+            const exampleResolved = resolveRef(spec, exampleObj)
+
+            if (exampleResolved != null && exampleResolved.value !== undefined) {
+                examples.push(_example([...segments, 'examples', name, 'value'], schemaSegments, schema, exampleResolved.value))
+            }
+        })
+    } else if (schema.example !== undefined) {
+        examples.push(_example([...segments, 'example'], schemaSegments, _parameterSchema(schema), schema.example))
+    }
+}
+
+/**
+ * Collects recursively the examples of a schema and its nested schemas (`example`, and the `examples` array of newer JSON schema drafts).
+ * References are not followed, since the referenced schemas are collected themselves.
+ * @private
+ *
+ * @param {object} schema - The schema.
+ * @param {string[]} segments - The path of the schema in the document.
+ * @param {object[]} examples - The examples collected.
+ */
+const _collectSchemaExamples = (schema, segments, examples) => {
+    if (schema == null || typeof schema !== 'object' || Array.isArray(schema)) {
+        return
+    }
+
+    if (schema.example !== undefined) {
+        examples.push(_example([...segments, 'example'], segments, schema, schema.example))
+    }
+    if (Array.isArray(schema.examples)) {
+        schema.examples.forEach((example, i) => {
+            examples.push(_example([...segments, 'examples', String(i)], segments, schema, example))
+        })
+    }
+
+    nestedSchemaKeywords.schema.forEach(keyword => {
+        _collectSchemaExamples(schema[keyword], [...segments, keyword], examples)
+    })
+    nestedSchemaKeywords.schemaMap.forEach(keyword => {
+        Object.entries(schema[keyword] || {}).forEach(([name, nestedSchema]) => {
+            _collectSchemaExamples(nestedSchema, [...segments, keyword, name], examples)
+        })
+    })
+    nestedSchemaKeywords.schemaArray.forEach(keyword => {
+        if (Array.isArray(schema[keyword])) {
+            schema[keyword].forEach((nestedSchema, i) => _collectSchemaExamples(nestedSchema, [...segments, keyword, String(i)], examples))
+        }
+    })
+}
+
+/**
+ * Gets the schema of a Swagger parameter (other than body) or header, without the properties that are not schema keywords.
+ * @private
+ *
+ * @param {object} parameter - The Swagger parameter or header.
+ *
+ * @returns {object} - The schema.
+ */
+const _parameterSchema = (parameter) => {
+    const { name, in: location, description, required, allowEmptyValue, collectionFormat, example, ...schema } = parameter
+    return schema
+}
+
+/**
+ * Builds an example to validate.
+ * @private
+ *
+ * @param {string[]} segments - The path of the example in the document.
+ * @param {string[]} schemaSegments - The path of its schema in the document.
+ * @param {object} schema - The schema the example must be valid against.
+ * @param {any} example - The example.
+ *
+ * @returns {object} - The example, containing `pointer`, `schemaPointer`, `schema` and `example`.
+ */
+const _example = (segments, schemaSegments, schema, example) => {
+    return { pointer: _toPointer(segments), schemaPointer: _toPointer(schemaSegments), schema, example }
+}
+
+/**
+ * Builds a JSON pointer from the path segments, escaping '~' and '/' (E.g.: ['paths', '/pet', 'post'] => '/paths/~1pet/post').
+ * @private
+ *
+ * @param {string[]} segments - The path segments.
+ *
+ * @returns {string} - The JSON pointer.
+ */
+const _toPointer = (segments) => {
+    return segments.map(segment => `/${String(segment).replaceAll('~', '~0').replaceAll('/', '~1')}`).join('')
+}
+
+
+module.exports = {
+    validateExamples
+}
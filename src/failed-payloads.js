@@ -0,0 +1,67 @@
+/// <reference types="cypress" />
+
+// ------------------------------------
+// MESSAGES
+// ------------------------------------
+
+const iconSaved = '💾'
+
+// Options of cy.validateSchema() kept to replay the validation (the validation mode is not kept, so the replay fails as the original one)
+const replayedOptions = ['validateStatus', 'validateHeaders', 'strict', 'allowUndocumented']
+
+
+// ------------------------------------
+// STATE
+// ------------------------------------
+
+/**
+ * Identifies this run of the spec file, so the Node plugin names the files of each run from scratch (E.g.: when a spec file is run again in `cypress open`).
+ * @private
+ *
+ * @type {integer}
+ */
+const specRun = Date.now()
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Saves the response that failed the schema validation as a fixture, with the operation it was checked against and a spec snippet
+ * that replays the validation offline. The files are written by the Node plugin, and their paths are shown in the Cypress log.
+ * Only saved when enabled by the Node plugin (Cypress environment variable "schemaFailedPayloads").
+ * @public
+ *
+ * @param {object} failedValidation - The failed validation of the response.
+ * @param {object} failedValidation.response - The API response (`status`, `headers` and `body`).
+ * @param {object} failedValidation.schema - The schema validated against (plain JSON schema, Swagger or OpenAPI document).
+ * @param {object} [failedValidation.path] - The path object to the operation validated.
+ * @param {string} failedValidation.operation - The operation validated (E.g.: 'GET /users/{id} (200)').
+ * @param {object} failedValidation.options - The options of `cy.validateSchema()`.
+ * @param {object[]} failedValidation.failures - The failed validations, each containing `target` and `errors`.
+ */
+export const saveFailedPayload = ({ response, schema, path, operation, options, failures }) => {
+    if (!Cypress.env('schemaFailedPayloads') || failures.length === 0) {
+        return
+    }
+
+    const failure = {
+        spec: Cypress.spec.relative,
+        specRun,
+        test: (Cypress.currentTest && Cypress.currentTest.titlePath) || [],
+        operation,
+        schema,
+        path: path && { endpoint: path.endpoint, method: path.method, status: path.status },
+        options: Cypress._.pick(options, replayedOptions),
+        failures: failures.map(({ target, errors }) => ({ validation: target.label, errors })),
+        response: { status: response.status, headers: response.headers, body: response.body }
+    }
+
+    cy.task('schemaValidator:saveFailedPayload', failure, { log: false }).then(({ fixture, snippet }) => {
+        cy.colorLog(`**FAILING RESPONSE SAVED AS A FIXTURE** (${fixture}).`,
+            '#9e9e9e',
+            { displayName: `${iconSaved} SAVED -`, info: { fixture, snippet } }
+        )
+    })
+}
@@ -1,16 +1,55 @@
 /// <reference types="cypress" />
 
+import type { Options, Format, FormatDefinition, KeywordDefinition } from 'ajv';
+
 declare global {
   namespace Cypress {
+    interface IssuesStyles {
+      iconPropertyError?: string;
+      colorPropertyError?: string;
+      iconPropertyMissing?: string;
+      colorPropertyMissing?: string;
+      iconPropertyUndocumented?: string;
+      colorPropertyUndocumented?: string;
+    }
+
+    interface GenerateFromSchemaOptions {
+      /** The seed of the random values. The same seed always generates the same data. Defaults to 1. */
+      seed?: number | string;
+      /** If true (default), the `example`, `examples` and `default` values of the schema are used when provided. */
+      useExamples?: boolean;
+      /** The media type of the response definition (OpenAPI). If not provided, the JSON media type is used. */
+      mediaType?: string;
+    }
+
+    /**
+     * What to do when a schema validation fails: 'hard' fails the test right away, 'soft' fails the test at the end
+     * with a summary of all the failures, and 'warn' only logs the failure.
+     */
+    type SchemaValidationMode = 'hard' | 'soft' | 'warn';
+
     interface Chainable<Subject = any> {
       /**
        * Validates the response body against the provided JSON schema.
+       * It can be chained to the response of `cy.request()` or `cy.api()`, or to an interception yielded by `cy.wait('@alias')`.
        *
-       * @param {object} schema - The schema to validate against. Supported formats are plain JSON schema, Swagger, and OpenAPI documents. See https://ajv.js.org/json-schema.html for more information.
+       * @param {object|string} schema - The schema to validate against. Supported formats are plain JSON schema, Swagger, and OpenAPI documents. See https://ajv.js.org/json-schema.html for more information.
+       *   It can also be the name of a schema registered with `cy.registerSchema()`, or the path of a YAML or JSON file (relative to the project root),
+       *   that may reference other files with `$ref`. Requires the Node plugin.
        * @param {object} [path] - The path object to the schema definition in a Swagger or OpenAPI document. Not required if the schema is a plain JSON schema.
-       * @param {string} [path.endpoint] - The endpoint path. Required if the schema is a Swagger or OpenAPI document.
+       * @param {string} [path.endpoint] - The endpoint path. If not provided for a Swagger or OpenAPI document, the operation is resolved from the request URL, method and response status.
        * @param {string} [path.method] - The HTTP method. If not provided, it will use 'GET'.
-       * @param {integer} [path.status] - The response status code. If not provided, it will use 200.
+       * @param {integer} [path.status] - The response status code. If not provided, it will use 200 (or the actual response status when `options.validateStatus` is true).
+       * @param {object} [issuesStyles] - An object with the icons and HEX colors used to flag the issues.
+       * @param {object} [options] - Additional validations (`validateStatus` and `validateHeaders` only for Swagger and OpenAPI documents).
+       * @param {boolean} [options.validateStatus] - If true, fails when the actual response status is not documented for the operation, or is different from `path.status`.
+       * @param {boolean} [options.validateHeaders] - If true, validates the response headers against the headers declared for the response.
+       * @param {string} [options.mode] - What to do when the validation fails: 'hard' (default), 'soft' or 'warn'. Defaults to the environment variable "schemaValidationMode".
+       * @param {number} [options.maxErrorsToShow] - The maximum number of errors (or groups of repeated errors) shown in the Cypress log. Defaults to the environment variable "schemaMaxErrorsToShow", or 10.
+       * @param {boolean} [options.strict] - If true, every property of the response body not declared in the schema is flagged as a mismatch.
+       * @param {string[]} [options.allowUndocumented] - Paths of the response body skipped in strict mode (E.g.: ['meta', 'items.*.debug']).
+       * @param {boolean} [options.offload] - If true, the response body is validated in the Node process by the plugin, and only its first mismatches are shown on the UI.
+       *   If false, it is validated in the browser. Defaults to validating in the Node process the bodies larger than the environment variable "schemaOffloadThreshold".
        * 
        * @returns {Cypress.Chainable} - The response object wrapped in a Cypress.Chainable.
        * @throws {Error} - If any of the required parameters are missing or if the schema or schema definition is not found.
@@ -35,14 +74,409 @@ declare global {
        * ```
        */
       validateSchema(
-        schema: Record<string, any>,
+        schema: Record<string, any> | string,
         path?: {
-          endpoint: string;
+          endpoint?: string;
           method?: string;
           status?: number;
+        },
+        issuesStyles?: IssuesStyles,
+        options?: {
+          validateStatus?: boolean;
+          validateHeaders?: boolean;
+          mode?: SchemaValidationMode;
+          maxErrorsToShow?: number;
+          strict?: boolean;
+          allowUndocumented?: string[];
+          offload?: boolean;
         }
       ): Chainable<Subject>;
+
+      /**
+       * Validates the body of the request that was sent against the provided JSON schema.
+       * It can be chained to the response of `cy.request()` or `cy.api()`, or to an interception yielded by `cy.wait('@alias')`.
+       *
+       * @param {object|string} schema - The schema to validate against. Supported formats are plain JSON schema, Swagger, and OpenAPI documents,
+       *   or the path of a YAML or JSON file with any of them.
+       * @param {object} [path] - The path object to the operation in a Swagger or OpenAPI document. Not required if the schema is a plain JSON schema.
+       * @param {string} [path.endpoint] - The endpoint path. If not provided for a Swagger or OpenAPI document, the operation is resolved from the request URL and method.
+       * @param {string} [path.method] - The HTTP method. If not provided, it will use 'GET'.
+       * @param {object} [issuesStyles] - An object with the icons and HEX colors used to flag the issues.
+       * @param {object} [options] - Additional options.
+       * @param {string} [options.mode] - What to do when the validation fails: 'hard' (default), 'soft' or 'warn'. Defaults to the environment variable "schemaValidationMode".
+       * @param {number} [options.maxErrorsToShow] - The maximum number of errors (or groups of repeated errors) shown in the Cypress log. Defaults to the environment variable "schemaMaxErrorsToShow", or 10.
+       *
+       * @returns {Cypress.Chainable} - The response (or interception) object wrapped in a Cypress.Chainable.
+       * @throws {Error} - If the subject does not contain a request, or if the schema or the request body schema definition is not found.
+       *
+       * @example
+       * ```js
+       * cy.wait('@createMovie').validateRequestSchema(schema, {
+       *   endpoint: '/movies',
+       *   method: 'POST'
+       * })
+       * ```
+       */
+      validateRequestSchema(
+        schema: Record<string, any> | string,
+        path?: {
+          endpoint?: string;
+          method?: string;
+        },
+        issuesStyles?: IssuesStyles,
+        options?: {
+          mode?: SchemaValidationMode;
+          maxErrorsToShow?: number;
+        }
+      ): Chainable<Subject>;
+
+      /**
+       * Validates automatically, against the provided schema, the response of every intercepted call that matches a route,
+       * from the moment it is called until the end of the spec file (usually called in a `before()` hook).
+       * The calls completed during each test are validated after the test.
+       *
+       * @param {string|RegExp|object} routeMatcher - The route matcher, as for `cy.intercept()`.
+       * @param {object|string} schema - The schema to validate against. Supported formats are plain JSON schema, Swagger, and OpenAPI documents,
+       *   or the path of a YAML or JSON file with any of them.
+       * @param {object} [path] - The path object to the schema definition. If not provided, the operation is resolved for each intercepted call.
+       *
+       * @example
+       * ```js
+       * before(() => {
+       *   cy.validateSchemaOnIntercept('/api/**', openApiDoc)
+       * })
+       * ```
+       */
+      validateSchemaOnIntercept(
+        routeMatcher: string | RegExp | import('cypress/types/net-stubbing').RouteMatcherOptions,
+        schema: Record<string, any> | string,
+        path?: {
+          endpoint?: string;
+          method?: string;
+          status?: number;
+        },
+        issuesStyles?: IssuesStyles
+      ): Chainable<null>;
+
+      /**
+       * Validates any data against the provided schema: fixtures, `localStorage` payloads, application state, WebSocket messages...
+       * The validation results are logged the same way as for `cy.validateSchema()`.
+       *
+       * @param {any} data - The data to validate.
+       * @param {object|string} schema - The schema to validate against. Supported formats are plain JSON schema, Swagger, and OpenAPI documents,
+       *   or the name of a registered schema or the path of a YAML or JSON file with any of them.
+       * @param {object} [path] - The path object to the response schema definition in a Swagger or OpenAPI document. Not required if the schema is a plain JSON schema.
+       * @param {object} [issuesStyles] - An object with the icons and HEX colors used to flag the issues.
+       * @param {object} [options] - Additional options (`mode`, `strict`, `allowUndocumented`, `maxErrorsToShow` and `offload`, as for `cy.validateSchema()`).
+       *
+       * @returns {Cypress.Chainable} - The data wrapped in a Cypress.Chainable.
+       *
+       * @example
+       * ```js
+       * cy.fixture('users.json').then(users => {
+       *   cy.validateData(users, schema, { endpoint: '/users', method: 'GET', status: 200 })
+       * })
+       * ```
+       */
+      validateData<T = any>(
+        data: T,
+        schema: Record<string, any> | string,
+        path?: {
+          endpoint?: string;
+          method?: string;
+          status?: number;
+        },
+        issuesStyles?: IssuesStyles,
+        options?: {
+          mode?: SchemaValidationMode;
+          maxErrorsToShow?: number;
+          strict?: boolean;
+          allowUndocumented?: string[];
+          offload?: boolean;
+        }
+      ): Chainable<T>;
+
+      /**
+       * Generates data valid against the provided schema, to be used as mock data. For a Swagger or OpenAPI document,
+       * it generates the body of the response documented for the given endpoint, method and status.
+       * The data is deterministic: the same schema and seed always generate the same data.
+       *
+       * @param {object|string} schema - The schema: plain JSON schema, Swagger, or OpenAPI document, the name of a registered schema or the path of a YAML or JSON file.
+       * @param {object} [path] - The path object to the response definition in a Swagger or OpenAPI document. Not required if the schema is a plain JSON schema.
+       * @param {object} [options] - Generation options.
+       *
+       * @returns {Cypress.Chainable} - The data generated.
+       *
+       * @example
+       * ```js
+       * cy.generateFromSchema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 }, { seed: 42 })
+       * ```
+       */
+      generateFromSchema(
+        schema: Record<string, any> | string,
+        path?: {
+          endpoint?: string;
+          method?: string;
+          status?: number;
+        },
+        options?: GenerateFromSchemaOptions
+      ): Chainable<any>;
+
+      /**
+       * Stubs a route with `cy.intercept()`, replying with a response generated from the provided schema (see `cy.generateFromSchema()`).
+       *
+       * @param {string|RegExp|object} routeMatcher - The route matcher, as for `cy.intercept()`. If it is a URL and `path.method` is provided, only that method is stubbed.
+       * @param {object|string} schema - The schema: plain JSON schema, Swagger, or OpenAPI document, the name of a registered schema or the path of a YAML or JSON file.
+       * @param {object} [path] - The path object to the response definition in a Swagger or OpenAPI document. Its `status` is the status code of the stubbed response.
+       * @param {object} [options] - Generation options, and the `alias` of the route.
+       *
+       * @returns {Cypress.Chainable} - The response used to stub the route.
+       *
+       * @example
+       * ```js
+       * cy.stubFromSchema('/api/pets/*', petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET' }, { alias: 'getPet' })
+       * ```
+       */
+      stubFromSchema(
+        routeMatcher: string | RegExp | import('cypress/types/net-stubbing').RouteMatcherOptions,
+        schema: Record<string, any> | string,
+        path?: {
+          endpoint?: string;
+          method?: string;
+          status?: number;
+        },
+        options?: GenerateFromSchemaOptions & { alias?: string }
+      ): Chainable<{ statusCode: number; headers: Record<string, string>; body: any }>;
+
+      /**
+       * Validates every example of a Swagger or OpenAPI document against its own schema: the `example` of the schemas and nested schemas,
+       * and the examples of the request bodies, responses, parameters and headers of every operation.
+       * The examples not valid are logged with their JSON pointer in the document, and the JSON pointer of each schema error.
+       *
+       * @param {object|string} schema - The Swagger or OpenAPI document, the name of a registered schema or the path of a YAML or JSON file.
+       * @param {object} [options] - Additional options.
+       * @param {string} [options.mode] - What to do when any example is not valid: 'hard' (default), 'soft' or 'warn'.
+       * @param {number} [options.maxErrorsToShow] - The maximum number of examples not valid shown in the Cypress log.
+       *
+       * @returns {Cypress.Chainable} - The validation result.
+       *
+       * @example
+       * ```js
+       * cy.validateExamples('openapi/petstore.yaml')
+       * ```
+       */
+      validateExamples(
+        schema: Record<string, any> | string,
+        options?: {
+          mode?: SchemaValidationMode;
+          maxErrorsToShow?: number;
+        }
+      ): Chainable<ExamplesValidationResult>;
+
+      /**
+       * Registers a schema with a name, so later validations in the spec file can refer to it by name
+       * instead of passing the schema object each time (usually called in a `before()` hook).
+       *
+       * @param {string} name - The name of the schema.
+       * @param {object|string} schema - The schema: plain JSON schema, Swagger, or OpenAPI document, or the path of a YAML or JSON file with any of them.
+       *
+       * @example
+       * ```js
+       * before(() => {
+       *   cy.registerSchema('petstore', petstoreSchema)
+       * })
+       *
+       * cy.request('GET', 'https://petstore.swagger.io/v2/pet/10').validateSchema('petstore', { endpoint: '/pet/{petId}' })
+       * ```
+       */
+      registerSchema(name: string, schema: Record<string, any> | string): Chainable<null>;
+    }
+
+    interface MatchSchemaOptions {
+      /** If true, every property of the data not declared in the schema is a mismatch (see `cy.validateSchema()`). */
+      strict?: boolean;
+      /** Paths of the data skipped in strict mode, in dot notation where `*` matches any property or array index. */
+      allowUndocumented?: string[];
+      /** The media type entry of the OpenAPI response content. */
+      mediaType?: string;
+      /** The maximum number of schema errors shown in the assertion message. */
+      maxErrorsToShow?: number;
+    }
+
+    interface Chainer<Subject> {
+      /**
+       * Asserts that the subject is valid against the schema, retried until it is (or until the timeout).
+       * The schema can be an object or the name of a schema registered with `cy.registerSchema()`.
+       *
+       * @example
+       * ```js
+       * cy.get('@getOrder').its('response.body').should('match.schema', openApiDoc, { endpoint: '/orders/{id}', method: 'GET', status: 200 })
+       * ```
+       */
+      (chainer: 'match.schema' | 'not.match.schema', schema: Record<string, any> | string, path?: { endpoint?: string; method?: string; status?: number }, options?: MatchSchemaOptions): Chainable<Subject>;
     }
   }
+
+  namespace Chai {
+    interface Match {
+      /**
+       * Asserts that the target is valid against the schema (plain JSON schema, Swagger or OpenAPI document, or the name of a registered schema).
+       *
+       * @example
+       * ```js
+       * expect(response.body).to.match.schema(openApiDoc, { endpoint: '/orders/{id}', method: 'GET', status: 200 })
+       * ```
+       */
+      schema(schema: Record<string, any> | string, path?: { endpoint?: string; method?: string; status?: number }, options?: Cypress.MatchSchemaOptions): Assertion;
+    }
+  }
+}
+
+export interface SchemaValidatorConfiguration {
+  /**
+   * Ajv options (see https://ajv.js.org/options.html), merged with the default ones (`allErrors: true` and `strict: false`).
+   * Options that modify the data (`coerceTypes`, `useDefaults` and `removeAdditional`) are applied to a copy of the data.
+   */
+  ajvOptions?: Options;
+  /**
+   * Custom formats, keyed by format name.
+   */
+  formats?: Record<string, Format | FormatDefinition<string> | FormatDefinition<number>>;
+  /**
+   * Custom keywords: keyword names (E.g.: vendor extensions like 'x-nullable') or Ajv keyword definitions.
+   */
+  keywords?: Array<string | KeywordDefinition>;
+}
+
+/**
+ * Configures the Ajv instance used by every validation: Ajv options, custom formats and custom keywords.
+ * Usually called in the support file. Each call adds to the previous configuration.
+ *
+ * @example
+ * ```js
+ * import { configureSchemaValidator } from 'cypress-ajv-schema-validator'
+ *
+ * configureSchemaValidator({
+ *   formats: { ulid: /^[0-9A-HJKMNP-TV-Z]{26}$/ },
+ *   keywords: ['x-nullable']
+ * })
+ * ```
+ */
+export function configureSchemaValidator(config?: SchemaValidatorConfiguration): void;
+
+/**
+ * A failed validation whose data mismatches are shown on the UI.
+ */
+export interface FailedValidation {
+  /** What was validated (E.g.: 'RESPONSE BODY'). */
+  label: string;
+  /** Whether the data validated is the response body (the only data shown in the API plugins views). */
+  responseBody: boolean;
+  /** The data validated. */
+  data: any;
+  /** The schema errors, as provided by Ajv. */
+  errors: Record<string, any>[];
+  /** The data with all schema mismatches flagged. */
+  dataMismatches: any;
+  /** The icons and HEX colors used to flag the issues. */
+  issuesStyles: Cypress.IssuesStyles;
 }
-export {};
+
+/**
+ * A renderer that shows the data mismatches in the view of an API plugin.
+ */
+export interface MismatchesRenderer<View = any> {
+  /** The name of the renderer. */
+  name: string;
+  /** Returns the view of the plugin where the mismatches must be shown (E.g.: a DOM element), or a falsy value if the plugin view is not found. */
+  detect(validation: FailedValidation): View | null | undefined | false;
+  /** Shows the mismatches in the view. It can return a function, called when the FAILED entry of the validation is clicked in the Cypress log. */
+  render(view: View, validation: FailedValidation): void | (() => void);
+}
+
+/**
+ * Registers a renderer that shows the data mismatches in the view of an API plugin (when the environment variable `enableMismatchesOnUI` is true).
+ * The renderers registered are checked before the built-in ones (for `cypress-plugin-api` and `@bahmutov/cy-api`).
+ * If a renderer fails, the mismatches are only shown in the Cypress log.
+ *
+ * @example
+ * ```js
+ * import { registerMismatchesRenderer } from 'cypress-ajv-schema-validator'
+ *
+ * registerMismatchesRenderer({
+ *   name: 'my-api-plugin',
+ *   detect: ({ responseBody }) => {
+ *     const $view = Cypress.$('.my-api-plugin-response:last-of-type pre')
+ *     return responseBody && $view.length && $view
+ *   },
+ *   render: ($view, { dataMismatches }) => {
+ *     $view.text(JSON.stringify(dataMismatches, null, 2))
+ *   }
+ * })
+ * ```
+ */
+export function registerMismatchesRenderer(renderer: MismatchesRenderer): void;
+
+/**
+ * Generates data valid against a schema (see `cy.generateFromSchema()`), to be used outside of the Cypress commands.
+ *
+ * @example
+ * ```js
+ * import { generateFromSchema } from 'cypress-ajv-schema-validator'
+ *
+ * cy.intercept('GET', '/api/pets/*', (req) => {
+ *   req.reply(generateFromSchema(petstoreSchema, { endpoint: '/pet/{petId}' }, { seed: req.url }))
+ * })
+ * ```
+ */
+export function generateFromSchema(
+  schema: Record<string, any>,
+  path?: { endpoint?: string; method?: string; status?: number },
+  options?: Cypress.GenerateFromSchemaOptions
+): any;
+
+export interface ExamplesValidationResult {
+  /**
+   * The number of examples validated.
+   */
+  examples: number;
+  /**
+   * The number of examples valid against their schemas.
+   */
+  valid: number;
+  /**
+   * The examples not valid against their schemas.
+   */
+  failures: Array<{
+    /**
+     * The JSON pointer of the example in the document (E.g.: '/paths/~1pet~1{petId}/get/responses/200/examples/application~1json').
+     */
+    pointer: string;
+    /**
+     * The JSON pointer of the schema of the example in the document.
+     */
+    schemaPointer: string;
+    example: any;
+    /**
+     * The schema errors as provided by Ajv, with the JSON pointer in the document of the value that is not valid (`pointer`).
+     */
+    errors: Array<Record<string, any> & { pointer: string }>;
+    /**
+     * The example with all the schema mismatches flagged.
+     */
+    dataMismatches: any;
+  }>;
+}
+
+/**
+ * Validates every example of a Swagger or OpenAPI document against its own schema (see `cy.validateExamples()`).
+ * It can also be used in Node (E.g.: in a CI script, with `require('cypress-ajv-schema-validator/src/examples-validator.js')`).
+ *
+ * @example
+ * ```js
+ * import { validateExamples } from 'cypress-ajv-schema-validator'
+ *
+ * const { failures } = validateExamples(petstoreSchema)
+ * ```
+ */
+export function validateExamples(spec: Record<string, any>): ExamplesValidationResult;
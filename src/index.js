@@ -1,9 +1,34 @@
 /// <reference types="cypress" />
 
-import hljs from 'highlight.js'
-import { validateSchema } from 'core-ajv-schema-validator'
-
 import './custom-log.js'
+// The intercepted calls are validated at the end of each test before the soft failures are checked, so their failures are included
+import './intercept-validation.js'
+import { addSoftFailure } from './soft-assertions.js'
+import { recordCoverage } from './coverage.js'
+import { recordDrift } from './schema-drift.js'
+import { recordValidationResult } from './results-report.js'
+import { saveFailedPayload } from './failed-payloads.js'
+import { applyWaivers } from './waivers.js'
+import { getDisabledReason, getOperationDisabledReason, skipValidation } from './skipped-validations.js'
+import { validateSchema, validateDerivedSchema, flagMismatches, summarizeMismatches } from './schema-validator.js'
+import { renderDataMismatches } from './mismatches-renderers.js'
+import { generateResponse } from './data-generator.js'
+import { validateExamples } from './examples-validator.js'
+import { createChaiSchemaPlugin } from './chai-schema.js'
+import { groupErrors, splitErrorGroups, getErrorStyle, describeOccurrences } from './error-groups.js'
+
+// Configuration of the validation engine (custom formats, keywords and Ajv options), to be called from the support file
+export { configureSchemaValidator } from './schema-validator.js'
+// Renderers of the data mismatches in the views of other API plugins
+export { registerMismatchesRenderer } from './mismatches-renderers.js'
+// Mock data generated from a schema, to be used outside of the Cypress commands (E.g.: in a cy.intercept() handler)
+export { generateFromSchema } from './data-generator.js'
+// Validation of the examples of a Swagger or OpenAPI document against their own schemas
+export { validateExamples } from './examples-validator.js'
+import {
+    isSpecificationDoc, getOperation, getOperationMethods, findEndpoint, getRequestBodySchema, findResponseKey, getResponseDefinition, findMediaType, isJsonMediaType,
+    getResponseHeadersSchema, coerceHeaderValues
+} from './schema-utils.js'
 
 
 // ------------------------------------
@@ -13,18 +38,88 @@ import './custom-log.js'
 const iconPassed = '✔️'
 const iconFailed = '❌'
 const iconMoreErrors = '➕'
+const iconOperation = '🔎'
+const iconWarning = '⚠️'
+const iconGenerated = '🎲'
+const iconWaived = '🩹'
+const iconWaiverExpired = '⌛'
+const iconOffloaded = '⚙️'
 
 const issuesStylesDefault = {
     iconPropertyError: '⚠️',
     colorPropertyError: '#d67e09',
     iconPropertyMissing: '❌',
-    colorPropertyMissing: '#c10000'
+    colorPropertyMissing: '#c10000',
+    iconPropertyUndocumented: '❔',
+    colorPropertyUndocumented: '#7c3aed'
 }
 
-const warningDisableSchemaValidation = `⚠️ API SCHEMA VALIDATION DISABLED ⚠️`
-const msgDisableSchemaValidation = '- The Cypress environment variable "disableSchemaValidation" has been set to true.'
-const errorNoValidApiResponse = 'The element chained to the cy.validateSchema() command is expected to be an API response!'
+const errorNoValidApiResponse = 'The element chained to the cy.validateSchema() command is expected to be an API response or an intercepted request!'
+const errorNoInterceptedResponse = 'The intercepted request chained to the cy.validateSchema() command has no response yet!'
+const errorNoValidApiRequest = 'The element chained to the cy.validateRequestSchema() command is expected to be an API response or an intercepted request!'
 const errorResponseBodyAgainstSchema = 'The response body is not valid against the schema!'
+const errorRequestBodyAgainstSchema = 'The request body is not valid against the schema!'
+const errorResponseHeadersAgainstSchema = 'The response headers are not valid against the schema!'
+const errorResponseStatusNotDocumented = 'The response status is not documented in the schema!'
+const errorResponseContentTypeNotDocumented = 'The response content type is not documented in the schema!'
+const errorNoRequestUrl = 'The operation cannot be resolved since the request URL is not available, you must provide the path to the schema definition (endpoint, method and status)!'
+const errorNoRequestMethod = 'The operation cannot be resolved since the request method is not available and the endpoint has several operations, you must provide the method in the path to the schema definition (path.method)!'
+const errorInvalidValidationMode = `The schema validation mode must be one of: 'hard', 'soft' or 'warn'!`
+const errorDataAgainstSchema = 'The data is not valid against the schema!'
+const errorExamplesAgainstSchema = 'The examples of the document are not valid against their schemas!'
+const errorInvalidRegisterSchemaParameters = 'The cy.registerSchema() command expects a name (string) and a schema (object or file path)!'
+const errorInvalidStubParameters = 'The cy.stubFromSchema() command expects a route matcher and a schema (object, registered name or file path)!'
+const errorOptionsRequireSpecificationDoc = 'The options "validateStatus" and "validateHeaders" can only be used with Swagger or OpenAPI documents!'
+
+// What is being validated: label used in the Cypress log, error thrown when not valid and if mismatches can be shown on the API plugins UI
+const validationTargets = {
+    responseBody: { label: 'RESPONSE BODY', error: errorResponseBodyAgainstSchema, mismatchesOnUI: true },
+    requestBody: { label: 'REQUEST BODY', error: errorRequestBodyAgainstSchema, mismatchesOnUI: false },
+    responseHeaders: { label: 'RESPONSE HEADERS', error: errorResponseHeadersAgainstSchema, mismatchesOnUI: false },
+    responseStatus: { label: 'RESPONSE STATUS', error: errorResponseStatusNotDocumented, mismatchesOnUI: false },
+    responseContentType: { label: 'RESPONSE CONTENT TYPE', error: errorResponseContentTypeNotDocumented, mismatchesOnUI: false },
+    data: { label: 'DATA', error: errorDataAgainstSchema, mismatchesOnUI: false },
+    examples: { label: 'EXAMPLES', error: errorExamplesAgainstSchema, mismatchesOnUI: false }
+}
+
+
+// ------------------------------------
+// STATE
+// ------------------------------------
+
+/**
+ * Schemas loaded from files by the Node plugin in the spec file, keyed by the file path provided.
+ * @private
+ *
+ * @type {Map<string, object>}
+ */
+const loadedSchemas = new Map()
+
+/**
+ * Schemas registered with `cy.registerSchema()` in the spec file, keyed by name.
+ * @private
+ *
+ * @type {Map<string, object>}
+ */
+const registeredSchemas = new Map()
+
+/**
+ * Ids of the schemas already sent to the Node plugin to validate offloaded payloads in the spec file (except the schemas loaded from files),
+ * so they are sent only once and then referenced by their id.
+ * @private
+ *
+ * @type {WeakMap<object, integer>}
+ */
+const offloadedSchemaIds = new WeakMap()
+
+/**
+ * Number of schemas sent to the Node plugin to validate offloaded payloads in the spec file.
+ * @private
+ *
+ * @type {integer}
+ */
+let offloadedSchemasCount = 0
+
 
 // ------------------------------------
 // PUBLIC CUSTOM COMMANDS
@@ -32,20 +127,43 @@ const errorResponseBodyAgainstSchema = 'The response body is not valid against t
 
 /**
  * Custom command that validates the response body against the provided schema.
+ * It can be chained to the response of a `cy.request()` or `cy.api()` command, or to an interception yielded by `cy.wait('@alias')`.
  * @public
  *
- * @param {object} schema - The schema to validate against. Supported formats are plain JSON schema, Swagger, and OpenAPI documents. See https://ajv.js.org/json-schema.html for more information.
+ * @param {object|string} schema - The schema to validate against. Supported formats are plain JSON schema, Swagger, and OpenAPI documents. See https://ajv.js.org/json-schema.html for more information.
+ *   It can also be the name of a schema registered with `cy.registerSchema()`, or the path of a YAML or JSON file (relative to the project root),
+ *   that may reference other files with `$ref`. Requires the Node plugin.
  * @param {object} [path] - The path object to the schema definition in a Swagger or OpenAPI document. Not required if the schema is a plain JSON schema.
+ *   If the endpoint is not provided for a Swagger or OpenAPI document, the operation is resolved from the request URL, the request method and the response status.
  * @param {string} [path.endpoint] - The endpoint path.
  * @param {string} [path.method] - The HTTP method. If not provided, it will use 'GET'.
- * @param {integer} [path.status] - The response status code. If not provided, it will use 200.
+ * @param {integer} [path.status] - The response status code. If not provided, it will use 200 (or the actual response status when `options.validateStatus` is true).
  * @param {object} [validationResults.issuesStyles] - An object with the icons and HEX colors used to flag the issues.
  * @param {string} [validationResults.issuesStyles.iconPropertyError] - The icon used to flag the property error.
  * @param {string} [validationResults.issuesStyles.iconPropertyMissing] - The icon used to flag the missing property.
  * @param {string} [validationResults.issuesStyles.colorPropertyError] - The HEX color used to flag the property error.
  * @param {string} [validationResults.issuesStyles.colorPropertyMissing] - The HEX color used to flag the missing property.
+ * @param {string} [validationResults.issuesStyles.iconPropertyUndocumented] - The icon used to flag the undocumented property (strict mode).
+ * @param {string} [validationResults.issuesStyles.colorPropertyUndocumented] - The HEX color used to flag the undocumented property (strict mode).
+ * @param {object} [options] - Additional validations (`validateStatus` and `validateHeaders` only for Swagger and OpenAPI documents).
+ * @param {boolean} [options.validateStatus=false] - If true, fails when the actual response status is not documented for the operation
+ *   (exact status, status range like '4XX', or 'default'), or when it is different from the provided `path.status`.
+ * @param {boolean} [options.validateHeaders=false] - If true, validates the response headers against the headers declared under
+ *   the operation's `responses[status].headers`, including the required ones and their type and format.
+ * @param {string} [options.mode] - What to do when the validation fails: 'hard' fails the test right away, 'soft' fails the test at the end
+ *   with a summary of all the failures, and 'warn' only logs the failure. If not provided, it will use the Cypress environment variable
+ *   "schemaValidationMode", or 'hard'.
+ * @param {boolean} [options.strict=false] - If true, every property of the response body not declared in the schema is flagged as a mismatch,
+ *   even when the schema does not set `additionalProperties: false` (free-form objects declared without properties are not checked).
+ * @param {string[]} [options.allowUndocumented] - Paths of the response body skipped in strict mode, in dot notation where `*` matches any property
+ *   or array index (E.g.: ['meta', 'items.*.debug']).
+ * @param {integer} [options.maxErrorsToShow] - The maximum number of errors (or groups of repeated errors) shown in the Cypress log. If not provided,
+ *   it will use the Cypress environment variable "schemaMaxErrorsToShow", or 10.
+ * @param {boolean} [options.offload] - If true, the response body is validated in the Node process by the plugin, and only its first `maxErrorsToShow`
+ *   mismatches are shown on the UI. If false, it is validated in the browser. If not provided, the response bodies larger than the Cypress
+ *   environment variable "schemaOffloadThreshold" (set by the plugin option "offload") are validated in the Node process.
  * 
- * @returns {Cypress.Chainable} - The response object wrapped in a Cypress.Chainable.
+ * @returns {Cypress.Chainable} - The response object (or interception) wrapped in a Cypress.Chainable.
  * @throws {Error} - If any of the required parameters are missing or if the schema or schema definition is not found.
  *
  * @example
@@ -79,268 +197,1276 @@ const errorResponseBodyAgainstSchema = 'The response body is not valid against t
  */
 Cypress.Commands.add("validateSchema",
     { prevSubject: true },
-    (response, schema, path, issuesStyles) => {
+    (subject, schema, path, issuesStyles, options = {}) => {
 
-        if (Cypress.env('disableSchemaValidation')) {
-            cy.colorLog(msgDisableSchemaValidation,
-                '#e0e030',
-                { displayName: warningDisableSchemaValidation }
-            )
+        if (!_isSchemaValidationDisabled()) {
+            // The schema can be a file path, loaded by the Node plugin
+            _withSchema(schema, loadedSchema => _validateResponse(subject, loadedSchema, path, issuesStyles, options))
+        }
+
+        // Return the response object (or interception) so it can be chained with other commands
+        return cy.wrap(subject, { log: false })
+    }
+)
+
+/**
+ * Custom command that validates the body of the request that was sent against the provided schema.
+ * It can be chained to the response of a `cy.request()` or `cy.api()` command, or to an interception yielded by `cy.wait('@alias')`.
+ * @public
+ *
+ * @param {object|string} schema - The schema to validate against. Supported formats are plain JSON schema, Swagger, and OpenAPI documents,
+ *   or the path of a YAML or JSON file with any of them (see `cy.validateSchema()`).
+ *   For Swagger documents the schema of the `in: body` parameter of the operation is used, and for OpenAPI documents the schema of the operation's `requestBody`.
+ * @param {object} [path] - The path object to the operation in a Swagger or OpenAPI document. Not required if the schema is a plain JSON schema.
+ *   If the endpoint is not provided for a Swagger or OpenAPI document, the operation is resolved from the request URL and method.
+ * @param {string} [path.endpoint] - The endpoint path.
+ * @param {string} [path.method] - The HTTP method. If not provided, it will use 'GET'.
+ * @param {object} [issuesStyles] - An object with the icons and HEX colors used to flag the issues.
+ * @param {object} [options] - Additional options.
+ * @param {string} [options.mode] - What to do when the validation fails: 'hard', 'soft' or 'warn' (see `cy.validateSchema()`).
+ * @param {integer} [options.maxErrorsToShow] - The maximum number of errors shown in the Cypress log (see `cy.validateSchema()`).
+ *
+ * @returns {Cypress.Chainable} - The response (or interception) object wrapped in a Cypress.Chainable.
+ * @throws {Error} - If the subject does not contain a request, or if the schema or the request body schema definition is not found.
+ *
+ * @example
+ * cy.request('POST', 'https://awesome.api.com/users', { name: 'John Wick', age: 49 })
+ *   .validateRequestSchema(schema, { endpoint: '/users', method: 'POST' })
+ *   .validateSchema(schema, { endpoint: '/users', method: 'POST', status: 201 })
+ *
+ * @example
+ * cy.wait('@createUser').validateRequestSchema(schema, { endpoint: '/users', method: 'POST' })
+ */
+Cypress.Commands.add("validateRequestSchema",
+    { prevSubject: true },
+    (subject, schema, path, issuesStyles, options = {}) => {
+
+        if (!_isSchemaValidationDisabled()) {
+            // The schema can be a file path, loaded by the Node plugin
+            _withSchema(schema, loadedSchema => _validateRequest(subject, loadedSchema, path, issuesStyles, options))
+        }
+
+        // Return the subject so it can be chained with other commands
+        return cy.wrap(subject, { log: false })
+    }
+)
+
+/**
+ * Custom command that validates any data against the provided schema: fixtures, `localStorage` payloads, application state from `cy.window()`,
+ * WebSocket messages or objects built in the test. The validation results are logged the same way as for `cy.validateSchema()`.
+ * @public
+ *
+ * @param {any} data - The data to validate.
+ * @param {object|string} schema - The schema to validate against. Supported formats are plain JSON schema, Swagger, and OpenAPI documents,
+ *   or the name of a registered schema or the path of a YAML or JSON file with any of them (see `cy.validateSchema()`).
+ * @param {object} [path] - The path object to the response schema definition in a Swagger or OpenAPI document. Not required if the schema is a plain JSON schema.
+ * @param {string} [path.endpoint] - The endpoint path.
+ * @param {string} [path.method] - The HTTP method. If not provided, it will use 'GET'.
+ * @param {integer} [path.status] - The response status code. If not provided, it will use 200.
+ * @param {object} [issuesStyles] - An object with the icons and HEX colors used to flag the issues.
+ * @param {object} [options] - Additional options.
+ * @param {string} [options.mode] - What to do when the validation fails: 'hard', 'soft' or 'warn' (see `cy.validateSchema()`).
+ * @param {boolean} [options.strict=false] - If true, every property not declared in the schema is flagged as a mismatch (see `cy.validateSchema()`).
+ * @param {string[]} [options.allowUndocumented] - Paths of the data skipped in strict mode (see `cy.validateSchema()`).
+ * @param {integer} [options.maxErrorsToShow] - The maximum number of errors shown in the Cypress log (see `cy.validateSchema()`).
+ * @param {boolean} [options.offload] - If true, the data is validated in the Node process by the plugin (see `cy.validateSchema()`).
+ *
+ * @returns {Cypress.Chainable} - The data wrapped in a Cypress.Chainable.
+ * @throws {Error} - If the schema or schema definition is not found, or if the validation fails in 'hard' mode.
+ *
+ * @example
+ * cy.fixture('users.json').then(users => {
+ *   cy.validateData(users, schema, { endpoint: '/users', method: 'GET', status: 200 })
+ * })
+ *
+ * @example
+ * cy.window().then(win => {
+ *   cy.validateData(JSON.parse(win.localStorage.getItem('user')), userSchema)
+ * })
+ */
+Cypress.Commands.add("validateData",
+    (data, schema, path, issuesStyles, options = {}) => {
+
+        if (!_isSchemaValidationDisabled()) {
+            // The schema can be a registered name or a file path, loaded by the Node plugin
+            _withSchema(schema, loadedSchema => _validateData(data, loadedSchema, path, issuesStyles, options))
+        }
+
+        // Return the data so it can be chained with other commands
+        return cy.wrap(data, { log: false })
+    }
+)
+
+/**
+ * Custom command that generates data valid against the provided schema, to be used as mock data in the tests.
+ * For a Swagger or OpenAPI document, it generates the body of the response documented for the given endpoint, method and status.
+ * The data is deterministic (the same schema and seed always generate the same data): it honors types, formats, enums, required properties,
+ * lengths and numeric ranges, and uses the `example` and `examples` provided in the schema.
+ * @public
+ *
+ * @param {object|string} schema - The schema. Supported formats are plain JSON schema, Swagger, and OpenAPI documents,
+ *   or the name of a registered schema or the path of a YAML or JSON file with any of them (see `cy.validateSchema()`).
+ * @param {object} [path] - The path object to the response definition in a Swagger or OpenAPI document. Not required if the schema is a plain JSON schema.
+ * @param {string} path.endpoint - The endpoint path.
+ * @param {string} [path.method] - The HTTP method. If not provided, it will use 'GET'.
+ * @param {integer} [path.status] - The response status code. If not provided, it will use 200.
+ * @param {object} [options] - Generation options.
+ * @param {integer|string} [options.seed=1] - The seed of the random values.
+ * @param {boolean} [options.useExamples=true] - If true, the `example`, `examples` and `default` values of the schema are used when provided.
+ * @param {string} [options.mediaType] - The media type of the response definition (OpenAPI). If not provided, the JSON media type is used.
+ *
+ * @returns {Cypress.Chainable} - The data generated.
+ * @throws {Error} - If the schema or the response definition is not found.
+ *
+ * @example
+ * cy.generateFromSchema(petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET', status: 200 }, { seed: 42 }).then(pet => {
+ *   // ...
+ * })
+ */
+Cypress.Commands.add("generateFromSchema",
+    (schema, path, options = {}) => {
+        let response
+
+        // The schema can be a registered name or a file path, loaded by the Node plugin
+        _withSchema(schema, loadedSchema => {
+            response = _generateResponse(loadedSchema, path, options)
+        })
+
+        return cy.wrap(null, { log: false }).then(() => response.body)
+    }
+)
+
+/**
+ * Custom command that stubs a route with `cy.intercept()`, replying with a response generated from the provided schema (see `cy.generateFromSchema()`),
+ * so front-end tests can run against stubs faithful to the API contract without a live backend.
+ * @public
+ *
+ * @param {string|RegExp|object} routeMatcher - The route matcher, as for `cy.intercept()`. If it is a URL and `path.method` is provided, only that method is stubbed.
+ * @param {object|string} schema - The schema. Supported formats are plain JSON schema, Swagger, and OpenAPI documents,
+ *   or the name of a registered schema or the path of a YAML or JSON file with any of them.
+ * @param {object} [path] - The path object to the response definition in a Swagger or OpenAPI document. Its `status` is the status code of the stubbed response.
+ * @param {object} [options] - Generation options (see `cy.generateFromSchema()`).
+ * @param {string} [options.alias] - The alias of the route (as with `cy.intercept().as()`).
+ *
+ * @returns {Cypress.Chainable} - The response used to stub the route: `statusCode`, `headers` and `body`.
+ * @throws {Error} - If the route matcher or the schema are missing, or the response definition is not found.
+ *
+ * @example
+ * cy.stubFromSchema('/api/pets/*', petstoreSchema, { endpoint: '/pet/{petId}', method: 'GET' }, { alias: 'getPet' })
+ * cy.visit('/pets/1')
+ * cy.wait('@getPet')
+ */
+Cypress.Commands.add("stubFromSchema",
+    (routeMatcher, schema, path, options = {}) => {
+        if (routeMatcher == null || schema == null) {
+            console.log(errorInvalidStubParameters)
+            throw new Error(errorInvalidStubParameters)
+        }
+
+        const { alias, ...generationOptions } = options
+        let response
 
-            console.log(`${warningDisableSchemaValidation} ${msgDisableSchemaValidation}`)
-        } else {
-            // Check if it is a valid API Response object
-            if (response == null || (!response.hasOwnProperty('body') && !response.hasOwnProperty('status') && !response.hasOwnProperty('headers'))) {
-                console.log(errorNoValidApiResponse)
-                throw new Error(errorNoValidApiResponse)
+        _withSchema(schema, loadedSchema => {
+            response = _generateResponse(loadedSchema, path, generationOptions)
+        })
+
+        return cy.wrap(null, { log: false }).then(() => {
+            const { statusCode, headers, body } = response
+            const route = (typeof routeMatcher === 'string' || routeMatcher instanceof RegExp) && path && path.method
+                ? cy.intercept(path.method.toUpperCase(), routeMatcher, { statusCode, headers, body })
+                : cy.intercept(routeMatcher, { statusCode, headers, body })
+
+            if (alias) {
+                route.as(alias)
             }
 
-            const data = response.body
+            return cy.wrap(response, { log: false })
+        })
+    }
+)
 
-            issuesStyles = { ...issuesStylesDefault, ...issuesStyles }
+/**
+ * Custom command that validates every example of a Swagger or OpenAPI document against its own schema: the `example` of the schemas
+ * (definitions or components, and nested schemas), and the examples of the request bodies, responses, parameters and headers of every operation.
+ * Examples rot silently when the schemas change, and they also feed the docs and the mocks (see `cy.generateFromSchema()`).
+ * The examples not valid are logged with their JSON pointer in the document, and the JSON pointer of each schema error.
+ * @public
+ *
+ * @param {object|string} schema - The Swagger or OpenAPI document, or the name of a registered schema or the path of a YAML or JSON file.
+ * @param {object} [options] - Additional options.
+ * @param {string} [options.mode] - What to do when any example is not valid: 'hard', 'soft' or 'warn' (see `cy.validateSchema()`).
+ * @param {integer} [options.maxErrorsToShow] - The maximum number of examples not valid shown in the Cypress log (see `cy.validateSchema()`).
+ *
+ * @returns {Cypress.Chainable} - The validation result: `examples` (number of examples validated), `valid` (number of examples valid)
+ *   and `failures` (for each example not valid: `pointer`, `schemaPointer`, `example`, `errors` and `dataMismatches`).
+ * @throws {Error} - If the schema is not a Swagger or OpenAPI document, or if any example is not valid in 'hard' mode.
+ *
+ * @example
+ * cy.validateExamples('openapi/petstore.yaml')
+ */
+Cypress.Commands.add("validateExamples",
+    (schema, options = {}) => {
+        let result = null
 
-            // Validate the response body against the schema
-            const validationResult = validateSchema(data, schema, path, issuesStyles)
+        if (!_isSchemaValidationDisabled()) {
+            // The schema can be a registered name or a file path, loaded by the Node plugin
+            _withSchema(schema, loadedSchema => {
+                result = _validateExamples(loadedSchema, options)
+            })
+        }
 
-            // Log the validation result
-            _logValidationResult(data, validationResult, issuesStyles)
+        return cy.wrap(null, { log: false }).then(() => result)
+    }
+)
 
-            // Return the response object so it can be chained with other commands
+/**
+ * Custom command that registers a schema with a name, so later validations in the spec file can refer to it by name
+ * instead of passing the schema object each time (E.g.: `cy.validateSchema('petstore', path)`).
+ * It is usually called in a `before()` hook.
+ * @public
+ *
+ * @param {string} name - The name of the schema.
+ * @param {object|string} schema - The schema: plain JSON schema, Swagger, or OpenAPI document, or the path of a YAML or JSON file with any of them.
+ * @throws {Error} - If the name or the schema are not provided.
+ *
+ * @example
+ * before(() => {
+ *   cy.registerSchema('petstore', petstoreSchema)
+ * })
+ *
+ * it('Get pet', () => {
+ *   cy.request('GET', 'https://petstore.swagger.io/v2/pet/10').validateSchema('petstore', { endpoint: '/pet/{petId}' })
+ * })
+ */
+Cypress.Commands.add("registerSchema",
+    (name, schema) => {
+        if (typeof name !== 'string' || name === '' || schema == null) {
+            console.log(errorInvalidRegisterSchemaParameters)
+            throw new Error(errorInvalidRegisterSchemaParameters)
         }
-        return cy.wrap(response, { log: false })
+
+        _withSchema(schema, loadedSchema => {
+            registeredSchemas.set(name, loadedSchema)
+        })
     }
 )
 
 
+// ------------------------------------
+// PRIVATE FUNCTIONS
+// ------------------------------------
+
 /**
- * Logs the validation result and throws an error if the response body is not valid against the schema, otherwise logs a success message.
- * It shows the total number of errors and the first 'maxErrorsToShow' errors (by default 10). If there are more errors, it shows a line with the number of additional errors.
+ * Validates an API response (or interception) against the schema: response status, body and headers, as requested in the options.
+ * See `cy.validateSchema()` for the parameters.
  * @private
  *
- * @param {any} data - The data to be validated.
- * @param {object} validationResults - An object containing:
- * @param {Array} validationResults.errors - An array of validation errors, or null if the data is valid against the schema.
- * @param {object} validationResults.dataMismatches - The original response data with all schema mismatches flagged directly.
- * @param {object} validationResults.issuesStyles - An object with the icons and HEX colors used to flag the issues.
- * @param {string} validationResults.issuesStyles.iconPropertyError - The icon used to flag the property error.
- * @param {string} validationResults.issuesStyles.iconPropertyMissing - The icon used to flag the missing property.
- * @param {string} validationResults.issuesStyles.colorPropertyError - The HEX color used to flag the property error.
- * @param {string} validationResults.issuesStyles.colorPropertyMissing - The HEX color used to flag the missing property.
- * @param {integer} [maxErrorsToShow=10] - The maximum number of errors to show in the log.
- * 
- * @throws {Error} - If the response body is not valid against the schema.
-  */
-const _logValidationResult = (data, validationResults, issuesStyles, maxErrorsToShow = 10) => {
+ * @param {object} subject - The API response or interception.
+ * @param {object} schema - The schema to validate against.
+ * @param {object} [path] - The path object to the schema definition in a Swagger or OpenAPI document.
+ * @param {object} [issuesStyles] - An object with the icons and HEX colors used to flag the issues.
+ * @param {object} [options] - Additional validations and validation mode.
+ * @throws {Error} - If the subject is not an API response, or if the validation fails in 'hard' mode.
+ */
+const _validateResponse = (subject, schema, path, issuesStyles, options) => {
+    const response = _getApiResponse(subject)
 
-    let { errors, dataMismatches } = validationResults
+    // Check if it is a valid API Response object
+    if (response == null || (!response.hasOwnProperty('body') && !response.hasOwnProperty('status') && !response.hasOwnProperty('headers'))) {
+        console.log(errorNoValidApiResponse)
+        throw new Error(errorNoValidApiResponse)
+    }
 
-    if (!errors) {
-        // PASSED
+    const { validateStatus = false, validateHeaders = false } = options
+    const mode = _getValidationMode(options)
+    const maxErrorsToShow = _getMaxErrorsToShow(options)
+    const schemaFile = _getSchemaFile(schema)
 
-        // Show in Cypress Log an message saying that the schema validation passed
-        cy.colorLog(`**THE RESPONSE BODY IS VALID AGAINST THE SCHEMA.**`,
-            '#66d966',
-            { displayName: `${iconPassed} PASSED -` }
-        )
-    } else {
-        // FAILED
-        let cy_api_type
-
-        let $original, $cloned, $elem
-        const enableMismatchesOnUI = mustEnableMismatchesOnUI()
-
-        if (enableMismatchesOnUI) {
-            $original = Cypress.$('[id="api-plugin-root"] [id="api-view"]')
-            if ($original.length !== 0) {
-                cy_api_type = "filip"
-                // Create clone of the DOM tree
-                $cloned = $original.clone()
-                // Find the last section in the clone to add the mismatches
-                $elem = $cloned.find('section:last-of-type [data-cy="responseBody"] code > details > summary')
-            } else {
-                $original = Cypress.$('.cy-api-response:last-of-type pre')
-                if ($original.length !== 0) {
-                    cy_api_type = "gleb"
-                }
-            }
+    if ((validateStatus || validateHeaders) && !isSpecificationDoc(schema)) {
+        console.log(errorOptionsRequireSpecificationDoc)
+        throw new Error(errorOptionsRequireSpecificationDoc)
+    }
+
+    if (isSpecificationDoc(schema) && (path == null || path.endpoint == null)) {
+        // Resolve the operation in the document from the request and the response
+        path = _resolvePath(response, schema, path)
+    }
+
+    if (_isOperationValidationDisabled(schema, path)) {
+        recordCoverage(schema, { ...path, status: (path && path.status) || response.status }, false, true, schemaFile)
+        return
+    }
+
+    issuesStyles = { ...issuesStylesDefault, ...issuesStyles }
+
+    const failures = []
+
+    // Fail the test (or collect the failures in soft mode), saving first the failing response as a fixture (if enabled by the Node plugin)
+    const reportFailures = () => {
+        saveFailedPayload({ response, schema, path, operation: _describeOperation(schema, path), options, failures })
+        _reportValidationFailures(failures, schema, path, mode)
+    }
+
+    if (validateStatus) {
+        // Validate against the actual response status, unless other status is explicitly expected
+        path = { ...path, status: (path && path.status) || response.status }
+
+        const statusResult = _validateResponseStatus(response.status, schema, path, issuesStyles)
+
+        if (!_checkValidationResult(response.status, statusResult, issuesStyles, validationTargets.responseStatus, schema, path, mode, maxErrorsToShow)) {
+            // No point in validating the body and headers against the schema of other status
+            failures.push({ target: validationTargets.responseStatus, errors: statusResult.errors })
+            recordCoverage(schema, path, false, false, schemaFile)
+            reportFailures()
+
+            return
         }
+    }
 
-        const { iconPropertyError, colorPropertyError, iconPropertyMissing, colorPropertyMissing } = issuesStyles
+    let data = response.body
+    let mediaType
 
-        if (cy_api_type === "filip") {
-            // Filip's API View needs it's own processing to show the mismatches (similar logic as for package core-ajv-schema-validator)
+    if (schema.openapi) {
+        // Select the media type of the response definition from the actual 'Content-Type' header
+        const contentType = _getContentType(response.headers)
+        const contentTypeResult = _validateResponseContentType(contentType, schema, path, issuesStyles)
 
-            errors.forEach(error => {
-                let instancePathArray = error.instancePath.replace(/^\//, '').split('/') // Remove the first '/' from the instance path "/0/name" => "0/name"
-                let instancePath = instancePathArray.join('.')
+        if (contentTypeResult.errors && !_checkValidationResult(contentType, contentTypeResult, issuesStyles, validationTargets.responseContentType, schema, path, mode, maxErrorsToShow)) {
+            // No schema to validate the body against
+            failures.push({ target: validationTargets.responseContentType, errors: contentTypeResult.errors })
+            recordCoverage(schema, path, false, false, schemaFile)
+            reportFailures()
 
-                let errorDescription
-                let value = Cypress._.get(data, instancePath)
+            return
+        }
 
-                if (error.keyword === 'required') {
-                    const missingProperty = error.params.missingProperty
-                    instancePath = (instancePath === "") ? missingProperty : `${instancePath}.${missingProperty}`
+        // If the media type mismatch has been waived, the body is validated against the JSON media type documented (or the first one)
+        mediaType = contentTypeResult.mediaType
 
-                    errorDescription = `${iconPropertyMissing} Missing property '${missingProperty}'`
-                } else {
-                    const message = error.message
-                    errorDescription = `${iconPropertyError} ${String(JSON.stringify(value)).replaceAll("\"", "'")} ${message}` // We also use String() to handle the case of undefined values
-                }
+        if (typeof data === 'string' && isJsonMediaType(contentType || mediaType)) {
+            // Body of a JSON media type not parsed (E.g.: 'application/problem+json')
+            data = _parseJson(data)
+        }
+    }
 
-                if (enableMismatchesOnUI && $elem && $elem.length) {
-                    // Show in the API View the data with the mismatches
-                    showDataMismatchesApiViewFilip($elem, instancePathArray, errorDescription, error, issuesStyles, 0)
-                }
-            })
+    // Validate the response body against the schema (large payloads in the Node process)
+    const { strict = false, allowUndocumented = [] } = options
+    _withValidationResult(data, schema, path, issuesStyles, { strict, allowUndocumented, mediaType }, options, validationResult => {
+        // Log the validation result
+        if (!_checkValidationResult(data, validationResult, issuesStyles, validationTargets.responseBody, schema, path, mode, maxErrorsToShow)) {
+            failures.push({ target: validationTargets.responseBody, errors: validationResult.errors })
         }
 
-        if (enableMismatchesOnUI) {
-            // Replace the original DOM tree with the cloned one with the mismatches
-            if (cy_api_type === "filip") {
-                $original.replaceWith($cloned)
-            } else if (cy_api_type === "gleb") {
-                $original.replaceWith(Cypress.$(transformDataToHtmlGleb(dataMismatches, issuesStyles)))
-            }
+        // Record the response body observed for the schema drift report (not for offloaded payloads, too large to be walked in the browser)
+        if (!validationResult.offloaded) {
+            recordDrift(schema, path, data, mediaType, schemaFile)
         }
 
-        // Show in Cypress Log an error message saying that the schema validation failed and total number of errors
-        // On click, it will show in the console:
-        //   - Total number of errors
-        //   - Full list of errors as provided by AJV
-        //   - User friendly representation of the mismatches in the data ❤️
-        cy.colorLog(`**THE RESPONSE BODY IS NOT VALID AGAINST THE SCHEMA (Number of schema errors: ${errors.length}).**`,
-            '#e34040',
-            { displayName: `${iconFailed} FAILED -`, info: { number_of_schema_errors: errors.length, ajv_errors: errors, data_mismatches: dataMismatches } }
-        )
+        if (validateHeaders) {
+            // Validate the response headers against the headers declared for the response (header values converted to their declared type)
+            const headersSchema = getResponseHeadersSchema(schema, path)
+            const headers = coerceHeaderValues(response.headers, headersSchema, schema)
 
-        // Logic to create two group of errors: the first 'maxErrorsToShow' and the rest of errors (to avoid showing a huge amount of errors in the Cypress Log)
-        // Note that if the total number of errors is 'maxErrorsToShow'+1 it will show all the errors since there will anyway one more line
-        let errorsToShow, rest_of_errors
+            const key = `headers:${path.endpoint}:${(path.method || 'GET').toLowerCase()}:${path.status || 200}`
+            const headersResult = validateDerivedSchema(headers, schema, key, () => headersSchema, issuesStyles)
 
-        if (errors.length > maxErrorsToShow + 1) {
-            errorsToShow = errors.slice(0, maxErrorsToShow)
-            rest_of_errors = errors.slice(maxErrorsToShow)
-        } else {
-            errorsToShow = errors
+            if (!_checkValidationResult(headers, headersResult, issuesStyles, validationTargets.responseHeaders, schema, path, mode, maxErrorsToShow)) {
+                failures.push({ target: validationTargets.responseHeaders, errors: headersResult.errors })
+            }
         }
 
-        // Show in Cypress Log the first 'maxErrorsToShow' as provided by AJV
-        errorsToShow.forEach(error => {
-            const iconError = (error.keyword) === 'required' ? iconPropertyMissing : iconPropertyError
-            const colorError = (error.keyword) === 'required' ? colorPropertyMissing : colorPropertyError
+        // Record the operation validated for the schema coverage report
+        recordCoverage(schema, path, failures.length === 0, false, schemaFile)
 
-            cy.colorLog(`${JSON.stringify(error, "", 1)}`,
-                colorError,
-                { displayName: iconError, info: { schema_error: error } }
-            )
-        })
+        // Fail the test (or collect the failures in soft mode) if any of the validations failed
+        reportFailures()
+    })
+}
 
-        // Show in Cypress Log the rest of errors if there are more than 'maxErrorsToShow' as provided by AJV
-        if (rest_of_errors) {
-            cy.colorLog(`...and ${errors.length - maxErrorsToShow} more errors.`,
-                colorPropertyMissing,
-                { displayName: iconMoreErrors, info: { rest_of_errors } }
-            )
+/**
+ * Validates the body of the request sent against the schema. See `cy.validateRequestSchema()` for the parameters.
+ * @private
+ *
+ * @param {object} subject - The API response or interception.
+ * @param {object} schema - The schema to validate against.
+ * @param {object} [path] - The path object to the operation in a Swagger or OpenAPI document.
+ * @param {object} [issuesStyles] - An object with the icons and HEX colors used to flag the issues.
+ * @param {object} [options] - The validation mode.
+ * @throws {Error} - If the subject does not contain a request, or if the validation fails in 'hard' mode.
+ */
+const _validateRequest = (subject, schema, path, issuesStyles, options) => {
+    const data = _getRequestBody(subject)
+    const mode = _getValidationMode(options)
+    const maxErrorsToShow = _getMaxErrorsToShow(options)
+
+    issuesStyles = { ...issuesStylesDefault, ...issuesStyles }
+
+    let validationResult
+
+    if (isSpecificationDoc(schema)) {
+        if (path == null || path.endpoint == null) {
+            // Resolve the operation in the document from the request
+            path = _resolvePath(subject, schema, path)
         }
+        if (_isOperationValidationDisabled(schema, path)) {
+            return
+        }
+        // Validate the request body against the request body schema for the operation (compiled only the first time)
+        const key = `request:${path.endpoint}:${(path.method || 'GET').toLowerCase()}`
+        validationResult = validateDerivedSchema(data, schema, key, () => getRequestBodySchema(schema, path), issuesStyles)
+    } else {
+        // Validate the request body against the schema
+        validationResult = validateSchema(data, schema, undefined, issuesStyles)
+    }
 
-        // Throw an error to fail the test
-        cy.then(() => {
-            console.log(errorResponseBodyAgainstSchema)
-            throw new Error(errorResponseBodyAgainstSchema)
-        })
+    // Log the validation result and fail the test (or collect the failure in soft mode) if not valid
+    if (!_checkValidationResult(data, validationResult, issuesStyles, validationTargets.requestBody, schema, path, mode, maxErrorsToShow)) {
+        _reportValidationFailures([{ target: validationTargets.requestBody, errors: validationResult.errors }], schema, path, mode)
     }
 }
 
+/**
+ * Validates any data against the schema. See `cy.validateData()` for the parameters.
+ * @private
+ *
+ * @param {any} data - The data to validate.
+ * @param {object} schema - The schema to validate against.
+ * @param {object} [path] - The path object to the response schema definition in a Swagger or OpenAPI document.
+ * @param {object} [issuesStyles] - An object with the icons and HEX colors used to flag the issues.
+ * @param {object} [options] - The validation mode and the strict mode options.
+ * @throws {Error} - If the validation fails in 'hard' mode.
+ */
+const _validateData = (data, schema, path, issuesStyles, options) => {
+    const mode = _getValidationMode(options)
+    const maxErrorsToShow = _getMaxErrorsToShow(options)
+    const { strict = false, allowUndocumented = [] } = options
+
+    if (_isOperationValidationDisabled(schema, path)) {
+        return
+    }
+
+    issuesStyles = { ...issuesStylesDefault, ...issuesStyles }
 
+    // Validate the data against the schema (large payloads in the Node process)
+    _withValidationResult(data, schema, path, issuesStyles, { strict, allowUndocumented }, options, validationResult => {
+        // Log the validation result and fail the test (or collect the failure in soft mode) if not valid
+        if (!_checkValidationResult(data, validationResult, issuesStyles, validationTargets.data, schema, path, mode, maxErrorsToShow)) {
+            _reportValidationFailures([{ target: validationTargets.data, errors: validationResult.errors }], schema, path, mode)
+        }
+    })
+}
 
 /**
- * Transforms a JSON object into an HTML string with syntax highlighting and custom styles for specific properties.
+ * Validates the examples of a Swagger or OpenAPI document against their own schemas, and logs the examples not valid.
+ * See `cy.validateExamples()` for the parameters.
+ * @private
  *
- * @param {Object} jsonObject - The JSON object to be transformed into HTML.
- * @param {Object} issuesStyles - An object with the icons and HEX colors used to flag the issues. Constains: iconPropertyError, colorPropertyError, iconPropertyMissing, colorPropertyMissing.
- * 
- * @returns {string} - An HTML string with syntax-highlighted JSON and custom styles applied.
+ * @param {object} schema - The Swagger or OpenAPI document.
+ * @param {object} options - The validation mode and the maximum number of examples not valid to show.
+ *
+ * @returns {object} - The validation result, as returned by `validateExamples()`.
+ * @throws {Error} - If any example is not valid in 'hard' mode.
  */
-const transformDataToHtmlGleb = (jsonObject, issuesStyles) => {
-    const { iconPropertyError, colorPropertyError, iconPropertyMissing, colorPropertyMissing } = issuesStyles
+const _validateExamples = (schema, options) => {
+    const mode = _getValidationMode(options)
+    const maxErrorsToShow = _getMaxErrorsToShow(options)
+
+    const result = validateExamples(schema)
+    const { examples, failures } = result
+
+    if (failures.length === 0) {
+        cy.colorLog(`**THE ${examples} EXAMPLES ARE VALID AGAINST THEIR SCHEMAS.**`,
+            '#66d966',
+            { displayName: `${iconPassed} PASSED -` }
+        )
+        return result
+    }
 
-    const fontStyles = `font-weight: bold; font-size: 1.3em;`
-    let jsonString = JSON.stringify(jsonObject, null, 4)
+    cy.colorLog(`**${failures.length} OF THE ${examples} EXAMPLES ARE NOT VALID AGAINST THEIR SCHEMAS.**`,
+        '#e34040',
+        { displayName: `${iconFailed} FAILED -`, info: { examples_not_valid: failures } }
+    )
 
-    let json = hljs.highlight(jsonString, {
-        language: 'json',
-    }).value
+    // Each example not valid is a collapsible group with its schema errors
+    failures.slice(0, maxErrorsToShow).forEach(({ pointer, schemaPointer, example, errors, dataMismatches }) => {
+        cy.colorLog(`**${pointer}** (${errors.length} schema errors)`,
+            issuesStylesDefault.colorPropertyError,
+            { displayName: issuesStylesDefault.iconPropertyError, info: { example, schema: schemaPointer, schema_errors: errors, data_mismatches: dataMismatches }, groupStart: true }
+        )
 
-    const regexpError = RegExp(`>&quot;${iconPropertyError}`, 'g')
-    json = json.replaceAll(regexpError, (match) => {
-        return ` style="${fontStyles} color: ${colorPropertyError};"${match}`
-    });
+        errors.forEach((error, i) => {
+            cy.colorLog(`${error.pointer} ${error.message}`,
+                issuesStylesDefault.colorPropertyError,
+                { displayName: issuesStylesDefault.iconPropertyError, info: { schema_error: error }, groupEnd: i === errors.length - 1 }
+            )
+        })
+    })
 
-    const regexpMissing = RegExp(`>&quot;${iconPropertyMissing}`, 'g')
-    json = json.replaceAll(regexpMissing, (match) => {
-        return ` style="${fontStyles}; color: ${colorPropertyMissing};"${match}`
-    });
+    if (failures.length > maxErrorsToShow) {
+        cy.colorLog(`...and ${failures.length - maxErrorsToShow} more examples not valid.`,
+            issuesStylesDefault.colorPropertyMissing,
+            { displayName: iconMoreErrors, info: { rest_of_examples: failures.slice(maxErrorsToShow) } }
+        )
+    }
 
-    return `<pre class="hljs">${json}</pre>`
-};
+    _reportValidationFailures([{ target: validationTargets.examples, errors: failures.flatMap(failure => failure.errors) }], schema, undefined, mode)
 
+    return result
+}
 
 /**
- * Recursively traverses and displays data mismatches in an API view, highlighting errors in arrays, objects, or properties.
+ * Generates a response valid against the schema, and logs it. See `cy.generateFromSchema()` for the parameters.
+ * @private
  *
- * @param {JQuery<HTMLElement>} $content - The current DOM element being processed.
- * @param {string[]} instancePathArray - An array representing the path to the current data point in the JSON structure.
- * @param {string} errorDescription - A description of the error to display.
- * @param {Object} error - The error object containing details about the validation error.
- * @param {Object} issuesStyles - An object with the icons and HEX colors used to flag the issues.. Constains: iconPropertyError, colorPropertyError, iconPropertyMissing, colorPropertyMissing.
- * @param {number} depth - The current depth of recursion, used for indentation and styling.
+ * @param {object} schema - The schema.
+ * @param {object} [path] - The path object to the response definition in a Swagger or OpenAPI document.
+ * @param {object} options - Generation options.
+ *
+ * @returns {object} - The response, containing `statusCode`, `headers` and `body`.
  */
-const showDataMismatchesApiViewFilip = ($content, instancePathArray, errorDescription, error, issuesStyles, depth) => {
-    const { colorPropertyError, iconPropertyError, colorPropertyMissing } = issuesStyles
-
-    const fontStyles = `font-weight: bold; font-size: 1.3em;`
-    let path0 = instancePathArray.shift()
+const _generateResponse = (schema, path, options) => {
+    const response = generateResponse(schema, path, options)
 
-    if ($content.hasClass('bracket')) {
-        // It's an Array
-        const $elem = $content.siblings(`details`).eq(parseInt(path0))
+    cy.colorLog(`**DATA GENERATED FROM THE SCHEMA** (${_describeOperation(schema, { status: 200, ...path })}).`,
+        '#4aa3df',
+        { displayName: `${iconGenerated} MOCK -`, info: { response } }
+    )
 
-        if ($elem.length === 0) {
-            Cypress.$(`<span style="${fontStyles} padding-left: 15px; color: ${colorPropertyError};">${iconPropertyError} Array ${error.message} </span>`).insertAfter($content.parent().next())
-        } else {
-            showDataMismatchesApiViewFilip($elem.children('summary'), instancePathArray, errorDescription, error, issuesStyles, depth + 1)
-        }
-    }
-    else if ($content.hasClass('brace')) {
-        // It's an Object
-        const $elem = $content.siblings(`.token.property:contains(\"${path0}\")`).filter((i, e) => {  // For exact match
-            return Cypress.$(e).text() === `"${path0}"`
-        })
+    return response
+}
 
-        if ($elem.length === 0) {
-            // Missing property
-            Cypress.$(`<br><span class="line-number text-slate-700 select-none contents align-top">      </span><span style="${fontStyles} padding-left: ${25 + (depth - 1) * 14}px; color: ${colorPropertyMissing};">"${error.params.missingProperty}": ${errorDescription} </span>`).insertAfter($content)
-        } else {
-            let $value = $elem.next().next()
-            if ($value.is('details')) {
-                $value = $value.children('summary')
-            }
+/**
+ * Calls the callback with the schema. If it is provided as a string, it is the name of a schema registered with `cy.registerSchema()`,
+ * or otherwise the path of a file (YAML or JSON, relative to the project root) that is loaded first with the Node plugin.
+ * The schemas loaded are kept for the rest of the spec file.
+ * @private
+ *
+ * @param {object|string} schema - The schema, the name of a registered schema, or the path of the file with the schema.
+ * @param {Function} callback - The function called with the schema.
+ */
+const _withSchema = (schema, callback) => {
+    const availableSchema = _getAvailableSchema(schema)
 
-            showDataMismatchesApiViewFilip($value, instancePathArray, errorDescription, error, issuesStyles, depth + 1)
-        }
+    if (availableSchema !== undefined) {
+        callback(availableSchema)
     } else {
-        // Error in a property
-        Cypress.$(`<span style="${fontStyles} padding-left: 15px; color: ${colorPropertyError};">${errorDescription} </span>`).insertAfter($content)
+        cy.task('schemaValidator:loadSpec', schema, { log: false }).then(loadedSchema => {
+            loadedSchemas.set(schema, loadedSchema)
+            callback(loadedSchema)
+        })
     }
 }
 
 /**
- * Determines whether mismatches should be enabled on the UI.
- * This is based on the Cypress configuration and environment variables.
+ * Gets the schema without loading it: the schema itself if it is not provided as a string, or the schema registered with `cy.registerSchema()`
+ * or loaded from a file in the spec file.
+ * @private
  *
- * @returns {boolean} - Returns `true` if the Cypress environment is interactive
- * and the `enableMismatchesOnUI` environment variable is set; otherwise, `false`.
+ * @param {object|string} schema - The schema, the name of a registered schema, or the path of the file with the schema.
+ *
+ * @returns {object|undefined} - The schema, or undefined if it is a file not loaded yet.
  */
-const mustEnableMismatchesOnUI = () => {
-    return Cypress.config('isInteractive') && Cypress.env('enableMismatchesOnUI')
+const _getAvailableSchema = (schema) => {
+    if (typeof schema !== 'string') {
+        return schema
+    }
+    return registeredSchemas.has(schema) ? registeredSchemas.get(schema) : loadedSchemas.get(schema)
 }
+
+/**
+ * Validates the data against the schema, and calls the callback with the validation result.
+ * Payloads larger than the Cypress environment variable "schemaOffloadThreshold" (or any payload with the option `offload: true`) are validated
+ * in the Node process by the plugin, so Ajv and the rendering of the whole data do not freeze the Cypress runner: only the schema errors are sent
+ * back, and only the first `maxErrorsToShow` mismatches are flagged.
+ * @private
+ *
+ * @param {any} data - The data to validate.
+ * @param {object} schema - The schema to validate against.
+ * @param {object} [path] - The path object to the schema definition in a Swagger or OpenAPI document.
+ * @param {object} issuesStyles - An object with the icons and HEX colors used to flag the issues.
+ * @param {object} validationOptions - The options of the validation: `strict`, `allowUndocumented` and `mediaType` (see `validateSchema()`).
+ * @param {object} options - The command options (`offload` and `maxErrorsToShow`).
+ * @param {Function} callback - The function called with the validation result (`errors`, `dataMismatches` and `issuesStyles`, and `offloaded`
+ *   if validated in the Node process).
+ */
+const _withValidationResult = (data, schema, path, issuesStyles, validationOptions, options, callback) => {
+    const size = _getOffloadedSize(data, options)
+
+    if (size == null) {
+        callback(validateSchema(data, schema, path, issuesStyles, validationOptions))
+        return
+    }
+
+    // Schemas loaded from a file are referenced by the file path, since the Node plugin keeps them loaded,
+    // and other schemas are only sent the first time, then referenced by their id
+    const schemaFile = _getSchemaFile(schema)
+    let schemaId = null
+    let sentSchema = null
+
+    if (!schemaFile) {
+        schemaId = offloadedSchemaIds.get(schema)
+
+        if (schemaId === undefined) {
+            schemaId = ++offloadedSchemasCount
+            offloadedSchemaIds.set(schema, schemaId)
+            sentSchema = schema
+        }
+    }
+
+    const payload = { data, schema: sentSchema, schemaFile, schemaId, spec: Cypress.spec.relative, path, options: validationOptions }
+
+    cy.task('schemaValidator:validate', payload, { log: false }).then(({ errors }) => {
+        cy.colorLog(`**Validated in the Node process** (payload of ${_formatSize(size)})`,
+            '#9e9e9e',
+            { displayName: `${iconOffloaded} OFFLOADED -`, info: { payload_size: size, number_of_schema_errors: errors ? errors.length : 0 } }
+        )
+
+        // Only the first mismatches are flagged, in an object with just their paths in the data
+        const dataMismatches = errors ? summarizeMismatches(data, errors.slice(0, _getMaxErrorsToShow(options)), issuesStyles) : null
+
+        callback({ errors, dataMismatches, issuesStyles, offloaded: true })
+    })
+}
+
+/**
+ * Gets the size of a payload to be validated in the Node process: with the command option `offload: true`, or when it is larger than
+ * the Cypress environment variable "schemaOffloadThreshold" (set by the Node plugin option "offload").
+ * @private
+ *
+ * @param {any} data - The data to validate.
+ * @param {object} options - The command options.
+ *
+ * @returns {integer|null} - The size of the payload (in characters of its JSON), or null if it is validated in the browser.
+ */
+const _getOffloadedSize = (data, options) => {
+    const threshold = Cypress.env('schemaOffloadThreshold')
+
+    if (options.offload === false || (!options.offload && !threshold)) {
+        return null
+    }
+
+    // Serializing the payload is much faster than validating and rendering it
+    const size = typeof data === 'string' ? data.length : String(JSON.stringify(data)).length
+
+    return options.offload || size > threshold ? size : null
+}
+
+/**
+ * Gets the path of the file a schema was loaded from by the Node plugin.
+ * @private
+ *
+ * @param {object} schema - The schema.
+ *
+ * @returns {string|null} - The path of the file, or null if the schema was not loaded from a file.
+ */
+const _getSchemaFile = (schema) => {
+    const loaded = [...loadedSchemas.entries()].find(([, loadedSchema]) => loadedSchema === schema)
+    return loaded ? loaded[0] : null
+}
+
+/**
+ * Formats the size of a payload for the Cypress log (E.g.: '2.4 MB').
+ * @private
+ *
+ * @param {integer} size - The size (in characters of the JSON payload).
+ *
+ * @returns {string} - The size formatted.
+ */
+const _formatSize = (size) => {
+    if (size >= 1024 * 1024) {
+        return `${(size / (1024 * 1024)).toFixed(1)} MB`
+    }
+    return size >= 1024 ? `${(size / 1024).toFixed(1)} KB` : `${size} B`
+}
+
+/**
+ * Checks if schema validation has been disabled for the current test with the Cypress environment variable "disableSchemaValidation"
+ * (for every test, or by spec file pattern or test tag), and in that case shows a warning with the reason in the Cypress log and the console.
+ * @private
+ *
+ * @returns {boolean} - `true` if schema validation is disabled.
+ */
+const _isSchemaValidationDisabled = () => {
+    const reason = getDisabledReason()
+
+    if (reason) {
+        skipValidation(reason)
+        return true
+    }
+    return false
+}
+
+/**
+ * Checks if schema validation has been disabled for the operation with the Cypress environment variable "disableSchemaValidation"
+ * (by endpoint pattern or operation tag), and in that case shows a warning with the reason in the Cypress log and the console.
+ * @private
+ *
+ * @param {object} schema - The schema to validate against.
+ * @param {object} [path] - The path object to the operation in a Swagger or OpenAPI document.
+ *
+ * @returns {boolean} - `true` if schema validation is disabled for the operation.
+ */
+const _isOperationValidationDisabled = (schema, path) => {
+    const reason = getOperationDisabledReason(schema, path)
+
+    if (reason) {
+        skipValidation(reason, _describeOperation(schema, path))
+        return true
+    }
+    return false
+}
+
+/**
+ * Gets the API response from the subject chained to the command:
+ * - Interception yielded by `cy.wait('@alias')`: An API response built from `interception.response`, that also keeps `interception.request`.
+ * - Response of `cy.request()` or `cy.api()`: The subject itself.
+ * @private
+ *
+ * @param {object} subject - The subject chained to the command.
+ *
+ * @returns {object} - The API response (with `status`, `headers` and `body`).
+ * @throws {Error} - If the subject is an interception without response.
+ */
+const _getApiResponse = (subject) => {
+    if (!_isInterception(subject)) {
+        return subject
+    }
+
+    if (subject.response == null) {
+        console.log(errorNoInterceptedResponse)
+        throw new Error(errorNoInterceptedResponse)
+    }
+
+    const { statusCode, headers, body } = subject.response
+    return { status: statusCode, headers, body, request: subject.request }
+}
+
+/**
+ * Checks if the subject chained to the command is an interception (as yielded by `cy.wait('@alias')`).
+ * @private
+ *
+ * @param {object} subject - The subject chained to the command.
+ *
+ * @returns {boolean} - `true` if the subject is an interception.
+ */
+const _isInterception = (subject) => {
+    return subject != null && subject.request != null && subject.hasOwnProperty('response') && !subject.hasOwnProperty('body')
+}
+
+/**
+ * Resolves the path to the operation in a Swagger or OpenAPI document from the subject chained to the command:
+ * - The endpoint is found by matching the request URL against the paths of the document.
+ * - The method is taken from the request when available (intercepted requests), otherwise from the only operation defined for the endpoint.
+ * - The status is taken from the response.
+ * Any property already provided in the path is kept. The resolved operation is shown in the Cypress log.
+ * @private
+ *
+ * @param {object} subject - The subject chained to the command.
+ * @param {object} schema - The Swagger or OpenAPI document.
+ * @param {object} [path={}] - The path object partially provided (E.g.: only the method).
+ *
+ * @returns {object} - The path object with `endpoint`, `method` and `status`.
+ * @throws {Error} - If the request URL is not available, no path (or more than one) of the document matches the request URL,
+ *   or the request method is not available and the endpoint has several operations.
+ */
+const _resolvePath = (subject, schema, path = {}) => {
+    const url = _getRequestUrl(subject)
+
+    if (url == null) {
+        console.log(errorNoRequestUrl)
+        throw new Error(errorNoRequestUrl)
+    }
+
+    let method = path.method || (subject.request && subject.request.method)
+    const endpoint = findEndpoint(schema, url, method)
+
+    if (method == null) {
+        const operationMethods = getOperationMethods(schema, endpoint)
+
+        if (operationMethods.length > 1) {
+            const message = `${errorNoRequestMethod} Endpoint: '${endpoint}', operations: ${operationMethods.map(operationMethod => operationMethod.toUpperCase()).join(', ')}`
+            console.log(message)
+            throw new Error(message)
+        }
+        method = operationMethods.length === 1 ? operationMethods[0] : 'GET'
+    }
+
+    const status = path.status || subject.status
+
+    cy.colorLog(`${method.toUpperCase()} ${endpoint}${status ? ` (${status})` : ''}`,
+        '#4a90d9',
+        { displayName: `${iconOperation} OPERATION -`, info: { url, endpoint, method, status } }
+    )
+
+    return { ...path, endpoint, method, status }
+}
+
+/**
+ * Gets the URL of the request from the subject chained to the command:
+ * - Interception yielded by `cy.wait('@alias')`: The URL of `interception.request`.
+ * - Response of `cy.request()` or `cy.api()`: The 'Request URL' of the last request sent (after any redirect).
+ * @private
+ *
+ * @param {object} subject - The subject chained to the command.
+ *
+ * @returns {string|undefined} - The request URL, or undefined if not available.
+ */
+const _getRequestUrl = (subject) => {
+    if (subject.request != null && subject.request.url != null) {
+        return subject.request.url
+    }
+    if (Array.isArray(subject.allRequestResponses) && subject.allRequestResponses.length > 0) {
+        return subject.allRequestResponses[subject.allRequestResponses.length - 1]['Request URL']
+    }
+    return undefined
+}
+
+/**
+ * Gets the body of the request that was sent from the subject chained to the command:
+ * - Interception yielded by `cy.wait('@alias')`: The body of `interception.request`.
+ * - Response of `cy.request()` or `cy.api()`: The 'Request Body' of the first request sent (before any redirect).
+ * Request bodies sent as JSON strings are parsed.
+ * @private
+ *
+ * @param {object} subject - The subject chained to the command.
+ *
+ * @returns {any} - The request body.
+ * @throws {Error} - If the subject does not contain a request.
+ */
+const _getRequestBody = (subject) => {
+    let body
+
+    if (subject != null && subject.request != null && subject.request.hasOwnProperty('body')) {
+        body = subject.request.body
+    } else if (subject != null && Array.isArray(subject.allRequestResponses) && subject.allRequestResponses.length > 0) {
+        body = subject.allRequestResponses[0]['Request Body']
+    } else {
+        console.log(errorNoValidApiRequest)
+        throw new Error(errorNoValidApiRequest)
+    }
+
+    if (typeof body === 'string') {
+        try {
+            body = JSON.parse(body)
+        } catch (e) {
+            // Not a JSON string, it will be validated as it is
+        }
+    }
+    return body
+}
+
+/**
+ * Validates that the actual response status is documented for the operation in a Swagger or OpenAPI document
+ * (exact status, status range like '4XX', or 'default'), and that it is the expected status (`path.status`).
+ * The result has the same shape as the result of a schema validation, so it can be logged the same way.
+ * @private
+ *
+ * @param {integer} status - The actual response status.
+ * @param {object} schema - The Swagger or OpenAPI document.
+ * @param {object} path - The path object to the operation in the document (`endpoint`, `method` and expected `status`).
+ * @param {object} issuesStyles - An object with the icons and HEX colors used to flag the issues.
+ *
+ * @returns {object} - An object containing `errors` (an array with the status error, or null if valid) and `dataMismatches`.
+ */
+const _validateResponseStatus = (status, schema, path, issuesStyles) => {
+    const { responses = {} } = getOperation(schema, path).operation
+    const documentedStatuses = Object.keys(responses)
+
+    let error = null
+
+    if (findResponseKey(responses, status) === undefined) {
+        error = {
+            instancePath: '',
+            schemaPath: `#/paths/${path.endpoint}/${(path.method || 'GET').toLowerCase()}/responses`,
+            keyword: 'status',
+            params: { documentedStatuses },
+            message: `is not documented for the operation (documented statuses: ${documentedStatuses.join(', ')})`
+        }
+    } else if (String(status) !== String(path.status)) {
+        error = {
+            instancePath: '',
+            schemaPath: `#/paths/${path.endpoint}/${(path.method || 'GET').toLowerCase()}/responses/${path.status}`,
+            keyword: 'const',
+            params: { allowedValue: path.status },
+            message: `must be equal to the expected status ${path.status}`
+        }
+    }
+
+    return {
+        errors: error && [error],
+        dataMismatches: error ? `${issuesStyles.iconPropertyError} ${status} ${error.message}` : status
+    }
+}
+
+/**
+ * Gets the media type of the 'Content-Type' header of a response, without parameters (E.g.: 'application/json; charset=utf-8' => 'application/json').
+ * @private
+ *
+ * @param {object} [headers] - The response headers.
+ *
+ * @returns {string|undefined} - The media type, or undefined if the response has no 'Content-Type' header.
+ */
+const _getContentType = (headers) => {
+    const name = Object.keys(headers || {}).find(header => header.toLowerCase() === 'content-type')
+    const contentType = name && [].concat(headers[name])[0]
+
+    return contentType ? String(contentType).split(';')[0].trim().toLowerCase() : undefined
+}
+
+/**
+ * Validates that the actual response content type is documented for the response in an OpenAPI document, and selects the media type entry
+ * of the response content to validate the body against (exact media type, or a media type range like 'application/*').
+ * If the response has no 'Content-Type' header, or the response definition has no content, the content type is not validated.
+ * The result has the same shape as the result of a schema validation, so it can be logged the same way.
+ * @private
+ *
+ * @param {string} [contentType] - The media type of the 'Content-Type' header of the response.
+ * @param {object} schema - The OpenAPI document.
+ * @param {object} path - The path object to the response in the document (`endpoint`, `method` and `status`).
+ * @param {object} issuesStyles - An object with the icons and HEX colors used to flag the issues.
+ *
+ * @returns {object} - An object containing `mediaType` (the media type entry selected), `errors` (an array with the content type error, or null if valid) and `dataMismatches`.
+ */
+const _validateResponseContentType = (contentType, schema, path, issuesStyles) => {
+    const { content } = getResponseDefinition(schema, path)
+    const mediaType = findMediaType(content, contentType)
+    const documentedMediaTypes = Object.keys(content || {})
+
+    let error = null
+
+    if (contentType && content && mediaType === undefined) {
+        error = {
+            instancePath: '',
+            schemaPath: `#/paths/${path.endpoint}/${(path.method || 'GET').toLowerCase()}/responses/${path.status || 200}/content`,
+            keyword: 'contentType',
+            params: { documentedMediaTypes },
+            message: `is not documented for the response (documented media types: ${documentedMediaTypes.join(', ')})`
+        }
+    }
+
+    return {
+        mediaType,
+        errors: error && [error],
+        dataMismatches: error ? `${issuesStyles.iconPropertyError} ${contentType} ${error.message}` : contentType
+    }
+}
+
+/**
+ * Parses a body of a JSON media type that was not parsed. If it is not valid JSON, it is kept as it is (so it will not be valid against the schema).
+ * @private
+ *
+ * @param {string} body - The body.
+ *
+ * @returns {any} - The parsed body, or the original body if it is not valid JSON.
+ */
+const _parseJson = (body) => {
+    try {
+        return JSON.parse(body)
+    } catch (error) {
+        return body
+    }
+}
+
+/**
+ * Gets the schema validation mode from the command options, or from the Cypress environment variable "schemaValidationMode".
+ * @private
+ *
+ * @param {object} options - The command options.
+ *
+ * @returns {string} - The validation mode: 'hard' (default), 'soft' or 'warn'.
+ * @throws {Error} - If the validation mode is not valid.
+ */
+const _getValidationMode = (options) => {
+    const mode = options.mode || Cypress.env('schemaValidationMode') || 'hard'
+
+    if (!['hard', 'soft', 'warn'].includes(mode)) {
+        console.log(errorInvalidValidationMode)
+        throw new Error(errorInvalidValidationMode)
+    }
+    return mode
+}
+
+/**
+ * Gets the maximum number of errors (or groups of errors) to show in the log, from the command options
+ * or from the Cypress environment variable "schemaMaxErrorsToShow".
+ * @private
+ *
+ * @param {object} options - The command options.
+ *
+ * @returns {integer} - The maximum number of errors to show (10 by default).
+ */
+const _getMaxErrorsToShow = (options) => {
+    return options.maxErrorsToShow ?? Cypress.env('schemaMaxErrorsToShow') ?? 10
+}
+
+/**
+ * Reports the failed validations according to the validation mode:
+ * - 'hard': Throws an error to fail the test, with the error message of each of the failed validation targets.
+ * - 'soft': Collects the failures, so the test fails at the end with a summary of all the failures.
+ * - 'warn': Only logs a warning, the test does not fail.
+ * @private
+ *
+ * @param {object[]} failures - The failed validations, each containing `target` (from `validationTargets`) and `errors`.
+ * @param {object} schema - The schema validated against (plain JSON schema, Swagger or OpenAPI document).
+ * @param {object} [path] - The path object to the operation in a Swagger or OpenAPI document.
+ * @param {string} mode - The validation mode: 'hard', 'soft' or 'warn'.
+ *
+ * @throws {Error} - In 'hard' mode, if there is any failed validation.
+ */
+const _reportValidationFailures = (failures, schema, path, mode) => {
+    if (failures.length === 0) {
+        return
+    }
+
+    if (mode === 'hard') {
+        const message = failures.map(({ target }) => target.error).join('\n')
+
+        cy.then(() => {
+            console.log(message)
+            throw new Error(message)
+        })
+    } else {
+        const operation = _describeOperation(schema, path)
+
+        cy.then(() => {
+            failures.forEach(({ target, errors }) => {
+                if (mode === 'soft') {
+                    addSoftFailure({ operation, label: target.label, errorsCount: errors.length })
+                }
+                console.log(`${iconWarning} ${target.error} (${operation})`)
+            })
+        })
+
+        cy.colorLog(mode === 'soft'
+            ? `Schema validation failures recorded, the test will fail at the end (soft mode).`
+            : `Schema validation failures only reported as a warning (warn mode).`,
+            '#e0e030',
+            { displayName: `${iconWarning} ${mode.toUpperCase()} -`, info: { operation, failures } }
+        )
+    }
+}
+
+/**
+ * Describes the operation validated, to be shown in the logs and summaries (E.g.: 'GET /users/{id} (200)').
+ * @private
+ *
+ * @param {object} schema - The schema validated against (plain JSON schema, Swagger or OpenAPI document).
+ * @param {object} [path] - The path object to the operation in a Swagger or OpenAPI document.
+ *
+ * @returns {string} - The description of the operation.
+ */
+const _describeOperation = (schema, path) => {
+    if (!isSpecificationDoc(schema) || path == null || path.endpoint == null) {
+        return 'JSON schema'
+    }
+    return `${(path.method || 'GET').toUpperCase()} ${path.endpoint}${path.status ? ` (${path.status})` : ''}`
+}
+
+/**
+ * Applies the waivers of known schema mismatches to the validation result, logs it and records it for the reports of the validation results
+ * (if enabled by the Node plugin). The errors waived are removed from the validation result and from the mismatches flagged in the data,
+ * so the failures reported and shown only contain the errors not waived.
+ * @private
+ *
+ * @param {any} data - The data validated.
+ * @param {object} validationResult - The validation result, containing `errors` and `dataMismatches`.
+ * @param {object} issuesStyles - An object with the icons and HEX colors used to flag the issues.
+ * @param {object} target - What was validated (one of `validationTargets`).
+ * @param {object} schema - The schema validated against (plain JSON schema, Swagger or OpenAPI document).
+ * @param {object} [path] - The path object to the operation in a Swagger or OpenAPI document.
+ * @param {string} mode - The validation mode: 'hard', 'soft' or 'warn'.
+ * @param {integer} maxErrorsToShow - The maximum number of errors (or groups of errors) to show in the log.
+ *
+ * @returns {boolean} - `true` if the data is valid against the schema, otherwise `false`.
+ */
+const _checkValidationResult = (data, validationResult, issuesStyles, target, schema, path, mode, maxErrorsToShow) => {
+    const { errors, waived, expired } = applyWaivers(validationResult.errors, schema, path)
+
+    validationResult.errors = errors
+
+    // The mismatches are flagged again without the errors waived, so they are not shown or reported as failures
+    if (waived.length > 0) {
+        validationResult.dataMismatches = validationResult.offloaded
+            ? errors && summarizeMismatches(data, errors.slice(0, maxErrorsToShow), issuesStyles)
+            : flagMismatches(data, errors || [], issuesStyles)
+    }
+    const { dataMismatches } = validationResult
+
+    recordValidationResult({ schema, path, file: _getSchemaFile(schema), operation: _describeOperation(schema, path), validation: target.label, mode, errors, dataMismatches })
+
+    const valid = _logValidationResult(data, validationResult, issuesStyles, target, maxErrorsToShow)
+
+    _logWaivers(waived, expired)
+
+    return valid
+}
+
+/**
+ * Logs the schema errors waived, and the schema errors matched by expired waivers (that are not waived anymore), one entry per waiver.
+ * @private
+ *
+ * @param {object[]} waived - The errors waived, as `{ error, waiver }`.
+ * @param {object[]} expired - The errors matched by an expired waiver, as `{ error, waiver }`.
+ */
+const _logWaivers = (waived, expired) => {
+    const byWaiver = (matches) => Cypress._.groupBy(matches, ({ waiver }) => waiver.id ?? waiver.reason)
+
+    Object.values(byWaiver(waived)).forEach(matches => {
+        const { waiver } = matches[0]
+
+        cy.colorLog(`**${matches.length} schema errors waived:** ${waiver.reason} (until ${waiver.expires})`,
+            '#2fa39a',
+            { displayName: `${iconWaived} WAIVED -`, info: { waiver, waived_errors: matches.map(({ error }) => error) } }
+        )
+    })
+
+    Object.values(byWaiver(expired)).forEach(matches => {
+        const { waiver } = matches[0]
+
+        cy.colorLog(`**The waiver of ${matches.length} schema errors expired on ${waiver.expires}:** ${waiver.reason}`,
+            '#e34040',
+            { displayName: `${iconWaiverExpired} WAIVER EXPIRED -`, info: { waiver, schema_errors: matches.map(({ error }) => error) } }
+        )
+    })
+}
+
+/**
+ * Logs the validation result: a success message if the data is valid against the schema, otherwise the schema errors.
+ * It shows the total number of errors and the first 'maxErrorsToShow' errors (by default 10). If there are more errors, it shows a line with the number of additional errors.
+ * The same error repeated in the items of arrays is shown as a collapsible group of errors, with the number of occurrences and the array indices.
+ * @private
+ *
+ * @param {any} data - The data to be validated.
+ * @param {object} validationResults - An object containing:
+ * @param {Array} validationResults.errors - An array of validation errors, or null if the data is valid against the schema.
+ * @param {object} validationResults.dataMismatches - The original response data with all schema mismatches flagged directly.
+ * @param {object} validationResults.issuesStyles - An object with the icons and HEX colors used to flag the issues.
+ * @param {string} validationResults.issuesStyles.iconPropertyError - The icon used to flag the property error.
+ * @param {string} validationResults.issuesStyles.iconPropertyMissing - The icon used to flag the missing property.
+ * @param {string} validationResults.issuesStyles.colorPropertyError - The HEX color used to flag the property error.
+ * @param {string} validationResults.issuesStyles.colorPropertyMissing - The HEX color used to flag the missing property.
+ * @param {string} validationResults.issuesStyles.iconPropertyUndocumented - The icon used to flag the undocumented property.
+ * @param {string} validationResults.issuesStyles.colorPropertyUndocumented - The HEX color used to flag the undocumented property.
+ * @param {object} [target=validationTargets.responseBody] - What was validated (one of `validationTargets`): label for the log, error to throw and if mismatches can be shown on the API plugins UI.
+ * @param {integer} [maxErrorsToShow=10] - The maximum number of errors (or groups of errors) to show in the log.
+ * 
+ * @returns {boolean} - `true` if the data is valid against the schema, otherwise `false`.
+  */
+const _logValidationResult = (data, validationResults, issuesStyles, target = validationTargets.responseBody, maxErrorsToShow = 10) => {
+
+    let { errors, dataMismatches } = validationResults
+
+    if (!errors) {
+        // PASSED
+
+        // Show in Cypress Log an message saying that the schema validation passed
+        cy.colorLog(`**THE ${target.label} IS VALID AGAINST THE SCHEMA.**`,
+            '#66d966',
+            { displayName: `${iconPassed} PASSED -` }
+        )
+    } else {
+        // FAILED
+        let onClick
+
+        if (mustEnableMismatchesOnUI()) {
+            // Show the data with the mismatches in the view of the API plugin used, or otherwise in a panel of our own
+            // (for the payloads validated in the Node process, only the first mismatches)
+            const errorsOnUI = validationResults.offloaded ? errors.slice(0, maxErrorsToShow) : errors
+            const label = errorsOnUI.length < errors.length ? `${target.label} (FIRST ${errorsOnUI.length} OF ${errors.length} MISMATCHES)` : target.label
+
+            onClick = renderDataMismatches({ label, responseBody: target.mismatchesOnUI, data, errors: errorsOnUI, dataMismatches, issuesStyles })
+        }
+
+        // Show in Cypress Log an error message saying that the schema validation failed and total number of errors
+        // On click, it will show in the console:
+        //   - Total number of errors
+        //   - Full list of errors as provided by AJV
+        //   - User friendly representation of the mismatches in the data ❤️
+        // It will also call the function returned by the renderer of the mismatches, if any (E.g.: to open the panel with the mismatches)
+        cy.colorLog(`**THE ${target.label} IS NOT VALID AGAINST THE SCHEMA (Number of schema errors: ${errors.length}).**`,
+            '#e34040',
+            {
+                displayName: `${iconFailed} FAILED -`,
+                info: { number_of_schema_errors: errors.length, ajv_errors: errors, data_mismatches: dataMismatches },
+                onClick
+            }
+        )
+
+        // The same error repeated in the items of arrays (E.g.: '/0/name', '/1/name'...) is shown once, as a group of errors,
+        // and only the first 'maxErrorsToShow' groups are shown (to avoid showing a huge amount of errors in the Cypress Log)
+        const { groupsToShow, restOfGroups } = splitErrorGroups(groupErrors(errors), maxErrorsToShow)
+
+        // Show in Cypress Log the first 'maxErrorsToShow' errors (or groups of errors) as provided by AJV
+        groupsToShow.forEach(group => {
+            const { iconError, colorError } = getErrorStyle(group.errors[0], issuesStyles)
+
+            if (group.count === 1) {
+                cy.colorLog(`${JSON.stringify(group.errors[0], "", 1)}`,
+                    colorError,
+                    { displayName: iconError, info: { schema_error: group.errors[0] } }
+                )
+                return
+            }
+
+            // Collapsible group with the errors repeated
+            cy.colorLog(`**${group.path}** ${group.message} (${describeOccurrences(group)})`,
+                colorError,
+                { displayName: iconError, info: { schema_errors_group: group.path, keyword: group.keyword, occurrences: group.count, schema_errors: group.errors }, groupStart: true }
+            )
+
+            const groupErrorsToShow = group.count > maxErrorsToShow + 1 ? group.errors.slice(0, maxErrorsToShow) : group.errors
+
+            groupErrorsToShow.forEach((error, i) => {
+                cy.colorLog(`${JSON.stringify(error, "", 1)}`,
+                    colorError,
+                    { displayName: iconError, info: { schema_error: error }, groupEnd: i === group.errors.length - 1 }
+                )
+            })
+
+            if (groupErrorsToShow.length < group.count) {
+                cy.colorLog(`...and ${group.count - maxErrorsToShow} more errors.`,
+                    colorError,
+                    { displayName: iconMoreErrors, info: { rest_of_errors: group.errors.slice(maxErrorsToShow) }, groupEnd: true }
+                )
+            }
+        })
+
+        // Show in Cypress Log the rest of errors if there are more than 'maxErrorsToShow' errors (or groups of errors) as provided by AJV
+        if (restOfGroups) {
+            const rest_of_errors = restOfGroups.flatMap(group => group.errors)
+
+            cy.colorLog(`...and ${rest_of_errors.length} more errors.`,
+                issuesStyles.colorPropertyMissing,
+                { displayName: iconMoreErrors, info: { rest_of_errors } }
+            )
+        }
+    }
+
+    return !errors
+}
+
+
+
+/**
+ * Determines whether mismatches should be enabled on the UI.
+ * This is based on the Cypress configuration and environment variables.
+ *
+ * @returns {boolean} - Returns `true` if the Cypress environment is interactive
+ * and the `enableMismatchesOnUI` environment variable is set; otherwise, `false`.
+ */
+const mustEnableMismatchesOnUI = () => {
+    return Cypress.config('isInteractive') && Cypress.env('enableMismatchesOnUI')
+}
+
+
+// ------------------------------------
+// CHAI ASSERTIONS
+// ------------------------------------
+
+// Assertion 'match.schema' for expect() and should(), with the schemas registered or loaded in the spec file
+chai.use(createChaiSchemaPlugin({
+    getSchema: _getAvailableSchema,
+    describeOperation: _describeOperation,
+    getMaxErrorsToShow: _getMaxErrorsToShow,
+    issuesStyles: issuesStylesDefault
+}))
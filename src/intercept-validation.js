@@ -0,0 +1,129 @@
+/// <reference types="cypress" />
+
+import { runAtEndOfTest } from './test-end.js'
+
+// ------------------------------------
+// STATE
+// ------------------------------------
+
+/**
+ * Routes whose intercepted calls are validated automatically until the end of the spec file.
+ * Each route contains: alias, routeMatcher, schema, path, issuesStyles and interceptedInTest.
+ * @private
+ *
+ * @type {object[]}
+ */
+const autoValidatedRoutes = []
+
+/**
+ * Whether the routes have already been intercepted for the current test (by the global `beforeEach` hook).
+ * @private
+ *
+ * @type {boolean}
+ */
+let routesInterceptedInTest = false
+
+
+// ------------------------------------
+// PUBLIC CUSTOM COMMANDS
+// ------------------------------------
+
+/**
+ * Custom command that validates automatically, against the provided schema, the response of every intercepted call that matches a route,
+ * from the moment it is called until the end of the spec file (usually called in a `before()` hook).
+ * The calls completed during each test are validated with `cy.validateSchema()` after the last command of the test, so a failing validation fails that test.
+ * @public
+ *
+ * @param {string|RegExp|object} routeMatcher - The route matcher, as for `cy.intercept()` (E.g.: '/api/**' or { method: 'GET', url: '/api/users/*' }).
+ * @param {object|string} schema - The schema to validate against. Supported formats are plain JSON schema, Swagger, and OpenAPI documents,
+ *   or the path of a YAML or JSON file with any of them (see `cy.validateSchema()`).
+ * @param {object} [path] - The path object to the schema definition in a Swagger or OpenAPI document.
+ *   If not provided, the operation is resolved for each intercepted call from its request URL, method and response status.
+ * @param {object} [issuesStyles] - An object with the icons and HEX colors used to flag the issues.
+ *
+ * @example
+ * before(() => {
+ *   cy.validateSchemaOnIntercept('/api/**', openApiDoc)
+ * })
+ */
+Cypress.Commands.add("validateSchemaOnIntercept",
+    (routeMatcher, schema, path, issuesStyles) => {
+        const alreadyAdded = autoValidatedRoutes.some(route => Cypress._.isEqual(route.routeMatcher, routeMatcher) && route.schema === schema)
+
+        if (!alreadyAdded) {
+            const route = {
+                alias: `validateSchemaOnIntercept${autoValidatedRoutes.length + 1}`,
+                routeMatcher,
+                schema,
+                path,
+                issuesStyles,
+                interceptedInTest: false
+            }
+            autoValidatedRoutes.push(route)
+
+            // If called from a 'before' hook, the route will be intercepted in the global 'beforeEach' hook
+            if (routesInterceptedInTest) {
+                _interceptRoute(route)
+            }
+        }
+    }
+)
+
+
+// ------------------------------------
+// GLOBAL HOOKS
+// ------------------------------------
+
+beforeEach(() => {
+    // Routes are reset by Cypress before each test, so they need to be intercepted again
+    autoValidatedRoutes.forEach(_interceptRoute)
+    routesInterceptedInTest = true
+})
+
+// The calls are validated after the last command of the test, so a failing validation fails the test itself (not a hook, that would skip the remaining tests)
+runAtEndOfTest(() => {
+    autoValidatedRoutes
+        .filter(route => route.interceptedInTest)
+        .forEach(route => {
+            route.interceptedInTest = false
+
+            cy.get(`@${route.alias}.all`, { log: false }).then(interceptions => {
+                // Calls still pending at the end of the test are not validated
+                interceptions
+                    .filter(interception => interception.response != null)
+                    .forEach(interception => {
+                        cy.wrap(interception, { log: false }).validateSchema(route.schema, route.path && { ...route.path }, route.issuesStyles)
+                    })
+            })
+        })
+})
+
+afterEach(() => {
+    routesInterceptedInTest = false
+
+    // Calls of a test that failed before they were validated are not validated
+    autoValidatedRoutes.forEach(route => {
+        route.interceptedInTest = false
+    })
+})
+
+
+// ------------------------------------
+// PRIVATE FUNCTIONS
+// ------------------------------------
+
+/**
+ * Intercepts the calls that match the route, with the route alias so they can be retrieved after the test.
+ * The route is a middleware, so it also sees the calls that a route defined later in the test stubs (routes are otherwise matched
+ * from the last one defined, and a stubbed call does not reach the routes defined before).
+ * @private
+ *
+ * @param {object} route - The route to intercept.
+ */
+const _interceptRoute = (route) => {
+    const { routeMatcher } = route
+    const routeMatcherOptions = typeof routeMatcher === 'string' || routeMatcher instanceof RegExp ? { url: routeMatcher } : routeMatcher
+
+    cy.intercept({ ...routeMatcherOptions, middleware: true }).as(route.alias)
+    route.interceptedInTest = true
+}
@@ -0,0 +1,372 @@
+/// <reference types="cypress" />
+
+import hljs from 'highlight.js'
+
+
+// ------------------------------------
+// MESSAGES
+// ------------------------------------
+
+const iconFailed = '❌'
+const iconWarning = '⚠️'
+
+const errorInvalidMismatchesRenderer = 'The mismatches renderer must have a name (string) and the functions "detect" and "render"!'
+const warningMismatchesRendererFailed = 'The data mismatches could not be shown on the UI (they are only shown in the Cypress log). Failed renderer:'
+
+
+// ------------------------------------
+// DATA MISMATCHES PANEL STYLES
+// ------------------------------------
+
+// Styles of the panels with the data mismatches (and a light theme for the highlight.js syntax highlighting)
+const dataMismatchesPanelStyles = `
+#schema-mismatches-panels { position: fixed; right: 0; bottom: 0; z-index: 2147483647; width: 40%; max-height: 60%; overflow: auto; font-family: monospace; font-size: 12px; }
+#schema-mismatches-panels .schema-mismatches-panel { margin: 4px; background-color: #ffffff; border: 1px solid #e34040; border-radius: 4px; box-shadow: 0 2px 6px rgba(0, 0, 0, 0.3); }
+#schema-mismatches-panels .schema-mismatches-panel > summary { padding: 6px 10px; cursor: pointer; font-weight: bold; color: #e34040; }
+#schema-mismatches-panels pre.hljs { margin: 0; padding: 10px; overflow: auto; color: #24292e; background-color: #f6f8fa; }
+#schema-mismatches-panels .hljs-attr { color: #005cc5; }
+#schema-mismatches-panels .hljs-string { color: #032f62; }
+#schema-mismatches-panels .hljs-number, #schema-mismatches-panels .hljs-literal { color: #d73a49; }
+#schema-mismatches-panels .hljs-punctuation { color: #6a737d; }
+`
+
+
+// ------------------------------------
+// STATE
+// ------------------------------------
+
+/**
+ * Renderers registered with `registerMismatchesRenderer()`, checked before the built-in ones (the last registered first).
+ * @private
+ *
+ * @type {object[]}
+ */
+let customRenderers = []
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Registers a renderer that shows the data mismatches in the view of an API plugin (E.g.: a request plugin not supported out of the box).
+ * The renderers registered are checked before the built-in ones (for `cypress-plugin-api` and `@bahmutov/cy-api`),
+ * and a renderer registered with the same name as other replaces it.
+ * @public
+ *
+ * @param {object} renderer - The renderer.
+ * @param {string} renderer.name - The name of the renderer.
+ * @param {Function} renderer.detect - Function called with the failed validation (see `renderDataMismatches()`), that returns the view
+ *   of the plugin where the mismatches must be shown (E.g.: a DOM element), or a falsy value if the plugin view is not found.
+ * @param {Function} renderer.render - Function called with the view returned by `detect` and the failed validation, that shows the mismatches in the view.
+ *   It can return a function, called when the FAILED entry of the validation is clicked in the Cypress log.
+ * @throws {Error} - If the renderer is not valid.
+ *
+ * @example
+ * registerMismatchesRenderer({
+ *   name: 'my-api-plugin',
+ *   detect: ({ responseBody }) => {
+ *     const $view = Cypress.$('.my-api-plugin-response:last-of-type pre')
+ *     return responseBody && $view.length && $view
+ *   },
+ *   render: ($view, { dataMismatches }) => {
+ *     $view.text(JSON.stringify(dataMismatches, null, 2))
+ *   }
+ * })
+ */
+export const registerMismatchesRenderer = (renderer) => {
+    if (renderer == null || typeof renderer.name !== 'string' || typeof renderer.detect !== 'function' || typeof renderer.render !== 'function') {
+        console.log(errorInvalidMismatchesRenderer)
+        throw new Error(errorInvalidMismatchesRenderer)
+    }
+
+    customRenderers = [renderer, ...customRenderers.filter(customRenderer => customRenderer.name !== renderer.name)]
+}
+
+/**
+ * Shows the data mismatches of a failed validation with the first renderer that detects its view: the registered renderers,
+ * then the built-in ones for `cypress-plugin-api` and `@bahmutov/cy-api`, and otherwise a panel of our own.
+ * If a renderer fails, the error is logged in the console and the mismatches are only shown in the Cypress log.
+ * @public
+ *
+ * @param {object} validation - The failed validation.
+ * @param {string} validation.label - What was validated (E.g.: 'RESPONSE BODY').
+ * @param {boolean} validation.responseBody - Whether the data validated is the response body (the only data shown in the API plugins views).
+ * @param {any} validation.data - The data validated.
+ * @param {object[]} validation.errors - The schema errors.
+ * @param {any} validation.dataMismatches - The data with all schema mismatches flagged.
+ * @param {object} validation.issuesStyles - An object with the icons and HEX colors used to flag the issues.
+ *
+ * @returns {Function|undefined} - The function to call when the FAILED entry of the validation is clicked in the Cypress log, if any.
+ */
+export const renderDataMismatches = (validation) => {
+    for (const renderer of [...customRenderers, ...builtInRenderers]) {
+        try {
+            const view = renderer.detect(validation)
+
+            if (view) {
+                return renderer.render(view, validation) || undefined
+            }
+        } catch (error) {
+            console.log(`${iconWarning} ${warningMismatchesRendererFailed} '${renderer.name}'`, error)
+            return undefined
+        }
+    }
+}
+
+
+// ------------------------------------
+// BUILT-IN RENDERERS
+// ------------------------------------
+
+/**
+ * Renderer for Filip Hric's `cypress-plugin-api` plugin, that shows the mismatches next to each property of the response body in the API View.
+ * @private
+ */
+const filipRenderer = {
+    name: 'cypress-plugin-api',
+
+    detect: ({ responseBody }) => {
+        const $original = Cypress.$('[id="api-plugin-root"] [id="api-view"]')
+        return responseBody && $original.length !== 0 && $original
+    },
+
+    render: ($original, { data, errors, issuesStyles }) => {
+        // Filip's API View needs it's own processing to show the mismatches (similar logic as for package core-ajv-schema-validator)
+        const { iconPropertyError, iconPropertyMissing, iconPropertyUndocumented } = issuesStyles
+
+        // Create clone of the DOM tree
+        const $cloned = $original.clone()
+        // Find the last section in the clone to add the mismatches
+        const $elem = $cloned.find('section:last-of-type [data-cy="responseBody"] code > details > summary')
+
+        errors.forEach(error => {
+            let instancePathArray = error.instancePath.replace(/^\//, '').split('/') // Remove the first '/' from the instance path "/0/name" => "0/name"
+            let instancePath = instancePathArray.join('.')
+
+            let errorDescription
+            let value = Cypress._.get(data, instancePath)
+
+            if (error.keyword === 'required') {
+                const missingProperty = error.params.missingProperty
+                errorDescription = `${iconPropertyMissing} Missing property '${missingProperty}'`
+            } else if (['oneOf', 'anyOf'].includes(error.keyword) && error.params.reason) {
+                // Polymorphic schema, with the variant chosen explained in the message
+                errorDescription = `${iconPropertyError} ${error.message}`
+            } else if (error.keyword === 'undocumentedProperty') {
+                errorDescription = `${iconPropertyUndocumented} Undocumented property '${error.params.undocumentedProperty}'`
+            } else {
+                const message = error.message
+                errorDescription = `${iconPropertyError} ${String(JSON.stringify(value)).replaceAll("\"", "'")} ${message}` // We also use String() to handle the case of undefined values
+            }
+
+            if ($elem.length) {
+                // Show in the API View the data with the mismatches
+                showDataMismatchesApiViewFilip($elem, instancePathArray, errorDescription, error, issuesStyles, 0)
+            }
+        })
+
+        // Replace the original DOM tree with the cloned one with the mismatches
+        $original.replaceWith($cloned)
+    }
+}
+
+/**
+ * Renderer for Gleb Bahmutov's `@bahmutov/cy-api` plugin, that replaces the response body shown with the data with the mismatches flagged.
+ * @private
+ */
+const glebRenderer = {
+    name: '@bahmutov/cy-api',
+
+    detect: ({ responseBody }) => {
+        const $original = Cypress.$('.cy-api-response:last-of-type pre')
+        return responseBody && $original.length !== 0 && $original
+    },
+
+    render: ($original, { dataMismatches, issuesStyles }) => {
+        $original.replaceWith(Cypress.$(transformDataToHtmlGleb(dataMismatches, issuesStyles)))
+    }
+}
+
+/**
+ * Renderer used when there is no API plugin view to show the mismatches (E.g.: plain `cy.request()` or `cy.wrap()`),
+ * that shows them in a panel of our own, opened when the FAILED entry of the validation is clicked in the Cypress log.
+ * @private
+ */
+const panelRenderer = {
+    name: 'panel',
+
+    detect: () => true,
+
+    render: (view, { label, errors, dataMismatches, issuesStyles }) => {
+        const $panel = showDataMismatchesPanel(dataMismatches, issuesStyles, `${label} - Number of schema errors: ${errors.length}`)
+        return () => openDataMismatchesPanel($panel)
+    }
+}
+
+/**
+ * Built-in renderers, checked after the registered ones.
+ * @private
+ *
+ * @type {object[]}
+ */
+const builtInRenderers = [filipRenderer, glebRenderer, panelRenderer]
+
+
+// ------------------------------------
+// PRIVATE FUNCTIONS
+// ------------------------------------
+
+/**
+ * Transforms a JSON object into an HTML string with syntax highlighting and custom styles for specific properties.
+ *
+ * @param {Object} jsonObject - The JSON object to be transformed into HTML.
+ * @param {Object} issuesStyles - An object with the icons and HEX colors used to flag the issues. Constains: iconPropertyError, colorPropertyError, iconPropertyMissing, colorPropertyMissing,
+ *   iconPropertyUndocumented, colorPropertyUndocumented.
+ * 
+ * @returns {string} - An HTML string with syntax-highlighted JSON and custom styles applied.
+ */
+const transformDataToHtmlGleb = (jsonObject, issuesStyles) => {
+    const { iconPropertyError, colorPropertyError, iconPropertyMissing, colorPropertyMissing, iconPropertyUndocumented, colorPropertyUndocumented } = issuesStyles
+
+    const fontStyles = `font-weight: bold; font-size: 1.3em;`
+    let jsonString = JSON.stringify(jsonObject, null, 4)
+
+    let json = hljs.highlight(jsonString, {
+        language: 'json',
+    }).value
+
+    const regexpError = RegExp(`>&quot;${iconPropertyError}`, 'g')
+    json = json.replaceAll(regexpError, (match) => {
+        return ` style="${fontStyles} color: ${colorPropertyError};"${match}`
+    });
+
+    const regexpMissing = RegExp(`>&quot;${iconPropertyMissing}`, 'g')
+    json = json.replaceAll(regexpMissing, (match) => {
+        return ` style="${fontStyles}; color: ${colorPropertyMissing};"${match}`
+    });
+
+    const regexpUndocumented = RegExp(`>&quot;${iconPropertyUndocumented}`, 'g')
+    json = json.replaceAll(regexpUndocumented, (match) => {
+        return ` style="${fontStyles}; color: ${colorPropertyUndocumented};"${match}`
+    });
+
+    return `<pre class="hljs">${json}</pre>`
+};
+
+
+/**
+ * Shows the data with the mismatches flagged in a collapsible panel of its own, added to the page of the application under test,
+ * with the same syntax highlighting as in the `@bahmutov/cy-api` plugin UI. Used when there is no API plugin view to show the mismatches.
+ *
+ * @param {any} dataMismatches - The data with all schema mismatches flagged.
+ * @param {Object} issuesStyles - An object with the icons and HEX colors used to flag the issues.
+ * @param {string} title - The title of the panel.
+ *
+ * @returns {JQuery<HTMLElement>} - The panel (collapsed).
+ */
+const showDataMismatchesPanel = (dataMismatches, issuesStyles, title) => {
+    const $panel = Cypress.$(`<details class="schema-mismatches-panel">
+<summary>${iconFailed} ${Cypress._.escape(title)}</summary>
+${transformDataToHtmlGleb(dataMismatches, issuesStyles)}
+</details>`)
+
+    getDataMismatchesPanels().append($panel)
+
+    return $panel
+}
+
+/**
+ * Opens a panel with the data mismatches and scrolls to it. If the page of the application under test was reloaded
+ * since the panel was shown (E.g.: by `cy.visit()`), the panel is added again.
+ *
+ * @param {JQuery<HTMLElement>} $panel - The panel.
+ */
+const openDataMismatchesPanel = ($panel) => {
+    const $panels = getDataMismatchesPanels()
+
+    if (!Cypress.$.contains($panels[0], $panel[0])) {
+        $panels.append($panel)
+    }
+
+    $panel.prop('open', true)
+    $panel[0].scrollIntoView({ block: 'nearest' })
+}
+
+/**
+ * Gets the container of the panels with the data mismatches in the page of the application under test, creating it (with its styles) if needed.
+ *
+ * @returns {JQuery<HTMLElement>} - The container of the panels.
+ */
+const getDataMismatchesPanels = () => {
+    let $panels = Cypress.$('#schema-mismatches-panels')
+
+    if ($panels.length === 0) {
+        $panels = Cypress.$(`<div id="schema-mismatches-panels"><style>${dataMismatchesPanelStyles}</style></div>`).appendTo(Cypress.$('body'))
+    }
+
+    return $panels
+}
+
+/**
+ * Recursively traverses and displays data mismatches in an API view, highlighting errors in arrays, objects, or properties.
+ *
+ * @param {JQuery<HTMLElement>} $content - The current DOM element being processed.
+ * @param {string[]} instancePathArray - An array representing the path to the current data point in the JSON structure.
+ * @param {string} errorDescription - A description of the error to display.
+ * @param {Object} error - The error object containing details about the validation error.
+ * @param {Object} issuesStyles - An object with the icons and HEX colors used to flag the issues.. Constains: iconPropertyError, colorPropertyError, iconPropertyMissing, colorPropertyMissing,
+ *   iconPropertyUndocumented, colorPropertyUndocumented.
+ * @param {number} depth - The current depth of recursion, used for indentation and styling.
+ */
+const showDataMismatchesApiViewFilip = ($content, instancePathArray, errorDescription, error, issuesStyles, depth) => {
+    const { colorPropertyError, iconPropertyError, colorPropertyMissing, colorPropertyUndocumented } = issuesStyles
+
+    const fontStyles = `font-weight: bold; font-size: 1.3em;`
+    let path0 = instancePathArray.shift()
+
+    if ($content.hasClass('bracket')) {
+        // It's an Array
+        const $elem = $content.siblings(`details`).eq(parseInt(path0))
+
+        if ($elem.length === 0) {
+            Cypress.$(`<span style="${fontStyles} padding-left: 15px; color: ${colorPropertyError};">${iconPropertyError} Array ${error.message} </span>`).insertAfter($content.parent().next())
+        } else {
+            showDataMismatchesApiViewFilip($elem.children('summary'), instancePathArray, errorDescription, error, issuesStyles, depth + 1)
+        }
+    }
+    else if ($content.hasClass('brace') && path0 === undefined && error.keyword === 'undocumentedProperty') {
+        // Undocumented property of an Object (strict mode)
+        const undocumentedProperty = error.params.undocumentedProperty
+        const $elem = $content.siblings(`.token.property:contains(\"${undocumentedProperty}\")`).filter((i, e) => {  // For exact match
+            return Cypress.$(e).text() === `"${undocumentedProperty}"`
+        })
+
+        Cypress.$(`<span style="${fontStyles} padding-left: 15px; color: ${colorPropertyUndocumented};">${errorDescription} </span>`).insertAfter($elem.length ? $elem : $content)
+    }
+    else if ($content.hasClass('brace') && !path0 && error.keyword !== 'required') {
+        // Error of the Object itself (E.g.: the variant of a polymorphic schema)
+        Cypress.$(`<span style="${fontStyles} padding-left: 15px; color: ${colorPropertyError};">${errorDescription} </span>`).insertAfter($content)
+    }
+    else if ($content.hasClass('brace')) {
+        // It's an Object
+        const $elem = $content.siblings(`.token.property:contains(\"${path0}\")`).filter((i, e) => {  // For exact match
+            return Cypress.$(e).text() === `"${path0}"`
+        })
+
+        if ($elem.length === 0) {
+            // Missing property
+            Cypress.$(`<br><span class="line-number text-slate-700 select-none contents align-top">      </span><span style="${fontStyles} padding-left: ${25 + (depth - 1) * 14}px; color: ${colorPropertyMissing};">"${error.params.missingProperty}": ${errorDescription} </span>`).insertAfter($content)
+        } else {
+            let $value = $elem.next().next()
+            if ($value.is('details')) {
+                $value = $value.children('summary')
+            }
+
+            showDataMismatchesApiViewFilip($value, instancePathArray, errorDescription, error, issuesStyles, depth + 1)
+        }
+    } else {
+        // Error in a property
+        Cypress.$(`<span style="${fontStyles} padding-left: 15px; color: ${colorPropertyError};">${errorDescription} </span>`).insertAfter($content)
+    }
+}
@@ -0,0 +1,262 @@
+const fs = require('fs')
+const path = require('path')
+
+const { getDocumentTitle, normalizeFile, getOperationsInventory } = require('../schema-utils.js')
+const { loadSpecification } = require('./spec-loader.js')
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Creates the collector for the schema coverage report, that merges the validations recorded by every spec file of the run
+ * and writes the report (JSON and HTML) when created and each time new records are received. So the report is written even if
+ * no operation is validated during the run, with the documents of the option `documents` fully not validated.
+ * @public
+ *
+ * @param {object} [options] - The schema coverage options.
+ * @param {string} [options.outputDir='cypress/reports/schema-coverage'] - The folder where the report is written (relative to the project root).
+ * @param {string[]} [options.documents=[]] - The files of the Swagger or OpenAPI documents always listed in the report, even if none of
+ *   their operations is validated (relative to the project root).
+ * @param {string} [projectRoot=process.cwd()] - The root folder of the Cypress project.
+ *
+ * @returns {object} - An object containing `record(coverage)` (the handler for the task that receives the records of a spec file) and `getReport()`.
+ * @throws {Error} - If any of the documents cannot be loaded.
+ */
+const createCoverageCollector = ({ outputDir = 'cypress/reports/schema-coverage', documents: documentFiles = [] } = {}, projectRoot = process.cwd()) => {
+    const outputPath = path.resolve(projectRoot, outputDir)
+
+    // Each document (title, file and operations inventory) by id, and the validations recorded, for the whole run
+    const documents = {}
+    const records = []
+
+    documentFiles.forEach(file => {
+        const spec = loadSpecification(file, projectRoot)
+        const id = normalizeFile(file)
+
+        documents[id] = { title: getDocumentTitle(spec), file: id, operations: getOperationsInventory(spec) }
+    })
+
+    const record = (coverage) => {
+        Object.assign(documents, coverage.documents)
+        records.push(...coverage.records)
+
+        _writeReport(getReport(), outputPath)
+
+        return null
+    }
+
+    const getReport = () => buildCoverageReport(documents, records)
+
+    _writeReport(getReport(), outputPath)
+
+    return { record, getReport }
+}
+
+/**
+ * Builds the schema coverage report: for each document, every operation and documented response with the number of validations
+ * that passed, failed and were skipped, plus the responses never validated and the statuses validated that are not documented.
+ * @public
+ *
+ * @param {object} documents - Each document (`title`, `file` and the `operations` inventory), keyed by document id.
+ * @param {object[]} records - The validations recorded (document id, endpoint, method, status, responseKey, passed and skipped).
+ *
+ * @returns {object} - The coverage report, with the summary of all the documents.
+ */
+const buildCoverageReport = (documents, records) => {
+    const reportDocuments = Object.entries(documents).map(([id, { title, file, operations: inventory }]) => {
+        const documentRecords = records.filter(record => record.document === id)
+
+        const operations = inventory.map(({ endpoint, method, statuses }) => {
+            const operationRecords = documentRecords.filter(record => record.endpoint === endpoint && record.method === method)
+
+            const responses = statuses.map(status => {
+                const responseRecords = operationRecords.filter(record => record.responseKey === status)
+                return _countValidations(status, responseRecords)
+            })
+
+            // Statuses validated that are not documented for the operation
+            const undocumentedStatuses = [...new Set(operationRecords.filter(record => record.responseKey == null).map(record => record.status))]
+            const undocumented = undocumentedStatuses.map(status => {
+                return _countValidations(status, operationRecords.filter(record => record.responseKey == null && record.status === status))
+            })
+
+            return { endpoint, method, validated: operationRecords.some(record => !record.skipped), responses, undocumented }
+        })
+
+        return {
+            id,
+            title,
+            file: file || null,
+            summary: _summarize(operations),
+            operations,
+            notValidated: operations.flatMap(({ endpoint, method, responses }) => {
+                return responses.filter(response => !response.validated).map(response => `${method} ${endpoint} ${response.status}`)
+            })
+        }
+    })
+
+    return {
+        generatedAt: new Date().toISOString(),
+        summary: _summarize(reportDocuments.flatMap(document => document.operations)),
+        documents: reportDocuments
+    }
+}
+
+
+// ------------------------------------
+// PRIVATE FUNCTIONS
+// ------------------------------------
+
+/**
+ * Summarizes the coverage of a list of operations: the operations and responses validated, and the percentage of responses validated
+ * (0 if there are no responses).
+ * @private
+ *
+ * @param {object[]} operations - The operations of the report, with their responses.
+ *
+ * @returns {object} - An object containing `operations`, `operationsValidated`, `responses`, `responsesValidated`, `responsesSkipped` and `coverage`.
+ */
+const _summarize = (operations) => {
+    const allResponses = operations.flatMap(operation => operation.responses)
+    const responsesValidated = allResponses.filter(response => response.validated).length
+
+    return {
+        operations: operations.length,
+        operationsValidated: operations.filter(operation => operation.validated).length,
+        responses: allResponses.length,
+        responsesValidated,
+        responsesSkipped: allResponses.filter(response => !response.validated && response.skipped > 0).length,
+        coverage: allResponses.length ? Math.round(responsesValidated * 100 / allResponses.length) : 0
+    }
+}
+
+/**
+ * Counts the validations recorded for a response status.
+ * @private
+ *
+ * @param {string} status - The response status (or documented response key, E.g.: '4XX' or 'default').
+ * @param {object[]} responseRecords - The validations recorded (or skipped) for that response.
+ *
+ * @returns {object} - An object containing `status`, `validated`, `passed`, `failed` and `skipped`.
+ */
+const _countValidations = (status, responseRecords) => {
+    const validations = responseRecords.filter(record => !record.skipped)
+    const passed = validations.filter(record => record.passed).length
+
+    return {
+        status,
+        validated: validations.length > 0,
+        passed,
+        failed: validations.length - passed,
+        skipped: responseRecords.length - validations.length
+    }
+}
+
+/**
+ * Writes the schema coverage report as JSON ('schema-coverage.json') and HTML ('schema-coverage.html') in the output folder.
+ * @private
+ *
+ * @param {object} report - The coverage report.
+ * @param {string} outputDir - The absolute path of the output folder.
+ */
+const _writeReport = (report, outputDir) => {
+    fs.mkdirSync(outputDir, { recursive: true })
+
+    fs.writeFileSync(path.join(outputDir, 'schema-coverage.json'), JSON.stringify(report, null, 2))
+    fs.writeFileSync(path.join(outputDir, 'schema-coverage.html'), _reportToHtml(report))
+}
+
+/**
+ * Transforms the schema coverage report into an HTML page, with a table per document.
+ * @private
+ *
+ * @param {object} report - The coverage report.
+ *
+ * @returns {string} - The HTML page.
+ */
+const _reportToHtml = (report) => {
+    const colors = { passed: '#2e9e2e', failed: '#c10000', notValidated: '#8d8d8d', skipped: '#a08c00', undocumented: '#d67e09' }
+
+    const documentsHtml = report.documents.map(({ title, file, summary, operations }) => {
+        const rows = operations.flatMap(({ endpoint, method, responses, undocumented }) => {
+            const responseRows = responses.map(response => ({ ...response, undocumented: false }))
+                .concat(undocumented.map(response => ({ ...response, undocumented: true })))
+
+            return responseRows.map(response => {
+                let color, result
+
+                if (response.undocumented) {
+                    color = colors.undocumented
+                    result = 'Not documented'
+                } else if (!response.validated && response.skipped) {
+                    color = colors.skipped
+                    result = 'Skipped'
+                } else if (!response.validated) {
+                    color = colors.notValidated
+                    result = 'Not validated'
+                } else {
+                    color = response.failed ? colors.failed : colors.passed
+                    result = response.failed ? 'Failed' : 'Passed'
+                }
+
+                return `<tr style="color: ${color};">` +
+                    `<td>${_escapeHtml(method)}</td><td>${_escapeHtml(endpoint)}</td><td>${_escapeHtml(response.status)}</td>` +
+                    `<td>${response.passed}</td><td>${response.failed}</td><td>${response.skipped}</td><td>${result}</td></tr>`
+            })
+        })
+
+        return `<h2>${_escapeHtml(title)}</h2>${file ? `\n<p>File: ${_escapeHtml(file)}</p>` : ''}
+<p>Operations validated: ${summary.operationsValidated} of ${summary.operations} - Responses validated: ${summary.responsesValidated} of ${summary.responses} (${summary.coverage}%) - Responses skipped: ${summary.responsesSkipped}</p>
+<table>
+<thead><tr><th>Method</th><th>Endpoint</th><th>Status</th><th>Passed</th><th>Failed</th><th>Skipped</th><th>Result</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>`
+    })
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>API Schema Coverage</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin-bottom: 2em; }
+th, td { border: 1px solid #ddd; padding: 4px 10px; text-align: left; }
+th { background-color: #eee; color: #333; }
+</style>
+</head>
+<body>
+<h1>API Schema Coverage</h1>
+<p>Generated at ${_escapeHtml(report.generatedAt)}</p>
+<p>Documents: ${report.documents.length} - Responses validated: ${report.summary.responsesValidated} of ${report.summary.responses} (${report.summary.coverage}%)</p>
+${documentsHtml.join('\n')}
+</body>
+</html>
+`
+}
+
+/**
+ * Escapes the HTML special characters of a text.
+ * @private
+ *
+ * @param {any} text - The text to escape.
+ *
+ * @returns {string} - The escaped text.
+ */
+const _escapeHtml = (text) => {
+    return String(text)
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+}
+
+
+module.exports = {
+    createCoverageCollector,
+    buildCoverageReport
+}
@@ -0,0 +1,253 @@
+const fs = require('fs')
+const path = require('path')
+
+const { isSpecificationDoc, resolveRef } = require('../schema-utils.js')
+
+// HTTP methods of the operations of a path item, removed from the document saved except the operation validated
+const operationMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Creates the writer of the failing payloads: each response that fails the schema validation is saved as a fixture, together with
+ * the operation of the document it was checked against, and a spec snippet that replays the validation offline from the fixture.
+ * The files are written in a folder per spec file (its path relative to the specs folder), and named after the operation and the test,
+ * so they keep their names when a spec file is run again.
+ * @public
+ *
+ * @param {object} [options] - The failed payloads options.
+ * @param {string} [options.outputDir='cypress/fixtures/schema-failures'] - The folder where the fixtures and snippets are written (relative to the project root).
+ * @param {string[]} [options.redactHeaders=['set-cookie']] - The response headers whose values are not saved.
+ * @param {string} [projectRoot=process.cwd()] - The root folder of the Cypress project.
+ * @param {string} [fixturesFolder='cypress/fixtures'] - The fixtures folder of the Cypress project, to load the fixtures with `cy.fixture()` in the snippets.
+ * @param {string|string[]} [specPattern] - The spec pattern of the Cypress project (by default, the spec files in 'cypress/e2e' and its subfolders),
+ *   whose folder is the root of the folders of the spec files (E.g.: 'admin/users' for 'cypress/e2e/admin/users.cy.js').
+ *
+ * @returns {object} - An object containing `save(failure)`, the handler for the task that receives a failing response.
+ */
+const createFailedPayloadsWriter = ({ outputDir = 'cypress/fixtures/schema-failures', redactHeaders = ['set-cookie'] } = {}, projectRoot = process.cwd(),
+    fixturesFolder = 'cypress/fixtures', specPattern = 'cypress/e2e/**/*.cy.{js,jsx,ts,tsx}') => {
+    const outputPath = path.resolve(projectRoot, outputDir)
+    const fixturesPath = path.resolve(projectRoot, fixturesFolder)
+    const specRoots = _getSpecRoots(specPattern, projectRoot)
+
+    // Files written during the run of each spec file, so several failures of the same operation in a test do not overwrite each other
+    const namesWritten = new Map()
+
+    const save = (failure) => {
+        const specPath = path.join(outputPath, _getSpecFolder(failure.spec, specRoots))
+        const specRunKey = `${failure.spec}|${failure.specRun}`
+
+        // Spec file run again: its previous files are overwritten
+        if (!namesWritten.has(specRunKey)) {
+            Array.from(namesWritten.keys())
+                .filter(key => key.startsWith(`${failure.spec}|`))
+                .forEach(key => namesWritten.delete(key))
+            namesWritten.set(specRunKey, new Map())
+        }
+        const specNamesWritten = namesWritten.get(specRunKey)
+
+        const baseName = _getFailureName(failure)
+        const count = (specNamesWritten.get(baseName) || 0) + 1
+        const name = count > 1 ? `${baseName}-${count}` : baseName
+        specNamesWritten.set(baseName, count)
+
+        const fixture = buildFailureFixture(failure, { redactHeaders })
+        const fixtureFile = path.join(specPath, `${name}.json`)
+        const snippetFile = path.join(specPath, `${name}.replay.js`)
+
+        fs.mkdirSync(specPath, { recursive: true })
+        fs.writeFileSync(fixtureFile, JSON.stringify(fixture, null, 2))
+        fs.writeFileSync(snippetFile, buildReplaySnippet(fixture, _getFixtureLoader(fixtureFile, fixturesPath, projectRoot)))
+
+        return { fixture: _toPosix(path.relative(projectRoot, fixtureFile)), snippet: _toPosix(path.relative(projectRoot, snippetFile)) }
+    }
+
+    return { save }
+}
+
+/**
+ * Builds the fixture of a failing response: the response (status, headers and body), the operation and the schema it was checked against,
+ * the validation options and the schema errors. For a Swagger or OpenAPI document, only the operation validated is kept in its paths
+ * (with every definition or component), so the fixture contains the exact operation of the document at the time of the failure.
+ * @public
+ *
+ * @param {object} failure - The failing response, as sent by the browser: spec, specRun, test, operation, schema, path, options, response and failures.
+ * @param {object} [options] - The fixture options.
+ * @param {string[]} [options.redactHeaders=['set-cookie']] - The response headers whose values are not saved.
+ *
+ * @returns {object} - The fixture.
+ */
+const buildFailureFixture = ({ spec, test, operation, schema, path: operationPath, options, response, failures }, { redactHeaders = ['set-cookie'] } = {}) => {
+    const redacted = redactHeaders.map(header => header.toLowerCase())
+    const headers = Object.fromEntries(Object.entries(response.headers || {})
+        .map(([name, value]) => [name, redacted.includes(name.toLowerCase()) ? '[REDACTED]' : value]))
+
+    return {
+        title: operation,
+        savedAt: new Date().toISOString(),
+        spec,
+        test,
+        path: operationPath || null,
+        options: options || {},
+        failures,
+        response: { status: response.status, headers, body: response.body },
+        schema: _getOperationSchema(schema, operationPath)
+    }
+}
+
+/**
+ * Builds the spec snippet that replays offline the validation of a failing response from its fixture.
+ * @public
+ *
+ * @param {object} fixture - The fixture of the failing response.
+ * @param {string} fixtureLoader - The command that yields the fixture (E.g.: "cy.fixture('schema-failures/get-pet-petid-200--get-a-pet.json')").
+ *
+ * @returns {string} - The source code of the spec snippet.
+ */
+const buildReplaySnippet = (fixture, fixtureLoader) => {
+    const testTitle = (fixture.test || []).join(' > ')
+
+    return `/// <reference types="cypress" />
+
+import 'cypress-ajv-schema-validator'
+
+// Replays offline the schema validation of the response that failed in "${testTitle}" (${fixture.spec}), saved on ${fixture.savedAt}
+describe(${JSON.stringify(`Replay of the schema validation failure: ${fixture.title}`)}, () => {
+
+    it(${JSON.stringify(testTitle)}, () => {
+        ${fixtureLoader}.then(({ schema, path, options, response }) => {
+            cy.wrap(response, { log: false }).validateSchema(schema, path, undefined, options)
+        })
+    })
+})
+`
+}
+
+
+// ------------------------------------
+// PRIVATE FUNCTIONS
+// ------------------------------------
+
+/**
+ * Gets the schema saved in the fixture: for a Swagger or OpenAPI document, the document with only the operation validated in its paths.
+ * @private
+ *
+ * @param {object} schema - The schema validated against (plain JSON schema, Swagger or OpenAPI document).
+ * @param {object} [operationPath] - The path object to the operation validated.
+ *
+ * @returns {object} - The schema.
+ */
+const _getOperationSchema = (schema, operationPath) => {
+    if (!isSpecificationDoc(schema) || operationPath == null || operationPath.endpoint == null) {
+        return schema
+    }
+
+    const method = (operationPath.method || 'GET').toLowerCase()
+    const pathItem = resolveRef(schema, (schema.paths || {})[operationPath.endpoint]) || {}
+
+    // Parameters and other fields of the path item are kept, other operations are not
+    const pathItemSaved = Object.fromEntries(Object.entries(pathItem).filter(([key]) => key === method || !operationMethods.includes(key)))
+
+    return { ...schema, paths: { [operationPath.endpoint]: pathItemSaved } }
+}
+
+/**
+ * Gets the name of the files of a failing response, from the operation and the test (E.g.: 'get-pet-petid-200--get-a-pet').
+ * @private
+ *
+ * @param {object} failure - The failing response.
+ *
+ * @returns {string} - The name of the files, without extension.
+ */
+const _getFailureName = ({ operation, test }) => {
+    const slug = (text) => {
+        const words = text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+        // Long titles are cut at the last whole word within 60 characters
+        return words.length > 60 ? words.slice(0, 61).replace(/-[^-]*$/, '') : words
+    }
+
+    return `${slug(operation)}--${slug((test || []).slice(-1)[0] || 'test')}`
+}
+
+/**
+ * Gets the folder of the files of a spec file: the path of the spec file relative to its specs folder, without its extensions
+ * (E.g.: 'admin/users' for 'cypress/e2e/admin/users.cy.js'), so spec files with the same name in different folders do not share it.
+ * @private
+ *
+ * @param {string} spec - The spec file, relative to the project root.
+ * @param {string[]} specRoots - The specs folders, relative to the project root (the longest first).
+ *
+ * @returns {string} - The folder, relative to the output folder.
+ */
+const _getSpecFolder = (spec, specRoots) => {
+    const specFile = (spec || 'spec').replaceAll('\\', '/')
+    const specRoot = specRoots.find(root => root === '' || specFile.startsWith(`${root}/`))
+    const relativeSpec = specRoot ? specFile.slice(specRoot.length).replace(/^\//, '') : specFile
+
+    return relativeSpec.replace(/(\.cy)?\.[jt]sx?$/, '')
+}
+
+/**
+ * Gets the specs folders from the spec pattern: the folders before the first segment with glob characters
+ * (E.g.: 'cypress/e2e' for the spec files in 'cypress/e2e' and its subfolders).
+ * @private
+ *
+ * @param {string|string[]} specPattern - The spec pattern (or patterns) of the Cypress project.
+ * @param {string} projectRoot - The root folder of the Cypress project.
+ *
+ * @returns {string[]} - The specs folders, relative to the project root, the longest first.
+ */
+const _getSpecRoots = (specPattern, projectRoot) => {
+    return [].concat(specPattern || [])
+        .map(pattern => {
+            const relativePattern = path.isAbsolute(pattern) ? path.relative(projectRoot, pattern) : pattern
+            const segments = relativePattern.replaceAll('\\', '/').replace(/^\.\//, '').split('/')
+            const globIndex = segments.findIndex(segment => /[*?[\]{}()!]/.test(segment))
+
+            // The last segment is the file name when the pattern has no glob characters
+            return segments.slice(0, globIndex === -1 ? segments.length - 1 : globIndex).join('/')
+        })
+        .sort((a, b) => b.length - a.length)
+}
+
+/**
+ * Gets the command that yields a fixture file in the snippet: `cy.fixture()` if the file is in the fixtures folder, or `cy.readFile()` otherwise.
+ * @private
+ *
+ * @param {string} fixtureFile - The absolute path of the fixture file.
+ * @param {string} fixturesPath - The absolute path of the fixtures folder.
+ * @param {string} projectRoot - The root folder of the Cypress project.
+ *
+ * @returns {string} - The command.
+ */
+const _getFixtureLoader = (fixtureFile, fixturesPath, projectRoot) => {
+    const relativeToFixtures = path.relative(fixturesPath, fixtureFile)
+
+    if (!relativeToFixtures.startsWith('..') && !path.isAbsolute(relativeToFixtures)) {
+        return `cy.fixture('${_toPosix(relativeToFixtures)}')`
+    }
+    return `cy.readFile('${_toPosix(path.relative(projectRoot, fixtureFile))}')`
+}
+
+/**
+ * Converts a file path to forward slashes, as used in the Cypress commands and in the logs.
+ * @private
+ *
+ * @param {string} filePath - The file path.
+ *
+ * @returns {string} - The file path with forward slashes.
+ */
+const _toPosix = (filePath) => {
+    return filePath.split(path.sep).join('/')
+}
+
+
+module.exports = {
+    createFailedPayloadsWriter,
+    buildFailureFixture,
+    buildReplaySnippet
+}
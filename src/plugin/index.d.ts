@@ -0,0 +1,155 @@
+/// <reference types="cypress" />
+
+import { SchemaValidatorConfiguration } from '../index';
+
+export interface SchemaValidatorPluginOptions {
+  /**
+   * Enables the schema coverage report (operations and response statuses validated during the run).
+   */
+  coverage?: boolean | {
+    /**
+     * The folder where the report is written (relative to the project root). Defaults to 'cypress/reports/schema-coverage'.
+     */
+    outputDir?: string;
+    /**
+     * The files of the Swagger or OpenAPI documents always listed in the report, even if none of their operations is validated
+     * (relative to the project root).
+     */
+    documents?: string[];
+  };
+  /**
+   * Enables the reports of the validation results of each spec file, for CI: a JUnit XML report with one testcase per validation,
+   * and a JSON report with the Ajv errors, the data with the mismatches flagged and the operation of each validation.
+   */
+  report?: boolean | {
+    /**
+     * The folder where the reports are written (relative to the project root). Defaults to 'cypress/reports/schema-validation'.
+     */
+    outputDir?: string;
+    /**
+     * The formats of the reports. Defaults to ['junit', 'json'].
+     */
+    formats?: Array<'junit' | 'json'>;
+  };
+  /**
+   * Enables the waivers of known schema mismatches, loaded from a JSON or YAML file: the schema errors matched by a waiver
+   * that has not expired are logged as waived and do not fail the test. It can be the path of the waivers file.
+   */
+  waivers?: boolean | string | {
+    /**
+     * The waivers file (relative to the project root). Defaults to 'cypress/schema-waivers.json'.
+     */
+    file?: string;
+    /**
+     * The folder where the waivers report is written (relative to the project root). Defaults to 'cypress/reports/schema-waivers'.
+     */
+    outputDir?: string;
+  };
+  /**
+   * Enables the schema drift report: the schema inferred from the response bodies observed for each operation during the run,
+   * and its drift from the documented schema (types and enum values not documented, undocumented properties, fields always null,
+   * optional properties always present and properties never present).
+   */
+  drift?: boolean | {
+    /**
+     * The folder where the report is written (relative to the project root). Defaults to 'cypress/reports/schema-drift'.
+     */
+    outputDir?: string;
+    /**
+     * The minimum number of observations to report the drift based on what is never or always observed. Defaults to 2.
+     */
+    minObservations?: number;
+    /**
+     * Saves the schema inferred for each operation as a plain JSON schema: `true` (folder 'cypress/fixtures/schema-baselines'),
+     * or the folder (relative to the project root). Defaults to false.
+     */
+    baseline?: boolean | string;
+  };
+  /**
+   * Validates the payloads larger than a threshold in the Node process instead of in the browser, so multi-megabyte responses do not freeze
+   * the Cypress runner: only the schema errors are sent back, and only the first mismatches are shown on the UI.
+   */
+  offload?: boolean | {
+    /**
+     * The size (in characters of the JSON payload) above which a payload is validated in the Node process. Defaults to 1048576 (1 MB).
+     */
+    threshold?: number;
+    /**
+     * The configuration of the validation engine in the Node process (Ajv options, custom formats and custom keywords), as for `configureSchemaValidator()`.
+     * The configuration done in the support file only applies to the validations in the browser.
+     */
+    configuration?: SchemaValidatorConfiguration;
+  };
+  /**
+   * Saves each response that fails the schema validation as a fixture (status, headers, body and the operation of the document it was checked against),
+   * with a spec snippet that replays the validation offline. It can be the output folder.
+   */
+  failedPayloads?: boolean | string | {
+    /**
+     * The folder where the fixtures and snippets are written (relative to the project root). Defaults to 'cypress/fixtures/schema-failures'.
+     */
+    outputDir?: string;
+    /**
+     * The response headers whose values are not saved. Defaults to ['set-cookie'].
+     */
+    redactHeaders?: string[];
+  };
+}
+
+/**
+ * A waiver of known schema mismatches (E.g.: a backend bug tracked elsewhere), in the waivers file.
+ */
+export interface SchemaWaiver {
+  /**
+   * The id of the waiver. Defaults to its position in the file (E.g.: '#1').
+   */
+  id?: string;
+  /**
+   * The endpoint of the operation, as in the Swagger or OpenAPI document. If not provided, it applies to any endpoint (and to plain JSON schemas).
+   */
+  endpoint?: string;
+  /**
+   * The HTTP method of the operation. If not provided, it applies to any method.
+   */
+  method?: string;
+  /**
+   * The response status. If not provided, it applies to any status.
+   */
+  status?: number | string;
+  /**
+   * The path of the errors in the data, as a JSON pointer where a `*` segment matches any property or array index
+   * (E.g.: '/items/{*}/price', written without the braces, matches the price of any item).
+   * Missing and undocumented properties are part of the path. If not provided, it applies to any path.
+   */
+  instancePath?: string;
+  /**
+   * The Ajv keyword of the errors (E.g.: 'type', 'required'). If not provided, it applies to any keyword.
+   */
+  keyword?: string;
+  /**
+   * Why the errors are waived (E.g.: the ticket of the backend bug).
+   */
+  reason: string;
+  /**
+   * The last day the waiver applies, as 'YYYY-MM-DD' (UTC).
+   */
+  expires: string;
+}
+
+/**
+ * Sets up the Node side of the plugin, to be called from `setupNodeEvents` in the Cypress configuration file.
+ *
+ * @returns The Cypress configuration, that must be returned from `setupNodeEvents`.
+ *
+ * @example
+ * ```js
+ * setupNodeEvents(on, config) {
+ *   return setupSchemaValidator(on, config, { coverage: true })
+ * }
+ * ```
+ */
+export function setupSchemaValidator(
+  on: Cypress.PluginEvents,
+  config: Cypress.PluginConfigOptions,
+  options?: SchemaValidatorPluginOptions
+): Cypress.PluginConfigOptions;
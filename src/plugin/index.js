@@ -0,0 +1,133 @@
+const { createCoverageCollector } = require('./coverage.js')
+const { createResultsReporter } = require('./results-report.js')
+const { loadSpecification } = require('./spec-loader.js')
+const { createSkippedSummary } = require('./skipped-validations.js')
+const { createWaiversTracker } = require('./waivers.js')
+const { createOffloadedValidator } = require('./offloaded-validation.js')
+const { createDriftRecorder } = require('./schema-drift.js')
+const { createFailedPayloadsWriter } = require('./failed-payloads.js')
+
+
+/**
+ * Sets up the Node side of the plugin, to be called from `setupNodeEvents` in the Cypress configuration file.
+ * It registers the tasks used by the plugin commands and enables the features through Cypress environment variables.
+ * @public
+ *
+ * @param {Function} on - The `on` function provided by `setupNodeEvents`, used to register the tasks.
+ * @param {object} config - The Cypress configuration provided by `setupNodeEvents`.
+ * @param {object} [options] - The features to enable.
+ * @param {boolean|object} [options.coverage] - Enables the schema coverage report (operations and response statuses validated during the run).
+ *   It can be `true`, or an object with the coverage options.
+ * @param {string} [options.coverage.outputDir='cypress/reports/schema-coverage'] - The folder where the report is written (relative to the project root).
+ * @param {string[]} [options.coverage.documents] - The files of the Swagger or OpenAPI documents always listed in the report, even if none
+ *   of their operations is validated (relative to the project root).
+ * @param {boolean|object} [options.report] - Enables the reports of the validation results of each spec file (JUnit XML and JSON), for CI.
+ *   It can be `true`, or an object with the report options.
+ * @param {string} [options.report.outputDir='cypress/reports/schema-validation'] - The folder where the reports are written (relative to the project root).
+ * @param {string[]} [options.report.formats=['junit', 'json']] - The formats of the reports.
+ * @param {boolean|string|object} [options.waivers] - Enables the waivers of known schema mismatches, loaded from a JSON or YAML file.
+ *   It can be `true` (default file), the path of the file, or an object with the waivers options.
+ * @param {string} [options.waivers.file='cypress/schema-waivers.json'] - The waivers file (relative to the project root).
+ * @param {string} [options.waivers.outputDir='cypress/reports/schema-waivers'] - The folder where the waivers report is written (relative to the project root).
+ * @param {boolean|object} [options.drift] - Enables the schema drift report: the schema inferred from the response bodies observed for each operation
+ *   during the run, and its drift from the documented schema. It can be `true`, or an object with the drift options.
+ * @param {string} [options.drift.outputDir='cypress/reports/schema-drift'] - The folder where the report is written (relative to the project root).
+ * @param {integer} [options.drift.minObservations=2] - The minimum number of observations to report the drift based on what is never or always observed
+ *   (fields always null, optional properties always present and properties never present).
+ * @param {boolean|string} [options.drift.baseline=false] - Saves the schema inferred for each operation as a plain JSON schema: `true`
+ *   (folder 'cypress/fixtures/schema-baselines'), or the folder (relative to the project root).
+ * @param {boolean|object} [options.offload] - Validates the payloads larger than a threshold in the Node process instead of in the browser.
+ *   It can be `true`, or an object with the offload options.
+ * @param {integer} [options.offload.threshold=1048576] - The size (in characters of the JSON payload) above which a payload is validated in the Node process.
+ * @param {object} [options.offload.configuration] - The configuration of the validation engine in the Node process (`ajvOptions`, `formats`
+ *   and `keywords`, as for `configureSchemaValidator()`), since the configuration done in the support file only applies to the browser.
+ * @param {boolean|string|object} [options.failedPayloads] - Saves each response that fails the schema validation as a fixture (status, headers, body
+ *   and the operation of the document it was checked against), with a spec snippet that replays the validation offline.
+ *   It can be `true`, the output folder, or an object with the failed payloads options.
+ * @param {string} [options.failedPayloads.outputDir='cypress/fixtures/schema-failures'] - The folder where the fixtures and snippets are written
+ *   (relative to the project root).
+ * @param {string[]} [options.failedPayloads.redactHeaders=['set-cookie']] - The response headers whose values are not saved.
+ *
+ * @returns {object} - The Cypress configuration, that must be returned from `setupNodeEvents`.
+ *
+ * @example
+ * const { setupSchemaValidator } = require('cypress-ajv-schema-validator/src/plugin')
+ *
+ * module.exports = defineConfig({
+ *   e2e: {
+ *     setupNodeEvents(on, config) {
+ *       return setupSchemaValidator(on, config, { coverage: true, report: true })
+ *     }
+ *   }
+ * })
+ */
+const setupSchemaValidator = (on, config, options = {}) => {
+    const projectRoot = config.projectRoot || process.cwd()
+    const tasks = {}
+
+    config.env = config.env || {}
+
+    // Loads the schemas given as a file path (YAML or JSON, split across several files or not)
+    tasks['schemaValidator:loadSpec'] = (filePath) => loadSpecification(filePath, projectRoot)
+
+    // Shows in the run output the validations skipped in each spec file (disabled by endpoint, tag, spec file or test tag)
+    tasks['schemaValidator:recordSkipped'] = createSkippedSummary().record
+    config.env.schemaSkippedSummary = true
+
+    // Validates the payloads offloaded to the Node process (above the size threshold, or with the command option "offload")
+    const offloadOptions = options.offload === true ? {} : options.offload || {}
+    tasks['schemaValidator:validate'] = createOffloadedValidator(offloadOptions.configuration, projectRoot).validate
+
+    if (options.offload) {
+        config.env.schemaOffloadThreshold = offloadOptions.threshold || 1048576
+    }
+
+    if (options.coverage) {
+        const coverage = createCoverageCollector(options.coverage === true ? {} : options.coverage, projectRoot)
+
+        tasks['schemaValidator:recordCoverage'] = coverage.record
+        config.env.schemaCoverage = true
+    }
+
+    if (options.report) {
+        const reporter = createResultsReporter(options.report === true ? {} : options.report, projectRoot)
+
+        tasks['schemaValidator:recordResults'] = reporter.record
+        config.env.schemaReport = true
+    }
+
+    if (options.waivers) {
+        const waiversOptions = options.waivers === true ? {} : typeof options.waivers === 'string' ? { file: options.waivers } : options.waivers
+        const waivers = createWaiversTracker(waiversOptions, projectRoot)
+
+        tasks['schemaValidator:recordWaivers'] = waivers.record
+        config.env.schemaWaivers = waivers.waivers
+        config.env.schemaWaiversFile = waiversOptions.file || 'cypress/schema-waivers.json'
+    }
+
+    if (options.drift) {
+        const drift = createDriftRecorder(options.drift === true ? {} : options.drift, projectRoot)
+
+        tasks['schemaValidator:recordDrift'] = drift.record
+        config.env.schemaDrift = true
+    }
+
+    if (options.failedPayloads) {
+        const failedPayloadsOptions = options.failedPayloads === true ? {} : typeof options.failedPayloads === 'string' ? { outputDir: options.failedPayloads } : options.failedPayloads
+        const fixturesFolder = config.fixturesFolder || 'cypress/fixtures'
+        const failedPayloads = createFailedPayloadsWriter(failedPayloadsOptions, projectRoot, fixturesFolder, config.specPattern)
+
+        tasks['schemaValidator:saveFailedPayload'] = failedPayloads.save
+        config.env.schemaFailedPayloads = true
+    }
+
+    // All the tasks of the plugin are registered with a single call
+    on('task', tasks)
+
+    return config
+}
+
+
+module.exports = {
+    setupSchemaValidator
+}
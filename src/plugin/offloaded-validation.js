@@ -0,0 +1,67 @@
+const { configureSchemaValidator, validateSchema } = require('../schema-validator.js')
+const { loadSpecification } = require('./spec-loader.js')
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Creates the validator of the payloads offloaded to the Node process: large payloads are validated here instead of in the browser,
+ * so Ajv does not block the Cypress runner. Only the schema errors are sent back to the browser, where the first mismatches are shown.
+ * @public
+ *
+ * @param {object} [configuration] - The configuration of the validation engine in the Node process (`ajvOptions`, `formats` and `keywords`),
+ *   as for `configureSchemaValidator()`. The configuration done in the support file only applies to the browser.
+ * @param {string} [projectRoot=process.cwd()] - The root folder of the Cypress project.
+ *
+ * @returns {object} - An object containing `validate(payload)`, the handler for the task that validates a payload.
+ */
+const createOffloadedValidator = (configuration, projectRoot = process.cwd()) => {
+    if (configuration) {
+        configureSchemaValidator(configuration)
+    }
+
+    // Schemas sent by the browser (not loaded from a file) for the spec file running, by id
+    const sentSchemas = new Map()
+    let sentSchemasSpec = null
+
+    /**
+     * Validates a payload sent by the browser. The schema is either the path of its file (loaded once and cached), or the id of a schema
+     * of the spec file, sent only the first time it is used.
+     *
+     * @param {object} payload - The data, `schemaFile` or `schemaId` (with the `schema` itself the first time), `spec` file, `path` to the operation
+     *   and validation `options` (`strict`, `allowUndocumented` and `mediaType`).
+     *
+     * @returns {object} - An object containing `errors`: the schema errors as provided by Ajv, or null if the data is valid.
+     * @throws {Error} - If the schema referenced by its id has not been sent.
+     */
+    const validate = ({ data, schema, schemaFile, schemaId, spec, path, options }) => {
+        // The ids are given by each spec file, so the schemas of the previous spec file are not kept
+        if (spec !== sentSchemasSpec) {
+            sentSchemas.clear()
+            sentSchemasSpec = spec
+        }
+        if (schema != null) {
+            sentSchemas.set(schemaId, schema)
+        }
+
+        const loadedSchema = schemaFile ? loadSpecification(schemaFile, projectRoot) : sentSchemas.get(schemaId)
+
+        if (loadedSchema == null) {
+            throw new Error(`The schema ${schemaId} of the spec file '${spec}' has not been sent to the Node plugin!`)
+        }
+
+        // The data with the mismatches flagged is not sent back, since it is as large as the payload itself
+        const { errors } = validateSchema(data, loadedSchema, path, {}, options)
+
+        return { errors }
+    }
+
+    return { validate }
+}
+
+
+module.exports = {
+    createOffloadedValidator
+}
@@ -0,0 +1,170 @@
+const fs = require('fs')
+const path = require('path')
+
+
+// ------------------------------------
+// CONSTANTS
+// ------------------------------------
+
+// Characters not allowed in XML 1.0 documents
+const invalidXmlChars = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Creates the reporter of the schema validation results, that writes for each spec file a JUnit XML report (one testcase per validation)
+ * and a JSON report (with the Ajv errors, the data with the mismatches flagged and the operation of each validation).
+ * @public
+ *
+ * @param {object} [options] - The results report options.
+ * @param {string} [options.outputDir='cypress/reports/schema-validation'] - The folder where the reports are written (relative to the project root).
+ * @param {string[]} [options.formats=['junit', 'json']] - The formats of the reports.
+ * @param {string} [projectRoot=process.cwd()] - The root folder of the Cypress project.
+ *
+ * @returns {object} - An object containing `record(results)`, the handler for the task that receives the validation results of a spec file.
+ */
+const createResultsReporter = ({ outputDir = 'cypress/reports/schema-validation', formats = ['junit', 'json'] } = {}, projectRoot = process.cwd()) => {
+    const outputPath = path.resolve(projectRoot, outputDir)
+
+    const record = ({ spec, results }) => {
+        const report = buildResultsReport(spec, results)
+        const fileName = _getReportFileName(spec)
+
+        if (formats.includes('json')) {
+            _writeFile(path.join(outputPath, 'json', `${fileName}.json`), JSON.stringify(report, null, 2))
+        }
+        if (formats.includes('junit')) {
+            _writeFile(path.join(outputPath, 'junit', `${fileName}.xml`), resultsReportToJUnit(report))
+        }
+
+        return null
+    }
+
+    return { record }
+}
+
+/**
+ * Builds the schema validation results report of a spec file.
+ * @public
+ *
+ * @param {string} spec - The relative path of the spec file.
+ * @param {object[]} results - The validation results recorded in the spec file (test, operation, validation, passed, errors...).
+ *
+ * @returns {object} - The results report, containing `spec`, `generatedAt`, `summary` and `results`.
+ */
+const buildResultsReport = (spec, results) => {
+    const failed = results.filter(result => !result.passed).length
+
+    return {
+        spec,
+        generatedAt: new Date().toISOString(),
+        summary: {
+            validations: results.length,
+            passed: results.length - failed,
+            failed
+        },
+        results
+    }
+}
+
+/**
+ * Transforms the schema validation results report of a spec file into a JUnit XML report, with one testcase per validation.
+ * The testcases of the failed validations include the schema errors and the data with the mismatches flagged.
+ * @public
+ *
+ * @param {object} report - The results report.
+ *
+ * @returns {string} - The JUnit XML report.
+ */
+const resultsReportToJUnit = (report) => {
+    const { spec, generatedAt, summary, results } = report
+
+    const testcases = results.map(result => {
+        const classname = _escapeXml(result.test.join(' > '))
+        const name = _escapeXml(`${result.operation} - ${result.validation}`)
+
+        if (result.passed) {
+            return `    <testcase classname="${classname}" name="${name}"/>`
+        }
+
+        const errorLines = result.errors.map(error => `${error.instancePath || '/'} ${error.message}`)
+        const details = [
+            `Schema errors (${result.errors.length}):`,
+            ...errorLines.map(line => `  - ${line}`),
+            '',
+            'Data mismatches:',
+            JSON.stringify(result.dataMismatches, null, 2)
+        ].join('\n')
+
+        return `    <testcase classname="${classname}" name="${name}">\n` +
+            `      <failure message="${_escapeXml(`${result.errors.length} schema errors`)}" type="${_escapeXml(result.mode)}">${_escapeXml(details)}</failure>\n` +
+            `    </testcase>`
+    })
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Schema validations" tests="${summary.validations}" failures="${summary.failed}">
+  <testsuite name="${_escapeXml(spec)}" tests="${summary.validations}" failures="${summary.failed}" timestamp="${generatedAt}">
+${testcases.join('\n')}
+  </testsuite>
+</testsuites>
+`
+}
+
+
+// ------------------------------------
+// PRIVATE FUNCTIONS
+// ------------------------------------
+
+/**
+ * Gets the name of the report files of a spec file from its relative path (E.g.: 'cypress/e2e/users.cy.js' => 'cypress-e2e-users.cy').
+ * @private
+ *
+ * @param {string} spec - The relative path of the spec file.
+ *
+ * @returns {string} - The file name, without extension.
+ */
+const _getReportFileName = (spec) => {
+    return spec.replace(/\.[^./\\]+$/, '').replace(/[^A-Za-z0-9._-]+/g, '-')
+}
+
+/**
+ * Writes a file, creating its folder if needed.
+ * @private
+ *
+ * @param {string} filePath - The absolute path of the file.
+ * @param {string} content - The content of the file.
+ */
+const _writeFile = (filePath, content) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, content)
+}
+
+/**
+ * Escapes the XML special characters of a text, and replaces the characters not allowed in XML 1.0 (control characters other than tab,
+ * line feed and carriage return, unpaired surrogates, U+FFFE and U+FFFF) by their escape sequence (E.g.: '\\u001b'), since they cannot
+ * be written in an XML file even as character references.
+ * @private
+ *
+ * @param {any} text - The text to escape.
+ *
+ * @returns {string} - The escaped text.
+ */
+const _escapeXml = (text) => {
+    return String(text)
+        .replace(invalidXmlChars, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`)
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+        .replaceAll("'", '&apos;')
+}
+
+
+module.exports = {
+    createResultsReporter,
+    buildResultsReport,
+    resultsReportToJUnit
+}
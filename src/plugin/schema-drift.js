@@ -0,0 +1,149 @@
+const fs = require('fs')
+const path = require('path')
+
+const { mergeShapes, inferSchema, detectDrift } = require('../schema-inference.js')
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Creates the recorder for the schema drift report, that merges the response bodies observed for each operation by every spec file
+ * of the run, infers their schema and writes the report (with the drift from the documented schema) each time new observations are received.
+ * The schemas inferred can also be saved as baselines, to be used as plain JSON schemas in the validations.
+ * @public
+ *
+ * @param {object} [options] - The schema drift options.
+ * @param {string} [options.outputDir='cypress/reports/schema-drift'] - The folder where the report is written (relative to the project root).
+ * @param {integer} [options.minObservations=2] - The minimum number of observations to report the drift based on what is never or always observed.
+ * @param {boolean|string} [options.baseline=false] - Saves the schema inferred for each operation as a JSON file: `true` (default folder
+ *   'cypress/fixtures/schema-baselines'), or the folder (relative to the project root).
+ * @param {string} [projectRoot=process.cwd()] - The root folder of the Cypress project.
+ *
+ * @returns {object} - An object containing `record(observations)` (the handler for the task that receives the bodies observed in a spec file)
+ *   and `getReport()`.
+ */
+const createDriftRecorder = ({ outputDir = 'cypress/reports/schema-drift', minObservations = 2, baseline = false } = {}, projectRoot = process.cwd()) => {
+    const baselineDir = baseline === true ? 'cypress/fixtures/schema-baselines' : baseline || null
+
+    // Operations observed (with the shape of the bodies observed), keyed by document id, method, endpoint, documented response and media type
+    const operations = new Map()
+
+    const record = (observations) => {
+        observations.operations.forEach(observed => {
+            const key = [observed.documentId || observed.document, observed.method, observed.endpoint, observed.status, observed.mediaType || ''].join('|')
+            const operation = operations.get(key)
+
+            operations.set(key, { ...observed, shape: mergeShapes(operation && operation.shape, observed.shape) })
+        })
+
+        const report = getReport()
+
+        _writeReport(report, path.resolve(projectRoot, outputDir))
+        if (baselineDir) {
+            _writeBaselines(report, projectRoot)
+        }
+
+        return null
+    }
+
+    const getReport = () => buildDriftReport([...operations.values()], { minObservations, baselineDir })
+
+    return { record, getReport }
+}
+
+/**
+ * Builds the schema drift report: for each operation observed, the number of bodies observed, the schema inferred from them,
+ * and the drift between the bodies observed and the documented schema.
+ * @public
+ *
+ * @param {object[]} operations - The operations observed (documentId, document, documentFile, endpoint, method, status, mediaType, documentedSchema and shape).
+ * @param {object} [options] - The report options.
+ * @param {integer} [options.minObservations=2] - The minimum number of observations to report the drift based on what is never or always observed.
+ * @param {string} [options.baselineDir] - The folder where the schemas inferred are saved as baselines, if any.
+ *
+ * @returns {object} - The drift report.
+ */
+const buildDriftReport = (operations, { minObservations = 2, baselineDir = null } = {}) => {
+    const reportOperations = operations.map(({ documentId = null, document, documentFile = null, endpoint, method, status, mediaType, documentedSchema, shape }) => ({
+        documentId,
+        document,
+        documentFile,
+        endpoint,
+        method,
+        status,
+        mediaType,
+        observations: shape ? shape.count : 0,
+        drift: detectDrift(shape, documentedSchema, { minObservations }),
+        inferredSchema: inferSchema(shape),
+        baselineFile: baselineDir ? path.join(baselineDir, _getBaselineFileName({ document, documentFile, endpoint, method, status, mediaType })) : null
+    }))
+
+    return {
+        generatedAt: new Date().toISOString(),
+        summary: {
+            operations: reportOperations.length,
+            operationsWithDrift: reportOperations.filter(operation => operation.drift.length > 0).length,
+            drift: reportOperations.reduce((total, operation) => total + operation.drift.length, 0)
+        },
+        operations: reportOperations
+    }
+}
+
+
+// ------------------------------------
+// PRIVATE FUNCTIONS
+// ------------------------------------
+
+/**
+ * Writes the schema drift report (JSON) in the output folder.
+ * @private
+ *
+ * @param {object} report - The drift report.
+ * @param {string} outputDir - The absolute path of the output folder.
+ */
+const _writeReport = (report, outputDir) => {
+    fs.mkdirSync(outputDir, { recursive: true })
+
+    fs.writeFileSync(path.join(outputDir, 'schema-drift.json'), JSON.stringify(report, null, 2))
+}
+
+/**
+ * Saves the schema inferred for each operation as a plain JSON schema, titled after the operation.
+ * @private
+ *
+ * @param {object} report - The drift report.
+ * @param {string} projectRoot - The root folder of the Cypress project.
+ */
+const _writeBaselines = (report, projectRoot) => {
+    report.operations.forEach(({ endpoint, method, status, inferredSchema, baselineFile }) => {
+        const filePath = path.resolve(projectRoot, baselineFile)
+        const baseline = { title: `${method} ${endpoint} (${status})`, ...inferredSchema }
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true })
+        fs.writeFileSync(filePath, JSON.stringify(baseline, null, 2))
+    })
+}
+
+/**
+ * Gets the name of the baseline file of an operation, in a folder per document: named after the file of the document without its extension
+ * (E.g.: 'specs-petstore/get-pet-petid-200.json' for 'specs/petstore.yaml'), or otherwise after its title (E.g.: 'swagger-petstore-1-0-7/get-pet-petid-200.json').
+ * @private
+ *
+ * @param {object} operation - The operation (document, documentFile, endpoint, method, status and mediaType).
+ *
+ * @returns {string} - The file name, relative to the baselines folder.
+ */
+const _getBaselineFileName = ({ document, documentFile, endpoint, method, status, mediaType }) => {
+    const slug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+    const name = [method, endpoint, status, mediaType && mediaType !== 'application/json' ? mediaType : ''].join(' ')
+
+    return path.join(slug(documentFile ? documentFile.replace(/\.[^./]+$/, '') : document), `${slug(name)}.json`)
+}
+
+
+module.exports = {
+    createDriftRecorder,
+    buildDriftReport
+}
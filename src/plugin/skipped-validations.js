@@ -0,0 +1,57 @@
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Creates the summary of the schema validations skipped (disabled with the Cypress environment variable "disableSchemaValidation"),
+ * that shows in the run output the validations skipped in each spec file, grouped by operation and reason, and the total for the run.
+ * @public
+ *
+ * @param {object} [logger=console] - The logger of the run output.
+ *
+ * @returns {object} - An object containing `record(skippedValidations)` (the handler for the task that receives the validations skipped
+ *   in a spec file) and `getTotal()`.
+ */
+const createSkippedSummary = (logger = console) => {
+    let total = 0
+
+    const record = ({ spec, skipped }) => {
+        total += skipped.length
+        logger.log(formatSkippedSummary(spec, skipped, total))
+
+        return null
+    }
+
+    const getTotal = () => total
+
+    return { record, getTotal }
+}
+
+/**
+ * Formats the summary of the schema validations skipped in a spec file, grouped by operation and reason.
+ * @public
+ *
+ * @param {string} spec - The relative path of the spec file.
+ * @param {object[]} skipped - The validations skipped (test, operation and reason).
+ * @param {integer} total - The number of validations skipped in the run so far.
+ *
+ * @returns {string} - The summary.
+ */
+const formatSkippedSummary = (spec, skipped, total) => {
+    const groups = new Map()
+
+    skipped.forEach(({ operation, reason }) => {
+        const key = `${operation || 'Any operation'}: ${reason.replace(/^- /, '')}`
+        groups.set(key, (groups.get(key) || 0) + 1)
+    })
+
+    const lines = [...groups.entries()].map(([key, count]) => `    - ${key} (${count})`)
+
+    return [`  Schema validations skipped in ${spec}: ${skipped.length} (total in the run: ${total})`, ...lines].join('\n')
+}
+
+
+module.exports = {
+    createSkippedSummary,
+    formatSkippedSummary
+}
@@ -0,0 +1,294 @@
+const fs = require('fs')
+const path = require('path')
+const yaml = require('js-yaml')
+
+
+// ------------------------------------
+// STATE
+// ------------------------------------
+
+/**
+ * Specifications already loaded, keyed by absolute file path. Each entry contains the bundled `spec`
+ * and the `files` it was built from (with their modification time, to reload it when any of them changes).
+ * @private
+ *
+ * @type {Map<string, object>}
+ */
+const loadedSpecs = new Map()
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Loads a Swagger or OpenAPI document (or plain JSON schema) from a YAML or JSON file, resolving and bundling all the external references
+ * (E.g.: `$ref: './components/pet.yaml#/Pet'`) into a single document:
+ * - References to schemas are moved into the `components.schemas` (OpenAPI) or `definitions` (Swagger) of the document, so circular references are supported.
+ * - Any other reference (path items, responses, parameters...) is replaced by the referenced object.
+ * The bundled document is cached until any of its files changes.
+ * @public
+ *
+ * @param {string} filePath - The path of the file (absolute, or relative to the project root).
+ * @param {string} [projectRoot=process.cwd()] - The root folder of the Cypress project.
+ *
+ * @returns {object} - The bundled document.
+ * @throws {Error} - If a file cannot be read or parsed, or a reference cannot be resolved (naming the file and the JSON pointer).
+ */
+const loadSpecification = (filePath, projectRoot = process.cwd()) => {
+    const absolutePath = path.resolve(projectRoot, filePath)
+
+    const cached = loadedSpecs.get(absolutePath)
+    if (cached && cached.files.every(file => _getModifiedTime(file.path) === file.modifiedTime)) {
+        return cached.spec
+    }
+
+    const files = new Map()
+    const spec = new SpecBundler(absolutePath, files).bundle()
+
+    loadedSpecs.set(absolutePath, {
+        spec,
+        files: [...files.keys()].map(file => ({ path: file, modifiedTime: _getModifiedTime(file) }))
+    })
+
+    return spec
+}
+
+
+// ------------------------------------
+// PRIVATE CLASSES & FUNCTIONS
+// ------------------------------------
+
+/**
+ * Class that bundles a document split across several files into a single document.
+ * @private
+ */
+class SpecBundler {
+
+    /**
+     * @param {string} rootPath - The absolute path of the root file of the document.
+     * @param {Map<string, object>} files - The parsed files, keyed by absolute path (filled while bundling).
+     */
+    constructor(rootPath, files) {
+        this.rootPath = rootPath
+        this.files = files
+        // Names of the schemas moved into the root document, keyed by '<absolute file path>#<pointer>'
+        this.hoistedNames = new Map()
+        this.hoistedSchemas = {}
+    }
+
+    /**
+     * Bundles the document.
+     *
+     * @returns {object} - The bundled document.
+     */
+    bundle() {
+        const root = this._readFile(this.rootPath)
+
+        // Swagger documents keep the schemas in 'definitions', OpenAPI documents (and plain JSON schemas) in 'components.schemas'
+        this.hoistPointer = root.swagger ? '/definitions' : '/components/schemas'
+        this.rootSchemas = (root.swagger ? root.definitions : (root.components || {}).schemas) || {}
+
+        const spec = this._resolve(root, this.rootPath, false)
+
+        if (Object.keys(this.hoistedSchemas).length > 0) {
+            if (root.swagger) {
+                spec.definitions = { ...spec.definitions, ...this.hoistedSchemas }
+            } else {
+                spec.components = { ...spec.components, schemas: { ...(spec.components || {}).schemas, ...this.hoistedSchemas } }
+            }
+        }
+
+        return spec
+    }
+
+    /**
+     * Resolves recursively the references found in a node of a file.
+     *
+     * @param {any} node - The node.
+     * @param {string} filePath - The absolute path of the file the node belongs to.
+     * @param {boolean} inSchema - Whether the node is (or is inside) a schema.
+     *
+     * @returns {any} - A copy of the node with the references resolved.
+     */
+    _resolve(node, filePath, inSchema) {
+        if (Array.isArray(node)) {
+            return node.map(item => this._resolve(item, filePath, inSchema))
+        }
+        if (node === null || typeof node !== 'object') {
+            return node
+        }
+
+        if (typeof node.$ref === 'string') {
+            const resolved = this._resolveRef(node.$ref, filePath, inSchema)
+            // Keep the keywords next to the $ref (E.g.: 'description')
+            const { $ref, ...siblings } = node
+            return Object.keys(siblings).length ? { ...this._resolveChildren(siblings, filePath, inSchema), ...resolved } : resolved
+        }
+
+        return this._resolveChildren(node, filePath, inSchema)
+    }
+
+    /**
+     * Resolves recursively the references found in the properties of an object.
+     *
+     * @param {object} node - The object.
+     * @param {string} filePath - The absolute path of the file the object belongs to.
+     * @param {boolean} inSchema - Whether the object is (or is inside) a schema.
+     *
+     * @returns {object} - A copy of the object with the references resolved.
+     */
+    _resolveChildren(node, filePath, inSchema) {
+        const resolved = {}
+
+        Object.entries(node).forEach(([key, value]) => {
+            // Examples are data, not definitions
+            if (key === 'example') {
+                resolved[key] = value
+            } else {
+                resolved[key] = this._resolve(value, filePath, inSchema || ['schema', 'schemas', 'definitions'].includes(key))
+            }
+        })
+
+        return resolved
+    }
+
+    /**
+     * Resolves a reference found in a file.
+     * - References to the root file are kept as local references.
+     * - References to schemas are replaced by a local reference to the schema moved into the root document.
+     * - Any other reference is replaced by the referenced object.
+     *
+     * @param {string} ref - The reference (E.g.: './components/pet.yaml#/Pet').
+     * @param {string} filePath - The absolute path of the file where the reference is found.
+     * @param {boolean} inSchema - Whether the reference is inside a schema.
+     *
+     * @returns {object} - The reference object or the referenced object.
+     * @throws {Error} - If the referenced file or JSON pointer cannot be resolved.
+     */
+    _resolveRef(ref, filePath, inSchema) {
+        const [refFile, pointer = ''] = ref.split('#')
+        const targetPath = refFile ? path.resolve(path.dirname(filePath), decodeURI(refFile)) : filePath
+
+        if (targetPath === this.rootPath) {
+            // Reference to the root document, that is kept as a local reference
+            return { $ref: `#${pointer}` }
+        }
+
+        const key = `${targetPath}#${pointer}`
+
+        if (inSchema) {
+            let name = this.hoistedNames.get(key)
+
+            if (name === undefined) {
+                name = this._uniqueName(targetPath, pointer)
+                // Registered before resolving the target, to support circular references
+                this.hoistedNames.set(key, name)
+                this.hoistedSchemas[name] = this._resolve(this._getTarget(targetPath, pointer, ref, filePath), targetPath, true)
+            }
+
+            return { $ref: `#${this.hoistPointer}/${name}` }
+        }
+
+        return this._resolve(this._getTarget(targetPath, pointer, ref, filePath), targetPath, false)
+    }
+
+    /**
+     * Gets the object referenced by a JSON pointer in a file.
+     *
+     * @param {string} targetPath - The absolute path of the referenced file.
+     * @param {string} pointer - The JSON pointer (E.g.: '/components/schemas/Pet').
+     * @param {string} ref - The original reference, for the error message.
+     * @param {string} filePath - The absolute path of the file where the reference is found, for the error message.
+     *
+     * @returns {any} - The referenced object.
+     * @throws {Error} - If the file cannot be read or the JSON pointer is not found in it.
+     */
+    _getTarget(targetPath, pointer, ref, filePath) {
+        let target
+        try {
+            target = this._readFile(targetPath)
+        } catch (error) {
+            throw new Error(`Unable to resolve $ref '${ref}' found in file '${filePath}': ${error.message}`)
+        }
+
+        const segments = pointer.split('/').filter(segment => segment !== '')
+            .map(segment => decodeURIComponent(segment).replaceAll('~1', '/').replaceAll('~0', '~'))
+
+        for (const segment of segments) {
+            if (target === null || typeof target !== 'object' || !Object.prototype.hasOwnProperty.call(target, segment)) {
+                throw new Error(`Unable to resolve $ref '${ref}' found in file '${filePath}': JSON pointer '#${pointer}' not found in file '${targetPath}'!`)
+            }
+            target = target[segment]
+        }
+
+        return target
+    }
+
+    /**
+     * Reads and parses a YAML or JSON file (cached for the bundling).
+     *
+     * @param {string} filePath - The absolute path of the file.
+     *
+     * @returns {any} - The parsed file.
+     * @throws {Error} - If the file cannot be read or parsed.
+     */
+    _readFile(filePath) {
+        if (!this.files.has(filePath)) {
+            if (!fs.existsSync(filePath)) {
+                throw new Error(`File '${filePath}' not found!`)
+            }
+
+            const content = fs.readFileSync(filePath, 'utf8')
+            let parsed
+
+            try {
+                parsed = /\.json$/i.test(filePath) ? JSON.parse(content) : yaml.load(content)
+            } catch (error) {
+                throw new Error(`Unable to parse file '${filePath}': ${error.message}`)
+            }
+            this.files.set(filePath, parsed)
+        }
+
+        return this.files.get(filePath)
+    }
+
+    /**
+     * Creates a unique name for a schema moved into the root document, from its file and JSON pointer
+     * (E.g.: '/specs/components/pet.yaml' and '/Pet' => 'pet_Pet').
+     *
+     * @param {string} targetPath - The absolute path of the file of the schema.
+     * @param {string} pointer - The JSON pointer of the schema in the file.
+     *
+     * @returns {string} - The name.
+     */
+    _uniqueName(targetPath, pointer) {
+        const fileName = path.basename(targetPath).replace(/\.(ya?ml|json)$/i, '')
+        const pointerName = pointer.split('/').filter(segment => segment !== '').pop()
+        const baseName = [fileName, pointerName].filter(Boolean).join('_').replace(/[^A-Za-z0-9._-]/g, '_')
+
+        let name = baseName
+        const usedNames = [...Object.keys(this.rootSchemas), ...this.hoistedNames.values()]
+        for (let i = 2; usedNames.includes(name); i++) {
+            name = `${baseName}_${i}`
+        }
+        return name
+    }
+}
+
+/**
+ * Gets the modification time of a file.
+ * @private
+ *
+ * @param {string} filePath - The absolute path of the file.
+ *
+ * @returns {number|null} - The modification time in milliseconds, or null if the file does not exist.
+ */
+const _getModifiedTime = (filePath) => {
+    return fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : null
+}
+
+
+module.exports = {
+    loadSpecification
+}
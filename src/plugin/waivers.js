@@ -0,0 +1,142 @@
+const fs = require('fs')
+const path = require('path')
+const yaml = require('js-yaml')
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Creates the tracker of the waivers of known schema mismatches: it loads the waivers file, writes the waivers report with every waiver
+ * unused, and merges the waivers matched by every spec file of the run to write the waivers report (with the waivers that no longer
+ * match anything) each time new usages are received. So the report lists every waiver even if none of them matched anything.
+ * @public
+ *
+ * @param {object} [options] - The waivers options.
+ * @param {string} [options.file='cypress/schema-waivers.json'] - The waivers file, JSON or YAML (relative to the project root).
+ * @param {string} [options.outputDir='cypress/reports/schema-waivers'] - The folder where the report is written (relative to the project root).
+ * @param {string} [projectRoot=process.cwd()] - The root folder of the Cypress project.
+ *
+ * @returns {object} - An object containing `waivers` (the waivers loaded, with an `id` each), `record(usage)` (the handler for the task
+ *   that receives the waivers matched in a spec file) and `getReport()`.
+ * @throws {Error} - If the waivers file cannot be read or parsed, or any waiver is not valid.
+ */
+const createWaiversTracker = ({ file = 'cypress/schema-waivers.json', outputDir = 'cypress/reports/schema-waivers' } = {}, projectRoot = process.cwd()) => {
+    const waivers = loadWaivers(file, projectRoot)
+    const outputPath = path.resolve(projectRoot, outputDir)
+
+    // Number of errors matched by each waiver (by id), for the whole run
+    const matches = {}
+
+    const record = ({ matched }) => {
+        Object.entries(matched).forEach(([id, count]) => {
+            matches[id] = (matches[id] || 0) + count
+        })
+
+        _writeReport(getReport(), outputPath)
+
+        return null
+    }
+
+    const getReport = () => buildWaiversReport(waivers, matches)
+
+    _writeReport(getReport(), outputPath)
+
+    return { waivers, record, getReport }
+}
+
+/**
+ * Loads the waivers of known schema mismatches from a JSON or YAML file, with an array of waivers (or an object with a `waivers` array).
+ * Each waiver is identified by its position in the file (E.g.: '#1'), unless it has an `id` of its own.
+ * @public
+ *
+ * @param {string} file - The waivers file (absolute, or relative to the project root).
+ * @param {string} [projectRoot=process.cwd()] - The root folder of the Cypress project.
+ *
+ * @returns {object[]} - The waivers.
+ * @throws {Error} - If the file cannot be read or parsed, or any waiver is not valid (without `reason`, or without a valid `expires` date).
+ */
+const loadWaivers = (file, projectRoot = process.cwd()) => {
+    const filePath = path.resolve(projectRoot, file)
+
+    let parsed
+    try {
+        const content = fs.readFileSync(filePath, 'utf8')
+        parsed = /\.json$/i.test(filePath) ? JSON.parse(content) : yaml.load(content)
+    } catch (error) {
+        throw new Error(`The waivers file '${file}' could not be loaded: ${error.message}`)
+    }
+
+    const waivers = Array.isArray(parsed) ? parsed : (parsed && parsed.waivers) || []
+
+    return waivers.map((waiver, index) => {
+        const id = waiver.id != null ? String(waiver.id) : `#${index + 1}`
+
+        if (!waiver.reason) {
+            throw new Error(`The waiver '${id}' in '${file}' must have a 'reason'!`)
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(waiver.expires)) || Number.isNaN(Date.parse(waiver.expires))) {
+            throw new Error(`The waiver '${id}' in '${file}' must have an 'expires' date in the format 'YYYY-MM-DD'!`)
+        }
+
+        return { ...waiver, id, expires: String(waiver.expires) }
+    })
+}
+
+/**
+ * Builds the waivers report: every waiver with the number of errors it matched during the run and if it has expired,
+ * plus the waivers that did not match any error (that can be removed from the waivers file).
+ * @public
+ *
+ * @param {object[]} waivers - The waivers loaded.
+ * @param {object} matches - The number of errors matched by each waiver, keyed by waiver id.
+ *
+ * @returns {object} - The waivers report.
+ */
+const buildWaiversReport = (waivers, matches) => {
+    const today = new Date().toISOString().slice(0, 10)
+
+    const reportWaivers = waivers.map(waiver => ({
+        ...waiver,
+        matches: matches[waiver.id] || 0,
+        expired: waiver.expires < today
+    }))
+
+    return {
+        generatedAt: new Date().toISOString(),
+        summary: {
+            waivers: reportWaivers.length,
+            used: reportWaivers.filter(waiver => waiver.matches > 0).length,
+            unused: reportWaivers.filter(waiver => waiver.matches === 0).length,
+            expired: reportWaivers.filter(waiver => waiver.expired).length
+        },
+        waivers: reportWaivers,
+        unused: reportWaivers.filter(waiver => waiver.matches === 0).map(waiver => waiver.id)
+    }
+}
+
+
+// ------------------------------------
+// PRIVATE FUNCTIONS
+// ------------------------------------
+
+/**
+ * Writes the waivers report as JSON ('schema-waivers.json') in the output folder.
+ * @private
+ *
+ * @param {object} report - The waivers report.
+ * @param {string} outputDir - The absolute path of the output folder.
+ */
+const _writeReport = (report, outputDir) => {
+    fs.mkdirSync(outputDir, { recursive: true })
+
+    fs.writeFileSync(path.join(outputDir, 'schema-waivers.json'), JSON.stringify(report, null, 2))
+}
+
+
+module.exports = {
+    createWaiversTracker,
+    loadWaivers,
+    buildWaiversReport
+}
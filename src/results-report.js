@@ -0,0 +1,77 @@
+/// <reference types="cypress" />
+
+import { isSpecificationDoc, getDocumentTitle, getDocumentId, normalizeFile } from './schema-utils.js'
+
+
+// ------------------------------------
+// STATE
+// ------------------------------------
+
+/**
+ * Validation results recorded in the spec file. Each result contains: test, operation, validation, document (id, title and file), endpoint,
+ * method, status, mode, passed, errors and dataMismatches.
+ * @private
+ *
+ * @type {object[]}
+ */
+let validationResults = []
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Records the result of a validation, for the reports of the validation results (JUnit XML and JSON).
+ * Only recorded when the reports have been enabled by the Node plugin (Cypress environment variable "schemaReport").
+ * @public
+ *
+ * @param {object} result - The validation result.
+ * @param {object} result.schema - The schema validated against (plain JSON schema, Swagger or OpenAPI document).
+ * @param {object} [result.path] - The path object to the operation in a Swagger or OpenAPI document.
+ * @param {string} [result.file] - The file the schema was loaded from, if any.
+ * @param {string} result.operation - The operation validated (E.g.: 'GET /users/{id} (200)').
+ * @param {string} result.validation - What was validated (E.g.: 'RESPONSE BODY').
+ * @param {string} result.mode - The validation mode: 'hard', 'soft' or 'warn'.
+ * @param {Array} result.errors - The schema errors, or null if the data is valid against the schema.
+ * @param {any} result.dataMismatches - The data with all schema mismatches flagged.
+ */
+export const recordValidationResult = ({ schema, path, file, operation, validation, mode, errors, dataMismatches }) => {
+    if (!Cypress.env('schemaReport')) {
+        return
+    }
+
+    const specificationDoc = isSpecificationDoc(schema) && path != null && path.endpoint != null
+
+    validationResults.push({
+        test: (Cypress.currentTest && Cypress.currentTest.titlePath) || [],
+        operation,
+        validation,
+        // The document is identified as in the schema coverage report, so documents with the same title are not mixed up
+        document: specificationDoc ? { id: getDocumentId(schema, file), title: getDocumentTitle(schema), file: file ? normalizeFile(file) : null } : null,
+        endpoint: specificationDoc ? path.endpoint : null,
+        method: specificationDoc ? (path.method || 'GET').toUpperCase() : null,
+        status: specificationDoc && path.status ? String(path.status) : null,
+        mode,
+        passed: !errors,
+        errors: errors || [],
+        dataMismatches: errors ? dataMismatches : null
+    })
+}
+
+
+// ------------------------------------
+// GLOBAL HOOKS
+// ------------------------------------
+
+after(() => {
+    if (validationResults.length === 0) {
+        return
+    }
+
+    // Send the results of the spec file to the Node plugin, that writes the reports
+    const results = validationResults
+    validationResults = []
+
+    cy.task('schemaValidator:recordResults', { spec: Cypress.spec.relative, results }, { log: false })
+})
@@ -0,0 +1,172 @@
+/// <reference types="cypress" />
+
+import { isSpecificationDoc, getDocumentTitle, getDocumentId, normalizeFile, getOperation, findResponseKey, getResponseDefinition, findMediaType, resolveRef } from './schema-utils.js'
+import { observeData } from './schema-inference.js'
+
+
+// ------------------------------------
+// STATE
+// ------------------------------------
+
+/**
+ * Response bodies observed for each operation in the spec file, keyed by document id, method, endpoint, documented response and media type.
+ * Each entry contains: documentId, document (title), endpoint, method, status, mediaType, documentedSchema and shape (of the bodies observed).
+ * @private
+ *
+ * @type {object}
+ */
+let driftOperations = {}
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Records the response body validated against an operation of a Swagger or OpenAPI document, for the schema drift report.
+ * Only the shape of the bodies observed is kept (types, distinct values, properties and items), not the bodies themselves.
+ * Only recorded when the schema drift report has been enabled by the Node plugin (Cypress environment variable "schemaDrift").
+ * @public
+ *
+ * @param {object} schema - The schema validated against. Plain JSON schemas are not recorded.
+ * @param {object} path - The path object to the operation validated (`endpoint`, `method` and `status`).
+ * @param {any} data - The response body.
+ * @param {string} [mediaType] - The media type entry of the response content (OpenAPI).
+ * @param {string} [file] - The file the document was loaded from, if any.
+ */
+export const recordDrift = (schema, path, data, mediaType, file = null) => {
+    if (!Cypress.env('schemaDrift') || !isSpecificationDoc(schema) || path == null || path.endpoint == null) {
+        return
+    }
+
+    // The documents are identified as in the schema coverage report, so different documents with the same title are not merged
+    const documentId = getDocumentId(schema, file)
+    const method = (path.method || 'GET').toUpperCase()
+    const { operation } = getOperation(schema, path)
+    const status = findResponseKey(operation.responses, String(path.status || 200))
+
+    if (status === undefined) {
+        return
+    }
+
+    const key = [documentId, method, path.endpoint, status, mediaType || ''].join('|')
+
+    if (!driftOperations[key]) {
+        driftOperations[key] = {
+            documentId,
+            document: getDocumentTitle(schema),
+            documentFile: file && normalizeFile(file),
+            endpoint: path.endpoint,
+            method,
+            status,
+            mediaType: mediaType || null,
+            documentedSchema: _getDocumentedSchema(schema, { ...path, status }, mediaType),
+            shape: null
+        }
+    }
+
+    driftOperations[key].shape = observeData(driftOperations[key].shape, data)
+}
+
+
+// ------------------------------------
+// PRIVATE FUNCTIONS
+// ------------------------------------
+
+/**
+ * Gets the documented schema of a response, with only the definitions (Swagger) or components (OpenAPI) its references point to
+ * (directly or through other references), so the whole document is not sent to the Node plugin with each operation.
+ * @private
+ *
+ * @param {object} spec - The Swagger or OpenAPI document.
+ * @param {object} path - The path object to the documented response.
+ * @param {string} [mediaType] - The media type entry of the response content (OpenAPI).
+ *
+ * @returns {object|null} - The documented schema, or null if the response has no schema.
+ */
+const _getDocumentedSchema = (spec, path, mediaType) => {
+    const response = getResponseDefinition(spec, path)
+    const mediaTypeObj = spec.swagger ? response : (response.content || {})[mediaType || findMediaType(response.content)]
+    const schemaDef = mediaTypeObj && mediaTypeObj.schema
+
+    if (!schemaDef) {
+        return null
+    }
+
+    // The shortest references first, so the parts of a definition already copied are not copied again
+    const refs = [..._collectRefs(spec, schemaDef)].sort((a, b) => a.length - b.length)
+    const referenced = {}
+
+    refs.forEach((ref, index) => {
+        if (!refs.slice(0, index).some(copied => ref.startsWith(`${copied}/`))) {
+            _setPointer(referenced, ref, resolveRef(spec, { $ref: ref }))
+        }
+    })
+
+    return { ...schemaDef, ...referenced }
+}
+
+/**
+ * Collects the local references (E.g.: '#/components/schemas/Pet') of a schema, and of the schemas they point to.
+ * @private
+ *
+ * @param {object} spec - The Swagger or OpenAPI document.
+ * @param {any} node - The schema (or any part of it).
+ * @param {Set<string>} [refs] - The references collected so far.
+ *
+ * @returns {Set<string>} - The references collected.
+ */
+const _collectRefs = (spec, node, refs = new Set()) => {
+    if (node == null || typeof node !== 'object') {
+        return refs
+    }
+
+    if (typeof node.$ref === 'string' && node.$ref.startsWith('#/') && !refs.has(node.$ref)) {
+        refs.add(node.$ref)
+        _collectRefs(spec, resolveRef(spec, { $ref: node.$ref }), refs)
+    }
+
+    Object.values(node).forEach(value => _collectRefs(spec, value, refs))
+
+    return refs
+}
+
+/**
+ * Sets a value in an object at the location of a local reference (E.g.: '#/definitions/Pet' sets `obj.definitions.Pet`).
+ * @private
+ *
+ * @param {object} obj - The object.
+ * @param {string} ref - The local reference.
+ * @param {any} value - The value.
+ */
+const _setPointer = (obj, ref, value) => {
+    const segments = ref
+        .replace(/^#\//, '')
+        .split('/')
+        .map(segment => decodeURIComponent(segment).replaceAll('~1', '/').replaceAll('~0', '~'))
+    const last = segments.pop()
+
+    const parent = segments.reduce((node, segment) => {
+        node[segment] = node[segment] || {}
+        return node[segment]
+    }, obj)
+
+    parent[last] = value
+}
+
+
+// ------------------------------------
+// GLOBAL HOOKS
+// ------------------------------------
+
+after(() => {
+    if (Object.keys(driftOperations).length === 0) {
+        return
+    }
+
+    // Send the bodies observed in the spec file to the Node plugin, that merges them for the whole run and writes the drift report
+    const operations = Object.values(driftOperations)
+    driftOperations = {}
+
+    cy.task('schemaValidator:recordDrift', { operations }, { log: false })
+})
@@ -0,0 +1,376 @@
+/**
+ * Inference of JSON schemas from the data observed (E.g.: the response bodies of an operation during a run), and detection of the drift
+ * between the data observed and the documented schema.
+ * Written as plain CommonJS without Cypress globals, so it can be used both from the browser and from Node.
+ */
+
+const { resolveRef } = require('./schema-utils.js')
+
+
+// ------------------------------------
+// CONSTANTS
+// ------------------------------------
+
+// Maximum number of distinct values observed kept for each location of the data (to find the new values of enums)
+const maxValuesObserved = 20
+
+// Keywords that combine subschemas applying to the same data, and whether every subschema applies
+const compositionKeywords = { allOf: true, anyOf: false, oneOf: false }
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Adds the data observed to the shape of the data observed so far at the same location: how many times it was observed, the types observed,
+ * the distinct values observed (for strings, numbers and booleans), and the shapes of the properties of objects and the items of arrays.
+ * @public
+ *
+ * @param {object|null} shape - The shape of the data observed so far, or null if no data was observed yet.
+ * @param {any} data - The data observed.
+ *
+ * @returns {object} - The shape, including the data observed.
+ */
+const observeData = (shape, data) => {
+    shape = shape || _createShape()
+
+    const type = _getType(data)
+    shape.count++
+    shape.types[type] = (shape.types[type] || 0) + 1
+
+    if (type === 'object') {
+        Object.entries(data).forEach(([name, value]) => {
+            shape.properties[name] = observeData(shape.properties[name], value)
+        })
+    } else if (type === 'array') {
+        data.forEach(item => {
+            shape.items = observeData(shape.items, item)
+        })
+    } else if (type !== 'null') {
+        _addValues(shape, { [JSON.stringify(data)]: 1 })
+    }
+
+    return shape
+}
+
+/**
+ * Merges two shapes of the data observed at the same location (E.g.: observed in different spec files).
+ * @public
+ *
+ * @param {object|null} shape - A shape of the data observed, or null.
+ * @param {object|null} other - The other shape of the data observed, or null.
+ *
+ * @returns {object|null} - The shape merged.
+ */
+const mergeShapes = (shape, other) => {
+    if (shape == null || other == null) {
+        return shape || other
+    }
+
+    const merged = _createShape()
+
+    merged.count = shape.count + other.count
+    merged.types = { ...shape.types }
+    Object.entries(other.types).forEach(([type, count]) => {
+        merged.types[type] = (merged.types[type] || 0) + count
+    })
+
+    _addValues(merged, shape.values)
+    _addValues(merged, other.values)
+    merged.moreValues = merged.moreValues || shape.moreValues || other.moreValues
+
+    new Set([...Object.keys(shape.properties), ...Object.keys(other.properties)]).forEach(name => {
+        merged.properties[name] = mergeShapes(shape.properties[name], other.properties[name])
+    })
+    merged.items = mergeShapes(shape.items, other.items)
+
+    return merged
+}
+
+/**
+ * Infers a JSON schema from the shape of the data observed: the types observed (integers and numbers observed together are numbers),
+ * the properties of objects (required when present in every object observed) and the items of arrays.
+ * @public
+ *
+ * @param {object|null} shape - The shape of the data observed.
+ *
+ * @returns {object} - The JSON schema inferred (an empty schema if no data was observed).
+ */
+const inferSchema = (shape) => {
+    if (shape == null || shape.count === 0) {
+        return {}
+    }
+
+    const types = Object.keys(shape.types).filter(type => !(type === 'integer' && shape.types.number))
+    const schema = { type: types.length === 1 ? types[0] : types }
+
+    if (shape.types.object) {
+        const names = Object.keys(shape.properties)
+
+        schema.properties = Object.fromEntries(names.map(name => [name, inferSchema(shape.properties[name])]))
+
+        const required = names.filter(name => shape.properties[name].count === shape.types.object)
+        if (required.length > 0) {
+            schema.required = required
+        }
+    }
+
+    if (shape.types.array && shape.items) {
+        schema.items = inferSchema(shape.items)
+    }
+
+    return schema
+}
+
+/**
+ * Detects the drift between the shape of the data observed and the documented schema, at every location of the data:
+ * - `typeMismatch`: Types observed that the schema does not allow.
+ * - `newEnumValues`: Values observed that are not in the `enum` of the schema.
+ * - `undocumentedProperty`: Properties observed that are not declared in the schema (free-form objects are not checked).
+ * - `alwaysNull`: Locations observed only with null values.
+ * - `optionalAlwaysPresent`: Optional properties present in every object observed.
+ * - `neverPresent`: Properties declared in the schema never present in the objects observed.
+ * The last three are only reported when the location was observed at least `minObservations` times.
+ * @public
+ *
+ * @param {object|null} shape - The shape of the data observed.
+ * @param {object} documentedSchema - The documented schema, with the definitions (Swagger) or components (OpenAPI) its references point to.
+ * @param {object} [options] - Detection options.
+ * @param {integer} [options.minObservations=2] - The minimum number of observations of a location to report the drift based on what is never
+ *   or always observed.
+ *
+ * @returns {object[]} - The drift found, each containing `kind`, `path` (a JSON pointer where `*` stands for the items of arrays), `message`
+ *   and `observations`.
+ */
+const detectDrift = (shape, documentedSchema, { minObservations = 2 } = {}) => {
+    const drift = []
+
+    if (shape != null && documentedSchema != null) {
+        _detectDrift(shape, [documentedSchema], documentedSchema, '', minObservations, drift)
+    }
+
+    return drift
+}
+
+
+// ------------------------------------
+// PRIVATE FUNCTIONS
+// ------------------------------------
+
+/**
+ * Detects recursively the drift between the shape of the data observed at a location and the subschemas that apply to it.
+ * @private
+ *
+ * @param {object} shape - The shape of the data observed at the location.
+ * @param {object[]} schemas - The subschemas that apply to the location.
+ * @param {object} root - The documented schema, to resolve the references.
+ * @param {string} path - The JSON pointer of the location.
+ * @param {integer} minObservations - The minimum number of observations to report the drift based on what is never or always observed.
+ * @param {object[]} drift - The drift found.
+ */
+const _detectDrift = (shape, schemas, root, path, minObservations, drift) => {
+    const schema = _describeSchemas(schemas, root)
+    const add = (kind, message, details = {}) => drift.push({ kind, path: path || '/', message, observations: shape.count, ...details })
+
+    // Types observed not allowed by the schema
+    if (schema.types) {
+        const unexpected = Object.keys(shape.types).filter(type => !_isTypeAllowed(type, schema))
+        if (unexpected.length > 0) {
+            add('typeMismatch', `Type ${unexpected.join(', ')} observed, but the schema allows ${[...schema.types].join(', ')}${schema.nullable ? ' (nullable)' : ''}.`,
+                { observedTypes: shape.types, documentedTypes: [...schema.types] })
+        }
+    }
+
+    // Values observed not in the enum of the schema
+    if (schema.enum) {
+        const documented = new Set(schema.enum.map(value => JSON.stringify(value)))
+        const newValues = Object.keys(shape.values).filter(value => !documented.has(value))
+        if (newValues.length > 0) {
+            add('newEnumValues', `Values not in the enum observed: ${newValues.join(', ')}${shape.moreValues ? ' (more values observed not tracked)' : ''}.`,
+                { newValues: newValues.map(value => JSON.parse(value)) })
+        }
+    }
+
+    // Only null values observed
+    if (shape.count >= minObservations && shape.types.null === shape.count && !(schema.types && schema.types.size === 1 && schema.types.has('null'))) {
+        add('alwaysNull', `Always null in the ${shape.count} observations.`)
+    }
+
+    const objects = shape.types.object || 0
+
+    if (objects > 0 && schema.properties) {
+        Object.entries(shape.properties).forEach(([name, propertyShape]) => {
+            const propertyPath = `${path}/${_escapePointer(name)}`
+
+            if (schema.properties[name]) {
+                if (!schema.required.has(name) && objects >= minObservations && propertyShape.count === objects) {
+                    drift.push({ kind: 'optionalAlwaysPresent', path: propertyPath, message: `Optional property present in the ${objects} objects observed.`, observations: objects })
+                }
+                _detectDrift(propertyShape, schema.properties[name], root, propertyPath, minObservations, drift)
+            } else if (!schema.freeForm) {
+                drift.push({ kind: 'undocumentedProperty', path: propertyPath, message: `Property not declared in the schema, present in ${propertyShape.count} of the ${objects} objects observed.`, observations: objects })
+            }
+        })
+
+        if (objects >= minObservations) {
+            Object.keys(schema.properties)
+                .filter(name => !shape.properties[name])
+                .forEach(name => {
+                    drift.push({ kind: 'neverPresent', path: `${path}/${_escapePointer(name)}`, message: `Property declared in the schema never present in the ${objects} objects observed.`, observations: objects })
+                })
+        }
+    }
+
+    if (shape.items && schema.items.length > 0) {
+        _detectDrift(shape.items, schema.items, root, `${path}/*`, minObservations, drift)
+    }
+}
+
+/**
+ * Describes what the subschemas that apply to a location allow, with the references resolved and the composition keywords expanded
+ * (the properties of any subschema of `allOf`, `anyOf` or `oneOf` are declared, and only the ones of `allOf` can be required).
+ * @private
+ *
+ * @param {object[]} schemas - The subschemas that apply to the location.
+ * @param {object} root - The documented schema, to resolve the references.
+ *
+ * @returns {object} - An object containing `types` (a Set, or null if any type is allowed), `nullable`, `enum` (or null), `properties`
+ *   (the subschemas of each property, or null if no properties are declared), `required` (a Set), `freeForm` and `items` (the subschemas of the items).
+ */
+const _describeSchemas = (schemas, root) => {
+    const description = { types: null, nullable: false, enum: null, properties: null, required: new Set(), freeForm: false, items: [] }
+    const visited = new Set()
+
+    const describe = (schema, required) => {
+        schema = resolveRef(root, schema)
+        if (schema == null || typeof schema !== 'object' || visited.has(schema)) {
+            return
+        }
+        visited.add(schema)
+
+        if (schema.type != null) {
+            description.types = description.types || new Set()
+            ;[].concat(schema.type).forEach(type => description.types.add(type))
+        }
+        if (schema.nullable === true) {
+            description.nullable = true
+        }
+        if (Array.isArray(schema.enum)) {
+            description.enum = [...(description.enum || []), ...schema.enum]
+        }
+        if (schema.properties) {
+            description.properties = description.properties || {}
+            Object.entries(schema.properties).forEach(([name, propertySchema]) => {
+                description.properties[name] = [...(description.properties[name] || []), propertySchema]
+            })
+        }
+        if (required && Array.isArray(schema.required)) {
+            schema.required.forEach(name => description.required.add(name))
+        }
+        if (schema.additionalProperties === true || (schema.additionalProperties != null && typeof schema.additionalProperties === 'object')) {
+            description.freeForm = true
+        }
+        if (schema.items != null) {
+            description.items.push(...[].concat(schema.items))
+        }
+
+        Object.entries(compositionKeywords).forEach(([keyword, applyAll]) => {
+            (schema[keyword] || []).forEach(subschema => describe(subschema, required && applyAll))
+        })
+    }
+
+    schemas.forEach(schema => describe(schema, true))
+
+    // Objects declared without properties are free-form objects
+    const isObject = description.types == null || description.types.has('object')
+    if (isObject && description.properties == null) {
+        description.freeForm = true
+    }
+
+    return description
+}
+
+/**
+ * Checks if a type observed is allowed by the types of the schema (integers are numbers, and null is allowed by `nullable` or a null enum value).
+ * @private
+ *
+ * @param {string} type - The type observed.
+ * @param {object} schema - The description of the schema.
+ *
+ * @returns {boolean} - `true` if the type is allowed.
+ */
+const _isTypeAllowed = (type, { types, nullable, enum: enumValues }) => {
+    if (types.has(type) || (type === 'integer' && types.has('number'))) {
+        return true
+    }
+    return type === 'null' && (nullable || (enumValues != null && enumValues.includes(null)))
+}
+
+/**
+ * Gets the JSON schema type of the data ('integer' for integer numbers).
+ * @private
+ *
+ * @param {any} data - The data.
+ *
+ * @returns {string} - The type.
+ */
+const _getType = (data) => {
+    if (data === null) {
+        return 'null'
+    }
+    if (Array.isArray(data)) {
+        return 'array'
+    }
+    if (typeof data === 'number') {
+        return Number.isInteger(data) ? 'integer' : 'number'
+    }
+    return typeof data
+}
+
+/**
+ * Adds distinct values observed to a shape, up to the maximum number of values kept (the rest are only flagged with `moreValues`).
+ * @private
+ *
+ * @param {object} shape - The shape.
+ * @param {object} values - The number of times each value was observed, keyed by the value in JSON.
+ */
+const _addValues = (shape, values) => {
+    Object.entries(values).forEach(([value, count]) => {
+        if (shape.values[value] !== undefined || Object.keys(shape.values).length < maxValuesObserved) {
+            shape.values[value] = (shape.values[value] || 0) + count
+        } else {
+            shape.moreValues = true
+        }
+    })
+}
+
+/**
+ * Creates the shape of a location of the data not observed yet.
+ * @private
+ *
+ * @returns {object} - The shape.
+ */
+const _createShape = () => {
+    return { count: 0, types: {}, values: {}, moreValues: false, properties: {}, items: null }
+}
+
+/**
+ * Escapes a property name for a JSON pointer ('~' and '/').
+ * @private
+ *
+ * @param {string} name - The property name.
+ *
+ * @returns {string} - The property name escaped.
+ */
+const _escapePointer = (name) => {
+    return name.replaceAll('~', '~0').replaceAll('/', '~1')
+}
+
+
+module.exports = {
+    observeData,
+    mergeShapes,
+    inferSchema,
+    detectDrift
+}
@@ -0,0 +1,597 @@
+/**
+ * Helpers to locate schema definitions inside Swagger 2.0 and OpenAPI 3 documents.
+ * Written as plain CommonJS without Cypress globals, so they can be used both from the browser and from Node.
+ */
+
+// ------------------------------------
+// MESSAGES
+// ------------------------------------
+
+const errorInvalidPathParameters = `You must provide valid schema parameters (missing 'endpoint' or 'method' params)!`
+
+// HTTP methods that can have an operation in a path item
+const operationMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']
+
+
+// ------------------------------------
+// STATE
+// ------------------------------------
+
+// Ids of the documents without a file, keyed by the document object (see `getDocumentId()`), so each document is hashed once
+const documentIds = new WeakMap()
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Checks if the given schema is a Swagger 2.0 or OpenAPI 3 document (instead of a plain JSON schema).
+ * @public
+ *
+ * @param {object} schema - The schema to check.
+ *
+ * @returns {boolean} - `true` if the schema is a Swagger or OpenAPI document.
+ */
+const isSpecificationDoc = (schema) => {
+    return schema != null && (schema.swagger != null || schema.openapi != null)
+}
+
+/**
+ * Retrieves the operation object for a given endpoint and method from a Swagger or OpenAPI document.
+ * @public
+ *
+ * @param {object} spec - The Swagger or OpenAPI document.
+ * @param {object} path - The path object to the operation in the document.
+ * @param {string} path.endpoint - The endpoint path.
+ * @param {string} [path.method] - The HTTP method. If not provided, it will use 'GET'.
+ *
+ * @returns {object} - An object containing `pathItem` (the path item object) and `operation` (the operation object).
+ * @throws {Error} - If the endpoint is missing or the operation is not found in the document.
+ */
+const getOperation = (spec, { endpoint, method = 'GET' } = {}) => {
+    if (endpoint == null || method == null) {
+        throw new Error(errorInvalidPathParameters)
+    }
+
+    method = method.toLowerCase()
+
+    const pathItem = resolveRef(spec, (spec.paths || {})[endpoint])
+    const operation = pathItem && pathItem[method]
+
+    if (operation == null) {
+        throw new Error(`No operation found for path 'paths.${endpoint}.${method}'!`)
+    }
+
+    return { pathItem, operation }
+}
+
+/**
+ * Retrieves the HTTP methods (lowercase) that have an operation defined for an endpoint in a Swagger or OpenAPI document.
+ * @public
+ *
+ * @param {object} spec - The Swagger or OpenAPI document.
+ * @param {string} endpoint - The endpoint path.
+ *
+ * @returns {string[]} - The HTTP methods (E.g.: ['get', 'post']).
+ */
+const getOperationMethods = (spec, endpoint) => {
+    const pathItem = resolveRef(spec, (spec.paths || {})[endpoint]) || {}
+    return operationMethods.filter(method => pathItem[method] != null)
+}
+
+/**
+ * Gets a title that identifies a Swagger or OpenAPI document (E.g.: 'Swagger Petstore 1.0.7'), from the `info` section of the document.
+ * @public
+ *
+ * @param {object} spec - The Swagger or OpenAPI document.
+ *
+ * @returns {string} - The title of the document.
+ */
+const getDocumentTitle = (spec) => {
+    const { title = 'Untitled API', version } = spec.info || {}
+    return version ? `${title} ${version}` : title
+}
+
+/**
+ * Gets the id that identifies a Swagger or OpenAPI document in the reports: the file it was loaded from, or otherwise its title and a hash
+ * of its content, so different documents with the same title are not merged, and the same document validated in several spec files is.
+ * @public
+ *
+ * @param {object} spec - The Swagger or OpenAPI document.
+ * @param {string} [file] - The file the document was loaded from, if any.
+ *
+ * @returns {string} - The id of the document (E.g.: 'specs/petstore.yaml' or 'Swagger Petstore 1.0.7 #1x2y3z').
+ */
+const getDocumentId = (spec, file) => {
+    if (file) {
+        return normalizeFile(file)
+    }
+
+    let id = documentIds.get(spec)
+    if (id === undefined) {
+        id = `${getDocumentTitle(spec)} #${hashContent(JSON.stringify(spec)).toString(36)}`
+        documentIds.set(spec, id)
+    }
+
+    return id
+}
+
+/**
+ * Normalizes the path of a document file relative to the project root (E.g.: './specs\\api.yaml' to 'specs/api.yaml').
+ * @public
+ *
+ * @param {string} file - The file path.
+ *
+ * @returns {string} - The file path normalized.
+ */
+const normalizeFile = (file) => {
+    return file.replaceAll('\\', '/').replace(/^\.\//, '')
+}
+
+/**
+ * Lists all the operations defined in a Swagger or OpenAPI document, with the response statuses documented for each one.
+ * @public
+ *
+ * @param {object} spec - The Swagger or OpenAPI document.
+ *
+ * @returns {object[]} - The operations, each containing `endpoint`, `method` (uppercase) and `statuses` (E.g.: ['200', '4XX', 'default']).
+ */
+const getOperationsInventory = (spec) => {
+    return Object.keys(spec.paths || {}).flatMap(endpoint => {
+        return getOperationMethods(spec, endpoint).map(method => {
+            const { operation } = getOperation(spec, { endpoint, method })
+            return { endpoint, method: method.toUpperCase(), statuses: Object.keys(operation.responses || {}) }
+        })
+    })
+}
+
+/**
+ * Finds the endpoint (templated path, E.g.: '/pet/{petId}') of a Swagger or OpenAPI document that matches a request URL.
+ * The base path of the API (`servers` for OpenAPI, `basePath` for Swagger) is removed from the URL before matching it against the paths of the document,
+ * and concrete paths (E.g.: '/pet/findByStatus') take precedence over templated ones (E.g.: '/pet/{petId}').
+ * @public
+ *
+ * @param {object} spec - The Swagger or OpenAPI document.
+ * @param {string} url - The request URL (absolute or relative). The query string is ignored.
+ * @param {string} [method] - The HTTP method. If provided, paths that define an operation for that method take precedence.
+ *
+ * @returns {string} - The endpoint found.
+ * @throws {Error} - If no path or more than one path of the document matches the URL (listing the candidate paths).
+ *
+ * @example
+ * findEndpoint(petstoreDoc, 'https://petstore.swagger.io/v2/pet/10?x=1', 'GET') // => '/pet/{petId}'
+ */
+const findEndpoint = (spec, url, method) => {
+    const pathname = _normalizePathname(new URL(url, 'http://localhost').pathname)
+    const endpoints = Object.keys(spec.paths || {})
+
+    // Paths relative to the base paths of the API that prefix the URL (or the full path if none of them does)
+    let relativePaths = _getBasePaths(spec)
+        .filter(basePath => pathname === basePath || pathname.startsWith(`${basePath}/`))
+        .map(basePath => pathname.slice(basePath.length) || '/')
+    if (relativePaths.length === 0) {
+        relativePaths = [pathname]
+    }
+
+    let matches = endpoints.filter(endpoint => {
+        const regexp = _endpointToRegExp(endpoint)
+        return relativePaths.some(relativePath => regexp.test(relativePath))
+    })
+
+    if (method != null) {
+        const matchesWithMethod = matches.filter(endpoint => resolveRef(spec, spec.paths[endpoint])[method.toLowerCase()] != null)
+        if (matchesWithMethod.length > 0) {
+            matches = matchesWithMethod
+        }
+    }
+
+    if (matches.length === 0) {
+        throw new Error(`No path found in the schema document matching the URL '${url}'! Candidate paths: ${endpoints.join(', ')}`)
+    }
+
+    // Concrete paths take precedence over templated paths: keep the matches with the most non-templated segments
+    const maxConcreteSegments = Math.max(...matches.map(_countConcreteSegments))
+    matches = matches.filter(endpoint => _countConcreteSegments(endpoint) === maxConcreteSegments)
+
+    if (matches.length > 1) {
+        throw new Error(`The URL '${url}' matches more than one path in the schema document! Candidate paths: ${matches.join(', ')}`)
+    }
+
+    return matches[0]
+}
+
+/**
+ * Retrieves the schema for the request body of an operation in a Swagger or OpenAPI document,
+ * merged with the components (OpenAPI) or definitions (Swagger) so it can be validated as a plain JSON schema.
+ * - OpenAPI 3: The schema is taken from the operation's `requestBody` (the 'application/json' media type, or the first JSON-like one).
+ * - Swagger 2: The schema is taken from the operation's (or path item's) `in: body` parameter.
+ * @public
+ *
+ * @param {object} spec - The Swagger or OpenAPI document.
+ * @param {object} path - The path object to the operation in the document.
+ * @param {string} path.endpoint - The endpoint path.
+ * @param {string} [path.method] - The HTTP method. If not provided, it will use 'GET'.
+ *
+ * @returns {object} - The request body schema, ready to be validated as a plain JSON schema.
+ * @throws {Error} - If the operation or its request body schema definition is not found.
+ *
+ * @example
+ * const schema = getRequestBodySchema(openApiDoc, { endpoint: '/users', method: 'POST' })
+ */
+const getRequestBodySchema = (spec, path) => {
+    const { pathItem, operation } = getOperation(spec, path)
+    const operationPath = `paths.${path.endpoint}.${(path.method || 'GET').toLowerCase()}`
+
+    let schemaDef
+
+    if (spec.swagger) {
+        const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])].map(parameter => resolveRef(spec, parameter))
+        const bodyParameter = parameters.find(parameter => parameter && parameter.in === 'body')
+
+        if (bodyParameter === undefined) {
+            throw new Error(`No request body definition ('in: body' parameter) found for path '${operationPath}'!`)
+        }
+        schemaDef = bodyParameter.schema
+    } else {
+        const requestBody = resolveRef(spec, operation.requestBody)
+
+        if (requestBody == null) {
+            throw new Error(`No request body definition found for path '${operationPath}.requestBody'!`)
+        }
+        const mediaType = _findJsonMediaType(requestBody.content)
+        schemaDef = mediaType && requestBody.content[mediaType].schema
+    }
+
+    if (schemaDef == null) {
+        throw new Error(`No schema definition found for the request body of path '${operationPath}'!`)
+    }
+
+    return buildSchema(spec, schemaDef)
+}
+
+/**
+ * Finds the key of the response definition that documents a given status code in an operation's `responses`:
+ * the exact status (E.g.: '404'), the status range (E.g.: '4XX', OpenAPI 3 only) or 'default', in that order.
+ * @public
+ *
+ * @param {object} responses - The `responses` object of the operation.
+ * @param {integer|string} status - The response status code.
+ *
+ * @returns {string|undefined} - The key of the response definition, or undefined if the status is not documented.
+ */
+const findResponseKey = (responses = {}, status) => {
+    const statusRange = `${String(status).charAt(0)}XX`
+    const keys = Object.keys(responses)
+
+    return keys.find(key => key === String(status))
+        || keys.find(key => key.toUpperCase() === statusRange)
+        || keys.find(key => key === 'default')
+}
+
+/**
+ * Retrieves the response definition (resolving any $ref) for a given endpoint, method and status from a Swagger or OpenAPI document.
+ * @public
+ *
+ * @param {object} spec - The Swagger or OpenAPI document.
+ * @param {object} path - The path object to the schema definition in the document.
+ * @param {string} path.endpoint - The endpoint path.
+ * @param {string} [path.method] - The HTTP method. If not provided, it will use 'GET'.
+ * @param {integer} [path.status] - The response status code. If not provided, it will use 200.
+ *
+ * @returns {object} - The response definition.
+ * @throws {Error} - If the operation or the response definition is not found.
+ */
+const getResponseDefinition = (spec, path) => {
+    const { operation } = getOperation(spec, path)
+    const status = path.status || 200
+    const responsesPath = `paths.${path.endpoint}.${(path.method || 'GET').toLowerCase()}.responses`
+
+    const responseKey = findResponseKey(operation.responses, status)
+    if (responseKey === undefined) {
+        throw new Error(`No response definition found for path '${responsesPath}.${status}' or '${responsesPath}.default'!`)
+    }
+
+    return resolveRef(spec, operation.responses[responseKey])
+}
+
+/**
+ * Finds the media type entry of an OpenAPI `content` object (E.g.: of a response definition) that matches a content type:
+ * the exact media type, the media type range of its type (E.g.: 'application/*') or the wildcard for any media type, in that order.
+ * Parameters of the content type (E.g.: '; charset=utf-8') are ignored.
+ * If no content type is provided, the JSON media type is taken ('application/json', or the first JSON-like media type declared).
+ * @public
+ *
+ * @param {object} content - The OpenAPI content object, keyed by media type.
+ * @param {string} [contentType] - The content type (E.g.: the 'Content-Type' header of the response).
+ *
+ * @returns {string|undefined} - The media type entry found, or undefined if the content type is not declared.
+ */
+const findMediaType = (content, contentType) => {
+    if (contentType == null) {
+        return _findJsonMediaType(content)
+    }
+
+    const mediaTypes = Object.keys(content || {})
+    const normalize = (mediaType) => mediaType.split(';')[0].trim().toLowerCase()
+
+    contentType = normalize(contentType)
+    const typeRange = `${contentType.split('/')[0]}/*`
+
+    return mediaTypes.find(mediaType => normalize(mediaType) === contentType)
+        || mediaTypes.find(mediaType => normalize(mediaType) === typeRange)
+        || mediaTypes.find(mediaType => normalize(mediaType) === '*/*')
+}
+
+/**
+ * Checks if a media type is a JSON media type (E.g.: 'application/json', 'application/problem+json' or 'application/hal+json').
+ * @public
+ *
+ * @param {string} mediaType - The media type.
+ *
+ * @returns {boolean} - `true` if it is a JSON media type.
+ */
+const isJsonMediaType = (mediaType) => {
+    return mediaType != null && /^[^/]+\/([^;]*\+)?json\s*(;.*)?$/i.test(mediaType.trim())
+}
+
+/**
+ * Builds a JSON schema for the response headers declared under `responses[status].headers` of an operation in a Swagger or OpenAPI document.
+ * Header names are lowercased (as they are provided in the Cypress responses), and headers marked as `required` (OpenAPI 3) are required.
+ * The 'Content-Type' header is ignored for OpenAPI 3 documents, as stated in the specification.
+ * @public
+ *
+ * @param {object} spec - The Swagger or OpenAPI document.
+ * @param {object} path - The path object to the schema definition in the document.
+ * @param {string} path.endpoint - The endpoint path.
+ * @param {string} [path.method] - The HTTP method. If not provided, it will use 'GET'.
+ * @param {integer} [path.status] - The response status code. If not provided, it will use 200.
+ *
+ * @returns {object} - The headers schema, ready to be validated as a plain JSON schema.
+ * @throws {Error} - If the operation or the response definition is not found.
+ */
+const getResponseHeadersSchema = (spec, path) => {
+    const responseDef = getResponseDefinition(spec, path)
+
+    const properties = {}
+    const required = []
+
+    Object.entries(responseDef.headers || {}).forEach(([name, header]) => {
+        header = resolveRef(spec, header) || {}
+        name = name.toLowerCase()
+
+        if (spec.swagger) {
+            // In Swagger 2.0 the header object is itself the schema (type, format, items, enum...)
+            const { description, ...headerSchema } = header
+            properties[name] = headerSchema
+        } else if (name !== 'content-type') {
+            const mediaType = Object.keys(header.content || {})[0]
+            properties[name] = header.schema || (mediaType && header.content[mediaType].schema) || {}
+
+            if (header.required) {
+                required.push(name)
+            }
+        }
+    })
+
+    return buildSchema(spec, { type: 'object', properties, required })
+}
+
+/**
+ * Converts the values of the headers (always strings) to the type declared in the headers schema, so they can be validated:
+ * numeric strings for 'integer' and 'number', 'true'/'false' for 'boolean', and comma-separated values for 'array'.
+ * Header names are lowercased.
+ * @public
+ *
+ * @param {object} headers - The response headers.
+ * @param {object} headersSchema - The headers schema (as built by `getResponseHeadersSchema()`).
+ * @param {object} spec - The Swagger or OpenAPI document, to resolve $ref in the headers schema.
+ *
+ * @returns {object} - A copy of the headers with the values converted.
+ */
+const coerceHeaderValues = (headers = {}, headersSchema, spec) => {
+    const coerced = {}
+
+    Object.entries(headers).forEach(([name, value]) => {
+        name = name.toLowerCase()
+        const { type } = resolveRef(spec, headersSchema.properties[name]) || {}
+
+        if (typeof value === 'string') {
+            if ((type === 'integer' || type === 'number') && value.trim() !== '' && !isNaN(value)) {
+                value = Number(value)
+            } else if (type === 'boolean' && (value === 'true' || value === 'false')) {
+                value = (value === 'true')
+            } else if (type === 'array') {
+                value = value.split(',').map(item => item.trim())
+            }
+        }
+        coerced[name] = value
+    })
+
+    return coerced
+}
+
+/**
+ * Merges a schema definition taken from a Swagger or OpenAPI document with the components (OpenAPI) or definitions (Swagger)
+ * of that document, as needed by Ajv when there are local $ref in the schema definition.
+ * @public
+ *
+ * @param {object} spec - The Swagger or OpenAPI document.
+ * @param {object} schemaDef - The schema definition taken from the document.
+ *
+ * @returns {object} - The schema definition, ready to be validated as a plain JSON schema.
+ */
+const buildSchema = (spec, schemaDef) => {
+    const componentsDefinitions = spec.swagger ? { definitions: spec.definitions } : { components: spec.components }
+
+    return {
+        ...schemaDef,
+        ...componentsDefinitions
+    }
+}
+
+/**
+ * Resolves a local reference (E.g.: { $ref: '#/components/requestBodies/User' }) inside a Swagger or OpenAPI document.
+ * Objects without $ref are returned as they are.
+ * @public
+ *
+ * @param {object} spec - The Swagger or OpenAPI document.
+ * @param {object} obj - The object that could be a reference.
+ *
+ * @returns {object} - The referenced object, or undefined if the reference cannot be resolved.
+ */
+const resolveRef = (spec, obj) => {
+    // Guard against circular references between reference objects
+    const visited = new Set()
+
+    while (obj != null && typeof obj.$ref === 'string' && obj.$ref.startsWith('#') && !visited.has(obj.$ref)) {
+        visited.add(obj.$ref)
+
+        obj = obj.$ref
+            .replace(/^#\/?/, '')
+            .split('/')
+            .filter(segment => segment !== '')
+            .map(segment => decodeURIComponent(segment).replaceAll('~1', '/').replaceAll('~0', '~'))
+            .reduce((node, segment) => (node == null ? undefined : node[segment]), spec)
+    }
+
+    return obj
+}
+
+/**
+ * Hashes a string into a 53-bit number (cyrb53), so equal schemas or documents are identified without keeping their content.
+ * @public
+ *
+ * @param {string} content - The content to hash.
+ *
+ * @returns {integer} - The hash of the content.
+ */
+const hashContent = (content) => {
+    let h1 = 0xdeadbeef
+    let h2 = 0x41c6ce57
+
+    for (let i = 0; i < content.length; i++) {
+        const code = content.charCodeAt(i)
+        h1 = Math.imul(h1 ^ code, 2654435761)
+        h2 = Math.imul(h2 ^ code, 1597334677)
+    }
+
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0)
+}
+
+
+// ------------------------------------
+// PRIVATE FUNCTIONS
+// ------------------------------------
+
+/**
+ * Gets the base paths of the API: the paths of the `servers` URLs (with the default values of the server variables) for OpenAPI documents,
+ * or the `basePath` for Swagger documents. The root path '/' is not included.
+ * @private
+ *
+ * @param {object} spec - The Swagger or OpenAPI document.
+ *
+ * @returns {string[]} - The base paths (E.g.: ['/v2']).
+ */
+const _getBasePaths = (spec) => {
+    let urls
+
+    if (spec.swagger) {
+        urls = spec.basePath ? [spec.basePath] : []
+    } else {
+        urls = (spec.servers || []).map(server => {
+            return (server.url || '').replace(/{([^}]+)}/g, (match, variable) => {
+                const serverVariable = (server.variables || {})[variable]
+                return serverVariable ? serverVariable.default : match
+            })
+        })
+    }
+
+    return urls
+        .map(url => _normalizePathname(new URL(url, 'http://localhost').pathname))
+        .filter(basePath => basePath !== '/')
+}
+
+/**
+ * Removes the trailing slash of a path (except for the root path '/').
+ * @private
+ *
+ * @param {string} pathname - The path.
+ *
+ * @returns {string} - The path without trailing slash.
+ */
+const _normalizePathname = (pathname) => {
+    return pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname
+}
+
+/**
+ * Creates a regular expression to match paths against a templated endpoint (E.g.: '/pet/{petId}' => /^\/pet\/[^/]+$/).
+ * @private
+ *
+ * @param {string} endpoint - The templated endpoint.
+ *
+ * @returns {RegExp} - The regular expression.
+ */
+const _endpointToRegExp = (endpoint) => {
+    const pattern = _normalizePathname(endpoint)
+        .split(/({[^}]+})/)
+        .map(part => (/^{[^}]+}$/.test(part) ? '[^/]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+        .join('')
+
+    return new RegExp(`^${pattern}$`)
+}
+
+/**
+ * Counts the segments of an endpoint that are not templated (E.g.: '/pet/{petId}/uploadImage' => 2).
+ * @private
+ *
+ * @param {string} endpoint - The endpoint.
+ *
+ * @returns {integer} - The number of concrete segments.
+ */
+const _countConcreteSegments = (endpoint) => {
+    return endpoint.split('/').filter(segment => segment !== '' && !segment.includes('{')).length
+}
+
+/**
+ * Finds the JSON media type in an OpenAPI `content` object: 'application/json' if present, otherwise the first JSON-like media type
+ * (E.g.: 'application/problem+json'), otherwise the first media type declared.
+ * @private
+ *
+ * @param {object} content - The OpenAPI content object, keyed by media type.
+ *
+ * @returns {string|undefined} - The media type found, or undefined if there is no content.
+ */
+const _findJsonMediaType = (content) => {
+    const mediaTypes = Object.keys(content || {})
+
+    if (mediaTypes.includes('application/json')) {
+        return 'application/json'
+    }
+    return mediaTypes.find(mediaType => /[/+]json\b/i.test(mediaType)) || mediaTypes[0]
+}
+
+
+module.exports = {
+    isSpecificationDoc,
+    getOperation,
+    getOperationMethods,
+    getDocumentTitle,
+    getDocumentId,
+    normalizeFile,
+    getOperationsInventory,
+    findEndpoint,
+    getRequestBodySchema,
+    findResponseKey,
+    getResponseDefinition,
+    findMediaType,
+    isJsonMediaType,
+    getResponseHeadersSchema,
+    coerceHeaderValues,
+    buildSchema,
+    resolveRef,
+    hashContent
+}
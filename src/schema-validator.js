@@ -0,0 +1,846 @@
+/**
+ * Schema validation engine, based on the Ajv JSON Schema Validator (as core-ajv-schema-validator), that caches the compiled validators:
+ * each schema, or each operation of a Swagger or OpenAPI document, is compiled only once.
+ * Written as plain CommonJS without Cypress globals, so it can be used both from the browser and from Node.
+ */
+
+const Ajv = require('ajv')
+const addFormats = require('ajv-formats')
+const _ = require('lodash')
+
+const { isSpecificationDoc, getResponseDefinition, findMediaType, buildSchema, resolveRef, hashContent } = require('./schema-utils.js')
+
+
+// ------------------------------------
+// MESSAGES & ICONS
+// ------------------------------------
+
+const issuesStylesDefault = {
+    iconPropertyError: '⚠️',
+    iconPropertyMissing: '❌',
+    iconPropertyUndocumented: '❔'
+}
+
+const errorInvalidSchema = `You must provide a valid schema!`
+const errorInvalidSchemaParameters = `You must provide valid schema parameters (missing 'endpoint', 'method' or 'status' params)!`
+const errorInvalidKeywordDefinition = 'Custom keywords must be provided as a keyword name or an Ajv keyword definition with a "keyword" property!'
+
+// Default options of the Ajv instance: show all validation errors and disable strict mode
+const ajvOptionsDefault = { allErrors: true, strict: false }
+
+// Keywords of Swagger and OpenAPI documents that are not JSON schema keywords, declared so they are accepted when the Ajv strict mode is enabled
+const specificationKeywords = ['components', 'discriminator', 'example', 'externalDocs', 'xml']
+
+// Keyword of the errors for the properties not documented in the schema (strict mode)
+const keywordUndocumented = 'undocumentedProperty'
+
+// Keywords that combine subschemas applying to the same data
+const compositionKeywords = ['allOf', 'anyOf', 'oneOf']
+
+// Keywords of the polymorphic schemas, whose errors are explained with the variant the data was intended to match
+const variantKeywords = ['anyOf', 'oneOf']
+
+// Keywords of the root schema with the schemas referenced, kept when a variant is validated on its own
+const definitionsKeywords = ['definitions', '$defs', 'components']
+
+// Ajv options that modify the validated data, in which case a copy of the data is validated
+const dataModifyingOptions = ['coerceTypes', 'useDefaults', 'removeAdditional']
+
+
+// ------------------------------------
+// STATE
+// ------------------------------------
+
+/**
+ * Configuration of the validation engine: Ajv options, custom formats and custom keywords.
+ * @private
+ *
+ * @type {object}
+ */
+const configuration = { ajvOptions: {}, formats: {}, keywords: [] }
+
+/**
+ * The Ajv instance, created with the current configuration (the first time it is needed).
+ * @private
+ *
+ * @type {Ajv|null}
+ */
+let ajv = null
+
+/**
+ * Compiled validators, keyed by '<schema id>|<key of the schema in the document>'.
+ * @private
+ *
+ * @type {Map<string, Function>}
+ */
+const compiledValidators = new Map()
+
+/**
+ * Ids of the schemas (and documents) already validated, keyed by the schema object.
+ * @private
+ *
+ * @type {WeakMap<object, integer>}
+ */
+const schemaIds = new WeakMap()
+
+/**
+ * Ids of the schemas (and documents) already validated, keyed by their `$id`, or otherwise by a hash of their JSON content,
+ * so equal schemas provided as different objects (E.g.: loaded with `cy.fixture()` in every test) share the compiled validators.
+ * Only the hash is kept, not the content.
+ * @private
+ *
+ * @type {Map<string, integer>}
+ */
+const schemaIdsByContent = new Map()
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Configures the Ajv instance used by every validation: Ajv options, custom formats and custom keywords.
+ * It is usually called in the support file, and each call adds to the previous configuration.
+ * The validators already compiled are discarded, so the new configuration applies to every following validation.
+ * @public
+ *
+ * @param {object} [config] - The configuration.
+ * @param {object} [config.ajvOptions] - Ajv options (see https://ajv.js.org/options.html), merged with the default ones (`allErrors: true` and `strict: false`).
+ *   Options that modify the data (`coerceTypes`, `useDefaults` and `removeAdditional`) are applied to a copy of the data, never to the response itself.
+ * @param {object} [config.formats] - Custom formats, keyed by format name. Each format can be a RegExp, a function or an Ajv format definition.
+ * @param {Array<string|object>} [config.keywords] - Custom keywords: keyword names (E.g.: vendor extensions like 'x-nullable' to be ignored in strict mode)
+ *   or Ajv keyword definitions (see https://ajv.js.org/keywords.html).
+ * @throws {Error} - If a custom keyword is not valid, or Ajv rejects the configuration.
+ *
+ * @example
+ * configureSchemaValidator({
+ *   ajvOptions: { strict: true },
+ *   formats: { ulid: /^[0-9A-HJKMNP-TV-Z]{26}$/ },
+ *   keywords: ['x-nullable', { keyword: 'even', type: 'number', validate: (schema, data) => !schema || data % 2 === 0 }]
+ * })
+ */
+const configureSchemaValidator = ({ ajvOptions = {}, formats = {}, keywords = [] } = {}) => {
+    keywords.forEach(keyword => {
+        if (typeof keyword !== 'string' && (keyword == null || typeof keyword.keyword !== 'string')) {
+            console.log(errorInvalidKeywordDefinition)
+            throw new Error(errorInvalidKeywordDefinition)
+        }
+    })
+
+    const newConfiguration = {
+        ajvOptions: { ...configuration.ajvOptions, ...ajvOptions },
+        formats: { ...configuration.formats, ...formats },
+        keywords: [...configuration.keywords, ...keywords]
+    }
+
+    // Created before changing the configuration, so an invalid configuration is not kept
+    ajv = _createAjv(newConfiguration)
+    Object.assign(configuration, newConfiguration)
+
+    compiledValidators.clear()
+}
+
+/**
+ * Validates the given data against the provided schema.
+ * The validator is compiled the first time a schema (or an operation of a Swagger or OpenAPI document) is validated, and reused afterwards.
+ * Schemas are expected not to be modified once validated.
+ * @public
+ *
+ * @param {any} data - The data to be validated.
+ * @param {object} schema - The schema to validate against. Supported formats are plain JSON schema, Swagger, and OpenAPI documents. See https://ajv.js.org/json-schema.html for more information.
+ * @param {object} [path] - The path object to the schema definition in a Swagger or OpenAPI document. Not required if the schema is a plain JSON schema.
+ * @param {string} [path.endpoint] - The endpoint path. Required if the schema is a Swagger or OpenAPI document.
+ * @param {string} [path.method] - The HTTP method. If not provided, it will use 'GET'.
+ * @param {integer} [path.status] - The response status code. If not provided, it will use 200.
+ * @param {object} [issuesStyles] - An object with the icons used to flag the issues (`iconPropertyError`, `iconPropertyMissing` and `iconPropertyUndocumented`).
+ * @param {object} [options] - Validation options.
+ * @param {boolean} [options.strict=false] - If true, every property of the data not declared in the schema is an error (keyword 'undocumentedProperty'),
+ *   even when the schema does not set `additionalProperties: false`. Objects declared without `properties` (free-form objects) are not checked.
+ * @param {string[]} [options.allowUndocumented] - Paths of the data skipped in strict mode, in dot notation where `*` matches any property
+ *   or array index (E.g.: 'meta' or 'items.*.debug'). The whole data under a path is skipped.
+ * @param {string} [options.mediaType] - The media type entry of the response content in an OpenAPI document (E.g.: 'application/problem+json').
+ *   If not provided, the JSON media type is taken ('application/json', or the first JSON-like media type declared).
+ *
+ * @returns {object} - An object containing:
+ *   - errors: An array of validation errors as provided by Ajv, or null if the data is valid against the schema.
+ *   - dataMismatches: The original data with all schema mismatches flagged directly.
+ *   - issuesStyles: The icons used to flag the issues.
+ * @throws {Error} - If any of the required parameters are missing or if the schema or schema definition is not found.
+ */
+const validateSchema = (data, schema, path, issuesStyles = {}, options = {}) => {
+
+    if (schema == null) {
+        console.log(errorInvalidSchema)
+        throw new Error(errorInvalidSchema)
+    }
+
+    let validate
+
+    if (path != null) {
+        // The defaults are set in a copy, so the path provided is not modified
+        path = { ...path, method: path.method || 'GET', status: path.status || 200 }
+
+        // For a Swagger or OpenAPI document, the schema definition of the response is extracted from the document,
+        // otherwise the provided schema is a valid schema object (JSON schema) and can be used as is
+        if (isSpecificationDoc(schema)) {
+            const key = `response:${path.endpoint}:${String(path.method).toLowerCase()}:${path.status}:${options.mediaType || ''}`
+            validate = _getCompiledValidator(schema, key, () => _getSchemaFromSpecificationDoc(schema, path, options.mediaType))
+        }
+    }
+
+    validate = validate || _getCompiledValidator(schema, 'schema', () => schema)
+
+    return _validateData(validate, data, { ...issuesStylesDefault, ...issuesStyles }, options)
+}
+
+/**
+ * Validates the given data against a schema derived from a document (E.g.: the request body schema of an operation),
+ * that is built and compiled only the first time it is used for that document.
+ * @public
+ *
+ * @param {any} data - The data to be validated.
+ * @param {object} document - The document the schema is derived from.
+ * @param {string} key - The key that identifies the derived schema in the document (E.g.: 'request:/users:post').
+ * @param {Function} buildSchema - The function that builds the derived schema from the document.
+ * @param {object} [issuesStyles] - An object with the icons used to flag the issues (`iconPropertyError`, `iconPropertyMissing` and `iconPropertyUndocumented`).
+ *
+ * @returns {object} - The validation result, as returned by `validateSchema()`.
+ * @throws {Error} - If the derived schema cannot be built.
+ */
+const validateDerivedSchema = (data, document, key, buildSchema, issuesStyles = {}) => {
+    const validate = _getCompiledValidator(document, key, buildSchema)
+
+    return _validateData(validate, data, { ...issuesStylesDefault, ...issuesStyles })
+}
+
+/**
+ * Flags the mismatches of the given schema errors in a copy of the data validated.
+ * @public
+ *
+ * @param {any} data - The data validated.
+ * @param {object[]} errors - The schema errors, as provided by Ajv.
+ * @param {object} [issuesStyles] - An object with the icons used to flag the issues (`iconPropertyError`, `iconPropertyMissing` and `iconPropertyUndocumented`).
+ *
+ * @returns {any} - A copy of the data with the mismatches flagged.
+ */
+const flagMismatches = (data, errors, issuesStyles = {}) => {
+    // Create a copy of the data validated to show the mismatches
+    const dataMismatches = _.cloneDeep(data)
+
+    errors.forEach(error => {
+        const { instancePath, errorDescription } = _describeMismatch(data, error, { ...issuesStylesDefault, ...issuesStyles })
+        const flagged = _.get(dataMismatches, instancePath)
+
+        // The variant chosen for a polymorphic value is added to the mismatch of the variant, instead of replacing it
+        const isVariantMismatch = _isExplainedVariantError(error) && typeof flagged === 'string' && flagged !== _.get(data, instancePath)
+        _.set(dataMismatches, instancePath, isVariantMismatch ? `${flagged} - ${error.message}` : errorDescription)
+    })
+
+    return dataMismatches
+}
+
+/**
+ * Flags the mismatches of the given schema errors in a new object with only the paths of the data that have a mismatch, instead of in a copy
+ * of the whole data (E.g.: for large payloads validated in the Node process, where only the first mismatches are shown).
+ * Array indices are kept as properties of plain objects (E.g.: { items: { 3: { name: "⚠️ 123 must be string" } } }).
+ * @public
+ *
+ * @param {any} data - The data validated.
+ * @param {object[]} errors - The schema errors, as provided by Ajv.
+ * @param {object} [issuesStyles] - An object with the icons used to flag the issues (`iconPropertyError`, `iconPropertyMissing` and `iconPropertyUndocumented`).
+ *
+ * @returns {object} - The mismatches flagged, at their path in the data.
+ */
+const summarizeMismatches = (data, errors, issuesStyles = {}) => {
+    const mismatches = {}
+
+    errors.forEach(error => {
+        const { instancePath, errorDescription } = _describeMismatch(data, error, { ...issuesStylesDefault, ...issuesStyles })
+        const flagged = _.get(mismatches, instancePath)
+
+        _.setWith(mismatches, instancePath, _isExplainedVariantError(error) && typeof flagged === 'string' ? `${flagged} - ${error.message}` : errorDescription, Object)
+    })
+
+    return mismatches
+}
+
+
+// ------------------------------------
+// PRIVATE FUNCTIONS
+// ------------------------------------
+
+/**
+ * Creates an Ajv instance with the given configuration.
+ * @private
+ *
+ * @param {object} config - The configuration: `ajvOptions`, `formats` and `keywords`.
+ *
+ * @returns {Ajv} - The Ajv instance.
+ */
+const _createAjv = ({ ajvOptions, formats, keywords }) => {
+    const instance = new Ajv({ ...ajvOptionsDefault, ...ajvOptions })
+
+    // Extend Ajv supported formats (E.g.: uuid, email, etc.)
+    addFormats(instance)
+
+    Object.entries(formats).forEach(([name, format]) => instance.addFormat(name, format))
+    keywords.forEach(keyword => instance.addKeyword(keyword))
+
+    specificationKeywords
+        .filter(keyword => !instance.getKeyword(keyword))
+        .forEach(keyword => instance.addKeyword(keyword))
+
+    return instance
+}
+
+/**
+ * Gets the compiled validator for a schema of a document, compiling it the first time.
+ * @private
+ *
+ * @param {object} document - The document (or plain JSON schema).
+ * @param {string} key - The key that identifies the schema in the document.
+ * @param {Function} buildSchema - The function that builds the schema to compile.
+ *
+ * @returns {Function} - The compiled validator.
+ */
+const _getCompiledValidator = (document, key, buildSchema) => {
+    const cacheKey = `${_getSchemaId(document)}|${key}`
+
+    let validate = compiledValidators.get(cacheKey)
+    if (validate === undefined) {
+        ajv = ajv || _createAjv(configuration)
+        validate = ajv.compile(buildSchema())
+        compiledValidators.set(cacheKey, validate)
+    }
+
+    return validate
+}
+
+/**
+ * Gets the id of a schema (or document). Schemas with the same `$id`, or with the same content, get the same id.
+ * The content of each schema object is only hashed the first time it is validated.
+ * @private
+ *
+ * @param {object} schema - The schema.
+ *
+ * @returns {integer} - The id of the schema.
+ */
+const _getSchemaId = (schema) => {
+    let id = schemaIds.get(schema)
+
+    if (id === undefined) {
+        const contentKey = typeof schema.$id === 'string' ? `$id:${schema.$id}` : `hash:${hashContent(JSON.stringify(schema))}`
+
+        id = schemaIdsByContent.get(contentKey)
+        if (id === undefined) {
+            id = schemaIdsByContent.size + 1
+            schemaIdsByContent.set(contentKey, id)
+        }
+        schemaIds.set(schema, id)
+    }
+
+    return id
+}
+
+/**
+ * Retrieves the schema definition for a given endpoint, method, and status from a Swagger or OpenAPI document.
+ * The response definition is the one documented for the exact status, the status range (E.g.: '4XX') or 'default', in that order.
+ * @private
+ *
+ * @param {object} schema - The Swagger or OpenAPI document.
+ * @param {object} path - The path object to the schema definition in a Swagger or OpenAPI document.
+ * @param {string} path.endpoint - The endpoint path.
+ * @param {string} path.method - The HTTP method.
+ * @param {integer} path.status - The response status code.
+ * @param {string} [mediaType] - The media type entry of the response content (OpenAPI only). If not provided, the JSON media type is taken.
+ *
+ * @returns {object} - The merged schema definition with the components definitions.
+ * @throws {Error} - If any of the required parameters are missing or if the schema or schema definition is not found.
+ */
+const _getSchemaFromSpecificationDoc = (schema, { endpoint, method, status }, mediaType) => {
+
+    if (endpoint == null || method == null || status == null) {
+        console.log(errorInvalidSchemaParameters)
+        throw new Error(errorInvalidSchemaParameters)
+    }
+
+    // Get the response definition for the given endpoint, method and status
+    const responseDef = getResponseDefinition(schema, { endpoint, method, status })
+
+    // Property path of the schema definition in the response definition of the Swagger or OpenAPI document
+    const schemaProperty = schema.swagger
+        ? ['schema']
+        : ['content', mediaType || findMediaType(responseDef.content), 'schema']
+
+    // Get the schema definition for the given endpoint, method and status
+    const schemaDef = _.get(responseDef, schemaProperty)
+    if (schemaDef === undefined) {
+        throw new Error(`No schema definition found for path 'paths.${endpoint}.${method.toLowerCase()}.responses.${status}.${schemaProperty.join('.')}'!`)
+    }
+
+    // Merge the schema definition with the components (OpenAPI) or definitions (Swagger) as needed by AJV when there are $ref in the schema
+    return buildSchema(schema, schemaDef)
+}
+
+/**
+ * Validates data with a compiled validator, and flags the schema mismatches in a copy of the data.
+ * @private
+ *
+ * @param {Function} validate - The compiled validator.
+ * @param {any} data - The data to be validated.
+ * @param {object} issuesStyles - An object with the icons used to flag the issues. Contains: iconPropertyError, iconPropertyMissing, iconPropertyUndocumented.
+ * @param {object} [options] - Validation options: `strict` and `allowUndocumented` (see `validateSchema()`).
+ *
+ * @returns {object} - An object containing `errors` (or null if valid), `dataMismatches` and `issuesStyles`.
+ */
+const _validateData = (validate, data, issuesStyles, { strict = false, allowUndocumented = [] } = {}) => {
+    // Options like 'coerceTypes' modify the validated data, so the original data is kept as it is
+    const dataValidated = dataModifyingOptions.some(option => configuration.ajvOptions[option]) ? _.cloneDeep(data) : data
+
+    validate(dataValidated)
+    let errors = validate.errors && _explainVariantErrors(validate.errors, dataValidated, validate.schema)
+
+    if (strict) {
+        // Properties not declared in the schema, even if the schema allows them
+        const undocumentedErrors = _findUndocumentedProperties(data, [validate.schema], validate.schema, [], allowUndocumented.map(allowed => allowed.split('.')))
+
+        if (undocumentedErrors.length > 0) {
+            errors = [...(errors || []), ...undocumentedErrors]
+        }
+    }
+
+    if (errors) {
+        // Custom keywords may raise errors without message
+        errors.forEach(error => {
+            error.message = error.message || `must pass "${error.keyword}" keyword validation`
+        })
+    }
+
+    const dataMismatches = flagMismatches(data, errors || [], issuesStyles)
+
+    return { errors, dataMismatches, issuesStyles }
+}
+
+/**
+ * Explains the errors of the polymorphic schemas (`oneOf` and `anyOf`): Ajv reports the errors of every variant plus a generic error,
+ * so only the errors of the variant the data was intended to match are kept, and the generic error states which variant was chosen and why:
+ * - The variant mapped to the value of the OpenAPI `discriminator` property of the data.
+ * - Otherwise, the closest variant: the one matching the type of the data, with the fewest errors.
+ * The errors of the variants are the ones reported by Ajv right before the generic error, in the order of the variants,
+ * so each variant is validated on its own to know how many of them are its own. If they do not add up, the errors are kept as they are.
+ * @private
+ *
+ * @param {object[]} errors - The schema errors, as provided by Ajv.
+ * @param {any} data - The data validated.
+ * @param {object} rootSchema - The schema validated against, to find the variants and resolve their references.
+ *
+ * @returns {object[]} - The schema errors explained.
+ */
+const _explainVariantErrors = (errors, data, rootSchema) => {
+    const explained = []
+    let end = errors.length
+
+    // From the last error, since the generic error of a polymorphic schema comes after the errors of its variants
+    while (end > 0) {
+        const error = errors[end - 1]
+        const polymorphicSchema = variantKeywords.includes(error.keyword) ? _findPolymorphicSchema(error, rootSchema) : null
+        const variants = polymorphicSchema ? _getVariantsErrors(errors.slice(0, end - 1), error, polymorphicSchema, data, rootSchema) : null
+
+        if (variants == null) {
+            explained.unshift(error)
+            end--
+            continue
+        }
+
+        const { variantErrors, variant, explanation } = _chooseVariant(variants, error, polymorphicSchema, data, rootSchema)
+
+        explained.unshift(..._explainVariantErrors(variantErrors, data, rootSchema), {
+            ...error,
+            message: `${error.message}: ${explanation}`,
+            params: { ...error.params, ...variant }
+        })
+        end -= 1 + variants.reduce((total, { errors }) => total + errors.length, 0)
+    }
+
+    return explained
+}
+
+/**
+ * Finds the polymorphic schema of a 'oneOf' or 'anyOf' error. The schema path of the error is relative to the root schema,
+ * or to the referenced schema when Ajv compiles the reference on its own (E.g.: '#/oneOf' for '#/components/schemas/Pet'),
+ * in which case the schema is searched among the schemas that apply to the data along the instance path.
+ * @private
+ *
+ * @param {object} error - The generic error of the polymorphic schema.
+ * @param {object} rootSchema - The schema validated against.
+ *
+ * @returns {object|null} - The schema containing the 'oneOf' or 'anyOf' keyword, or null if not found.
+ */
+const _findPolymorphicSchema = (error, rootSchema) => {
+    const parentPointer = error.schemaPath.replace(/\/[^/]*$/, '')
+    const hasVariants = (schema) => schema != null && Array.isArray(_getByPointer(schema, error.schemaPath))
+
+    if (hasVariants(rootSchema)) {
+        return _getByPointer(rootSchema, parentPointer)
+    }
+
+    const candidate = _getSchemasAlong(rootSchema, error.instancePath).find(hasVariants)
+    return candidate ? _getByPointer(candidate, parentPointer) : null
+}
+
+/**
+ * Gets the schemas that apply to the data along an instance path (from the deepest to the root data), following the properties, items,
+ * references and composition keywords.
+ * @private
+ *
+ * @param {object} rootSchema - The schema validated against.
+ * @param {string} instancePath - The JSON pointer of the data.
+ *
+ * @returns {object[]} - The schemas.
+ */
+const _getSchemasAlong = (rootSchema, instancePath) => {
+    const expand = (schemas, visited = new Set()) => schemas
+        .map(schema => resolveRef(rootSchema, schema))
+        .filter(schema => _.isPlainObject(schema) && !visited.has(schema) && visited.add(schema))
+        .flatMap(schema => [schema, ...expand(compositionKeywords.flatMap(keyword => schema[keyword] || []), visited)])
+
+    const segments = instancePath.split('/').slice(1).map(segment => segment.replaceAll('~1', '/').replaceAll('~0', '~'))
+
+    const schemasAlong = [expand([rootSchema])]
+
+    segments.forEach(segment => {
+        schemasAlong.unshift(expand(schemasAlong[0].flatMap(schema => [
+            schema.properties && schema.properties[segment],
+            _.isPlainObject(schema.additionalProperties) ? schema.additionalProperties : null,
+            Array.isArray(schema.items) ? schema.items[segment] : schema.items
+        ].filter(nestedSchema => nestedSchema != null))))
+    })
+
+    return schemasAlong.flat()
+}
+
+/**
+ * Gets the errors of each variant of a polymorphic schema that the data did not match, validating each variant on its own.
+ * @private
+ *
+ * @param {object[]} previousErrors - The errors reported by Ajv before the generic error of the polymorphic schema.
+ * @param {object} error - The generic error of the polymorphic schema ('oneOf' or 'anyOf').
+ * @param {object} polymorphicSchema - The schema containing the variants.
+ * @param {any} data - The data validated.
+ * @param {object} rootSchema - The schema validated against.
+ *
+ * @returns {object[]|null} - The variants, each containing `index`, `schema`, `name` and `errors`, or null if the errors cannot be explained.
+ */
+const _getVariantsErrors = (previousErrors, error, polymorphicSchema, data, rootSchema) => {
+    const variantSchemas = polymorphicSchema[error.keyword]
+    const value = _getByPointer(data, error.instancePath)
+
+    if (!Array.isArray(variantSchemas) || (error.instancePath !== '' && value === undefined)) {
+        return null
+    }
+
+    try {
+        const definitions = _.pick(rootSchema, definitionsKeywords)
+        let start = previousErrors.length
+
+        const variants = variantSchemas.map((variantSchema, index) => {
+            const validateVariant = _getCompiledValidator(rootSchema, `variant:${_getSchemaId(variantSchema)}`, () => ({ ...definitions, ...variantSchema }))
+            validateVariant(value)
+
+            return { index, schema: variantSchema, name: _getVariantName(variantSchema, error.keyword, index, rootSchema), count: (validateVariant.errors || []).length, keywords: (validateVariant.errors || []).map(({ keyword }) => keyword) }
+        })
+
+        // The errors of the variants are right before the generic error, in the order of the variants
+        for (let i = variants.length - 1; i >= 0; i--) {
+            start -= variants[i].count
+        }
+        if (start < 0) {
+            return null
+        }
+
+        return variants.map(({ index, schema, name, count, keywords }) => {
+            const errors = previousErrors.slice(start, start + count)
+            start += count
+
+            const matches = errors.every((variantError, i) => variantError.keyword === keywords[i] && variantError.instancePath.startsWith(error.instancePath))
+            return matches ? { index, schema, name, errors } : null
+        }).reduce((all, variant) => (all && variant ? [...all, variant] : null), [])
+    } catch (err) {
+        // Variants that cannot be validated on their own (E.g.: references to other parts of a plain JSON schema)
+        return null
+    }
+}
+
+/**
+ * Chooses the variant of a polymorphic schema that the data was intended to match: the one mapped to the value of the `discriminator` property,
+ * or otherwise the closest one (matching the type of the data, with the fewest errors). When the data matches several variants of a `oneOf`,
+ * no variant is chosen.
+ * @private
+ *
+ * @param {object[]} variants - The variants, with their errors.
+ * @param {object} error - The generic error of the polymorphic schema.
+ * @param {object} polymorphicSchema - The schema containing the variants (and the discriminator).
+ * @param {any} data - The data validated.
+ * @param {object} rootSchema - The schema validated against.
+ *
+ * @returns {object} - An object containing `variantErrors` (the errors kept), `variant` (the params added to the generic error: `variant`,
+ *   `variantIndex` and `reason`) and `explanation`.
+ */
+const _chooseVariant = (variants, error, polymorphicSchema, data, rootSchema) => {
+    const passingSchemas = error.params && error.params.passingSchemas
+
+    if (Array.isArray(passingSchemas)) {
+        const names = passingSchemas.map(index => `'${_getVariantName(polymorphicSchema[error.keyword][index], error.keyword, index, rootSchema)}'`)
+
+        return {
+            variantErrors: [],
+            variant: { reason: 'multipleMatches' },
+            explanation: `it matches the variants ${names.join(' and ')}`
+        }
+    }
+
+    const value = _getByPointer(data, error.instancePath)
+    const discriminator = polymorphicSchema.discriminator
+    const propertyName = discriminator && (typeof discriminator === 'string' ? discriminator : discriminator.propertyName)
+
+    let discriminatorIssue = ''
+
+    if (propertyName && _.isPlainObject(value)) {
+        const discriminatorValue = value[propertyName]
+        const mappedRef = discriminator.mapping && discriminator.mapping[discriminatorValue]
+
+        const chosen = discriminatorValue === undefined ? undefined : variants.find(({ schema }) => {
+            return schema.$ref != null && (mappedRef ? schema.$ref === mappedRef : schema.$ref.split('/').pop() === String(discriminatorValue))
+        })
+
+        if (chosen) {
+            return {
+                variantErrors: chosen.errors,
+                variant: { variant: chosen.name, variantIndex: chosen.index, reason: 'discriminator' },
+                explanation: `variant '${chosen.name}', chosen by the discriminator '${propertyName}' = ${JSON.stringify(discriminatorValue)}`
+            }
+        }
+
+        discriminatorIssue = discriminatorValue === undefined
+            ? `, since the discriminator '${propertyName}' is missing`
+            : `, since the discriminator '${propertyName}' = ${JSON.stringify(discriminatorValue)} matches no variant`
+    }
+
+    // The closest variant: the ones whose type the data matches first, then the one with the fewest errors
+    const typeMismatch = ({ errors }) => errors.some(variantError => variantError.keyword === 'type' && variantError.instancePath === error.instancePath)
+    const [closest, ...others] = [...variants].sort((a, b) => (typeMismatch(a) - typeMismatch(b)) || (a.errors.length - b.errors.length) || (a.index - b.index))
+    const othersErrors = others.map(({ errors }) => errors.length).sort((a, b) => a - b)
+
+    return {
+        variantErrors: closest.errors,
+        variant: { variant: closest.name, variantIndex: closest.index, reason: 'closest' },
+        explanation: `variant '${closest.name}', the closest one with ${closest.errors.length} schema error${closest.errors.length === 1 ? '' : 's'}` +
+            (othersErrors.length ? ` (the other variants have ${othersErrors.join(', ')})` : '') + discriminatorIssue
+    }
+}
+
+/**
+ * Checks if a schema error is the generic error of a polymorphic schema, explained with the variant chosen.
+ * @private
+ *
+ * @param {object} error - The schema error.
+ *
+ * @returns {boolean} - True if the error is explained.
+ */
+const _isExplainedVariantError = (error) => {
+    return variantKeywords.includes(error.keyword) && error.params != null && error.params.reason != null
+}
+
+/**
+ * Gets the name of a variant of a polymorphic schema: the name of the schema it references, its title, its type, or its position.
+ * @private
+ *
+ * @param {object} variantSchema - The schema of the variant.
+ * @param {string} keyword - The keyword of the polymorphic schema ('oneOf' or 'anyOf').
+ * @param {integer} index - The position of the variant.
+ * @param {object} rootSchema - The schema validated against, to resolve the references.
+ *
+ * @returns {string} - The name of the variant (E.g.: 'Dog', 'oneOf/2 (string)' or 'oneOf/2').
+ */
+const _getVariantName = (variantSchema, keyword, index, rootSchema) => {
+    if (variantSchema != null && typeof variantSchema.$ref === 'string') {
+        return decodeURIComponent(variantSchema.$ref.split('/').pop())
+    }
+
+    const schema = resolveRef(rootSchema, variantSchema) || {}
+    return schema.title || (typeof schema.type === 'string' ? `${keyword}/${index} (${schema.type})` : `${keyword}/${index}`)
+}
+
+/**
+ * Gets the value at a JSON pointer, or at the fragment of a schema path (E.g.: '/pets/0/name' or '#/properties/pet/oneOf').
+ * @private
+ *
+ * @param {any} obj - The data or schema.
+ * @param {string} pointer - The JSON pointer.
+ *
+ * @returns {any} - The value, or undefined if not found.
+ */
+const _getByPointer = (obj, pointer) => {
+    const path = pointer.replace(/^#/, '').split('/').slice(1).map(segment => decodeURIComponent(segment).replaceAll('~1', '/').replaceAll('~0', '~'))
+    return path.length ? _.get(obj, path) : obj
+}
+
+/**
+ * Describes the mismatch of a schema error, flagged with its icon, and gets its path in the data (including the property missing or undocumented).
+ * @private
+ *
+ * @param {any} data - The data validated.
+ * @param {object} error - The schema error, as provided by Ajv.
+ * @param {object} issuesStyles - An object with the icons used to flag the issues. Contains: iconPropertyError, iconPropertyMissing, iconPropertyUndocumented.
+ *
+ * @returns {object} - An object containing `instancePath` (in dot notation) and `errorDescription`.
+ */
+const _describeMismatch = (data, error, { iconPropertyError, iconPropertyMissing, iconPropertyUndocumented }) => {
+    const instancePathArray = error.instancePath.replace(/^\//, '').split('/') // Remove the first '/' from the instance path "/0/name" => "0/name"
+    let instancePath = instancePathArray.join('.')
+
+    let errorDescription
+    const value = _.get(data, instancePath)
+
+    if (_isExplainedVariantError(error) && _.isPlainObject(instancePath === '' ? data : value)) {
+        // The variant chosen for a polymorphic object is explained in a property of its own, so the mismatches of the object are still shown
+        const explanationProperty = `${iconPropertyError} ${error.keyword}`
+        instancePath = (instancePath === "") ? explanationProperty : `${instancePath}.${explanationProperty}`
+
+        errorDescription = `${iconPropertyError} ${error.message}`
+    } else if (error.keyword === 'required') {
+        const missingProperty = error.params.missingProperty
+        instancePath = (instancePath === "") ? missingProperty : `${instancePath}.${missingProperty}`
+
+        errorDescription = `${iconPropertyMissing} Missing property '${missingProperty}'`
+    } else if (error.keyword === keywordUndocumented) {
+        const undocumentedProperty = error.params.undocumentedProperty
+        instancePath = (instancePath === "") ? undocumentedProperty : `${instancePath}.${undocumentedProperty}`
+
+        errorDescription = `${iconPropertyUndocumented} Undocumented property '${undocumentedProperty}'`
+    } else {
+        const message = error.message
+        errorDescription = `${iconPropertyError} ${String(JSON.stringify(value)).replaceAll("\"", "'")} ${message}` // We also use String() to handle the case of undefined values
+    }
+
+    return { instancePath, errorDescription }
+}
+
+/**
+ * Finds recursively the properties of the data that are not declared in the schemas that apply to it (strict mode).
+ * Properties declared in any subschema of `allOf`, `anyOf` or `oneOf` are considered declared.
+ * @private
+ *
+ * @param {any} data - The data.
+ * @param {object[]} schemas - The schemas that apply to the data.
+ * @param {object} rootSchema - The root schema, to resolve local $ref.
+ * @param {string[]} dataPath - The path of the data (property names and array indexes).
+ * @param {Array<string[]>} allowedPaths - The paths skipped, split in segments.
+ *
+ * @returns {object[]} - Ajv-like errors (keyword 'undocumentedProperty') for the undocumented properties.
+ */
+const _findUndocumentedProperties = (data, schemas, rootSchema, dataPath, allowedPaths) => {
+    if (data === null || typeof data !== 'object' || _isAllowedPath(dataPath, allowedPaths)) {
+        return []
+    }
+
+    schemas = _.flatMap(schemas, schema => _flattenSchema(schema, rootSchema, []))
+
+    if (Array.isArray(data)) {
+        return _.flatMap(data, (item, index) => {
+            const itemSchemas = _.flatMap(schemas, schema => {
+                return Array.isArray(schema.items) ? (schema.items[index] || []) : (schema.items || [])
+            })
+            return _findUndocumentedProperties(item, itemSchemas, rootSchema, [...dataPath, String(index)], allowedPaths)
+        })
+    }
+
+    // Objects declared without properties (free-form objects) and objects with 'additionalProperties: true' are not checked
+    const declaresProperties = schemas.some(schema => schema.properties || schema.patternProperties)
+    const allowsAdditional = schemas.some(schema => schema.additionalProperties === true)
+
+    return _.flatMap(Object.keys(data), property => {
+        const propertySchemas = _.flatMap(schemas, schema => {
+            const patternSchemas = Object.entries(schema.patternProperties || {})
+                .filter(([pattern]) => new RegExp(pattern, 'u').test(property))
+                .map(([, patternSchema]) => patternSchema)
+            const declaredSchemas = (schema.properties && schema.properties[property] !== undefined) ? [schema.properties[property]] : []
+
+            return [...declaredSchemas, ...patternSchemas]
+        })
+
+        if (propertySchemas.length === 0) {
+            const additionalSchemas = schemas.map(schema => schema.additionalProperties).filter(additional => _.isPlainObject(additional))
+
+            if (additionalSchemas.length > 0) {
+                propertySchemas.push(...additionalSchemas)
+            } else if (declaresProperties && !allowsAdditional && !_isAllowedPath([...dataPath, property], allowedPaths)) {
+                return [{
+                    instancePath: dataPath.map(segment => `/${segment}`).join(''),
+                    schemaPath: '#/properties',
+                    keyword: keywordUndocumented,
+                    params: { undocumentedProperty: property },
+                    message: `must NOT have undocumented property '${property}'`
+                }]
+            }
+        }
+
+        return _findUndocumentedProperties(data[property], propertySchemas, rootSchema, [...dataPath, property], allowedPaths)
+    })
+}
+
+/**
+ * Flattens a schema into the list of schemas that apply to the same data: the schema itself, the schemas it references with a local $ref,
+ * and the subschemas of `allOf`, `anyOf` and `oneOf`.
+ * @private
+ *
+ * @param {object} schema - The schema.
+ * @param {object} rootSchema - The root schema, to resolve local $ref.
+ * @param {object[]} visited - The schemas already flattened, to guard against circular references.
+ *
+ * @returns {object[]} - The schemas.
+ */
+const _flattenSchema = (schema, rootSchema, visited) => {
+    if (!_.isPlainObject(schema) || visited.includes(schema)) {
+        return []
+    }
+    visited.push(schema)
+
+    const schemas = [schema]
+
+    if (typeof schema.$ref === 'string' && schema.$ref.startsWith('#')) {
+        const pointer = schema.$ref.slice(1).split('/').filter(segment => segment !== '')
+            .map(segment => decodeURIComponent(segment).replaceAll('~1', '/').replaceAll('~0', '~'))
+        schemas.push(..._flattenSchema(pointer.length ? _.get(rootSchema, pointer) : rootSchema, rootSchema, visited))
+    }
+
+    compositionKeywords.forEach(keyword => {
+        (schema[keyword] || []).forEach(subschema => schemas.push(..._flattenSchema(subschema, rootSchema, visited)))
+    })
+
+    return schemas
+}
+
+/**
+ * Checks if a path of the data is skipped in strict mode.
+ * @private
+ *
+ * @param {string[]} dataPath - The path of the data.
+ * @param {Array<string[]>} allowedPaths - The paths skipped, split in segments (`*` matches any segment).
+ *
+ * @returns {boolean} - `true` if the path is skipped.
+ */
+const _isAllowedPath = (dataPath, allowedPaths) => {
+    return allowedPaths.some(allowedPath => {
+        return allowedPath.length === dataPath.length && allowedPath.every((segment, i) => segment === '*' || segment === dataPath[i])
+    })
+}
+
+
+module.exports = {
+    configureSchemaValidator,
+    validateSchema,
+    validateDerivedSchema,
+    flagMismatches,
+    summarizeMismatches
+}
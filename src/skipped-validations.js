@@ -0,0 +1,156 @@
+/// <reference types="cypress" />
+
+import { isSpecificationDoc, getOperation } from './schema-utils.js'
+
+
+// ------------------------------------
+// MESSAGES
+// ------------------------------------
+
+const warningDisableSchemaValidation = `⚠️ API SCHEMA VALIDATION DISABLED ⚠️`
+const msgDisableSchemaValidation = '- The Cypress environment variable "disableSchemaValidation" has been set to true.'
+
+
+// ------------------------------------
+// STATE
+// ------------------------------------
+
+/**
+ * Reasons of the validations skipped already logged in the current test (each reason is logged once per test).
+ * @private
+ *
+ * @type {Set<string>}
+ */
+let loggedReasons = new Set()
+
+/**
+ * Validations skipped in the spec file. Each record contains: test, operation and reason.
+ * @private
+ *
+ * @type {object[]}
+ */
+let skippedValidations = []
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Gets why schema validation is disabled for the current test, from the Cypress environment variable "disableSchemaValidation":
+ * - `true`: Disabled for every test.
+ * - An object with `specs` (patterns of the spec files) and `testTags` (tags in the title of the test or of any of its suites, E.g.: '@no-schema').
+ * @public
+ *
+ * @returns {string|null} - The reason why schema validation is disabled, or null if it is enabled.
+ */
+export const getDisabledReason = () => {
+    const disabled = Cypress.env('disableSchemaValidation')
+
+    if (!disabled) {
+        return null
+    }
+    if (typeof disabled !== 'object') {
+        return msgDisableSchemaValidation
+    }
+
+    const spec = Cypress.spec.relative
+    const specPattern = (disabled.specs || []).find(pattern => Cypress.minimatch(spec, pattern, { matchBase: true }))
+    if (specPattern) {
+        return `- The spec file '${spec}' matches the pattern '${specPattern}' of "disableSchemaValidation.specs".`
+    }
+
+    // No current test in the 'before' and 'after' hooks
+    const titleWords = ((Cypress.currentTest && Cypress.currentTest.titlePath) || []).join(' ').split(/\s+/)
+    const testTag = (disabled.testTags || []).find(tag => titleWords.includes(tag))
+    if (testTag) {
+        return `- The test is tagged with '${testTag}' of "disableSchemaValidation.testTags".`
+    }
+
+    return null
+}
+
+/**
+ * Gets why schema validation is disabled for an operation of a Swagger or OpenAPI document, from the Cypress environment variable
+ * "disableSchemaValidation": an object with `endpoints` (glob patterns of the endpoints, E.g.: '/admin/**') and `tags` (tags of the operations).
+ * @public
+ *
+ * @param {object} schema - The schema to validate against. Only Swagger and OpenAPI documents are checked.
+ * @param {object} [path] - The path object to the operation in the document.
+ *
+ * @returns {string|null} - The reason why schema validation is disabled for the operation, or null if it is enabled.
+ */
+export const getOperationDisabledReason = (schema, path) => {
+    const disabled = Cypress.env('disableSchemaValidation')
+
+    if (disabled == null || typeof disabled !== 'object' || !isSpecificationDoc(schema) || path == null || path.endpoint == null) {
+        return null
+    }
+
+    const endpointPattern = (disabled.endpoints || []).find(pattern => Cypress.minimatch(path.endpoint, pattern))
+    if (endpointPattern) {
+        return `- The endpoint '${path.endpoint}' matches the pattern '${endpointPattern}' of "disableSchemaValidation.endpoints".`
+    }
+
+    if (disabled.tags && disabled.tags.length > 0) {
+        let operation
+        try {
+            operation = getOperation(schema, path).operation
+        } catch (error) {
+            // The operation not found is reported by the validation
+            return null
+        }
+
+        const tag = disabled.tags.find(tag => (operation.tags || []).includes(tag))
+        if (tag) {
+            return `- The operation is tagged with '${tag}' of "disableSchemaValidation.tags".`
+        }
+    }
+
+    return null
+}
+
+/**
+ * Skips a schema validation: shows the reason in the Cypress log and the console (once per test and reason),
+ * and records it for the summary of the validations skipped in the run.
+ * @public
+ *
+ * @param {string} reason - The reason why the validation is skipped.
+ * @param {string} [operation] - The operation whose validation is skipped (E.g.: 'GET /users/{id} (200)').
+ */
+export const skipValidation = (reason, operation) => {
+    skippedValidations.push({ test: (Cypress.currentTest && Cypress.currentTest.titlePath) || [], operation: operation || null, reason })
+
+    if (loggedReasons.has(reason)) {
+        return
+    }
+    loggedReasons.add(reason)
+
+    cy.colorLog(reason,
+        '#e0e030',
+        { displayName: warningDisableSchemaValidation, info: { reason, operation } }
+    )
+
+    console.log(`${warningDisableSchemaValidation} ${reason}`)
+}
+
+
+// ------------------------------------
+// GLOBAL HOOKS
+// ------------------------------------
+
+beforeEach(() => {
+    loggedReasons = new Set()
+})
+
+after(() => {
+    const skipped = skippedValidations
+    skippedValidations = []
+
+    if (skipped.length === 0 || !Cypress.env('schemaSkippedSummary')) {
+        return
+    }
+
+    // Send the validations skipped in the spec file to the Node plugin, that shows them in the run output
+    cy.task('schemaValidator:recordSkipped', { spec: Cypress.spec.relative, skipped }, { log: false })
+})
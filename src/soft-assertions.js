@@ -0,0 +1,88 @@
+/// <reference types="cypress" />
+
+import { runAtEndOfTest } from './test-end.js'
+
+// ------------------------------------
+// MESSAGES
+// ------------------------------------
+
+const errorSoftValidationFailures = 'Schema validation failed (soft mode) for'
+
+
+// ------------------------------------
+// STATE
+// ------------------------------------
+
+/**
+ * Schema validation failures collected in soft mode during the current test.
+ * Each failure contains: operation, label and errorsCount.
+ * @private
+ *
+ * @type {object[]}
+ */
+let softFailures = []
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Collects a schema validation failure in soft mode, so the test fails after its last command with a summary of all the failures.
+ * @public
+ *
+ * @param {object} failure - The schema validation failure.
+ * @param {string} failure.operation - The operation validated (E.g.: 'GET /users/{id} (200)').
+ * @param {string} failure.label - What was validated (E.g.: 'RESPONSE BODY').
+ * @param {integer} failure.errorsCount - The number of schema errors.
+ */
+export const addSoftFailure = (failure) => {
+    softFailures.push(failure)
+}
+
+
+// ------------------------------------
+// GLOBAL HOOKS
+// ------------------------------------
+
+beforeEach(() => {
+    softFailures = []
+})
+
+// The test fails after its last command with the summary of the failures, so the remaining tests still run
+runAtEndOfTest(() => {
+    if (softFailures.length === 0) {
+        return
+    }
+
+    const message = _getSummary()
+    softFailures = []
+
+    console.log(message)
+    throw new Error(message)
+})
+
+afterEach(() => {
+    // Failures collected after the test failed for other reason, or in hooks after the test, are only shown in the console
+    if (softFailures.length > 0) {
+        console.log(_getSummary())
+        softFailures = []
+    }
+})
+
+
+// ------------------------------------
+// PRIVATE FUNCTIONS
+// ------------------------------------
+
+/**
+ * Gets the summary of the failures collected in soft mode, with the operation, the validation and the number of schema errors of each one.
+ * @private
+ *
+ * @returns {string} - The summary of the failures.
+ */
+const _getSummary = () => {
+    const summary = softFailures.map(({ operation, label, errorsCount }) => `  - ${operation} - ${label}: ${errorsCount} schema errors`)
+
+    return `${errorSoftValidationFailures} ${softFailures.length} validations:\n${summary.join('\n')}`
+}
@@ -0,0 +1,61 @@
+/// <reference types="cypress" />
+
+// ------------------------------------
+// STATE
+// ------------------------------------
+
+/**
+ * Callbacks run at the end of each test, after its last command, in the order they were added.
+ * @private
+ *
+ * @type {Function[]}
+ */
+const endOfTestCallbacks = []
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Adds a callback run at the end of every test, queued after the last command of the test (instead of in an `afterEach` hook),
+ * so any error it throws, or any failing command it queues, fails the test itself and not the hook, which would skip the remaining tests.
+ * The callback is not run if the test has already failed.
+ * @public
+ *
+ * @param {Function} callback - The callback, that can queue Cypress commands.
+ */
+export const runAtEndOfTest = (callback) => {
+    endOfTestCallbacks.push(callback)
+}
+
+
+// ------------------------------------
+// GLOBAL HOOKS
+// ------------------------------------
+
+beforeEach(function () {
+    const test = this.currentTest
+    const testFn = test && test.fn
+
+    // Mocha reads the test function when it runs the test, after the 'beforeEach' hooks. The function is only wrapped once, since
+    // a retried test is a clone that keeps the function already wrapped (see the retries in tests-validation-mode-soft-pass.js)
+    if (typeof testFn !== 'function' || testFn.endOfTestWrapped) {
+        return
+    }
+
+    const wrappedFn = function (...args) {
+        const result = testFn.apply(this, args)
+
+        endOfTestCallbacks.forEach(callback => {
+            cy.then(() => {
+                callback()
+            })
+        })
+
+        return result
+    }
+    wrappedFn.endOfTestWrapped = true
+
+    test.fn = wrappedFn
+})
@@ -0,0 +1,142 @@
+/// <reference types="cypress" />
+
+import { isSpecificationDoc } from './schema-utils.js'
+
+
+// ------------------------------------
+// STATE
+// ------------------------------------
+
+/**
+ * Number of schema errors matched by each waiver in the spec file, keyed by waiver id.
+ * @private
+ *
+ * @type {object}
+ */
+let matchedWaivers = {}
+
+
+// ------------------------------------
+// PUBLIC FUNCTIONS
+// ------------------------------------
+
+/**
+ * Applies the waivers of known schema mismatches (Cypress environment variable "schemaWaivers", loaded by the Node plugin from the waivers file)
+ * to the schema errors of a validation. The errors matched by a waiver that has not expired are waived, and the errors matched by an expired
+ * waiver are kept (so the validation fails again).
+ * A waiver matches an error when all its properties provided match: `endpoint`, `method` and `status` of the operation validated,
+ * `instancePath` (a JSON pointer where `*` matches any property or array index) and `keyword`.
+ * @public
+ *
+ * @param {Array} errors - The schema errors, or null if the data is valid against the schema.
+ * @param {object} schema - The schema validated against (plain JSON schema, Swagger or OpenAPI document).
+ * @param {object} [path] - The path object to the operation in a Swagger or OpenAPI document.
+ *
+ * @returns {object} - An object containing `errors` (the errors not waived, or null if there are none), `waived` and `expired`
+ *   (the errors waived and the errors matched by an expired waiver, as `{ error, waiver }`).
+ */
+export const applyWaivers = (errors, schema, path) => {
+    const waivers = Cypress.env('schemaWaivers') || []
+
+    if (!errors || waivers.length === 0) {
+        return { errors, waived: [], expired: [] }
+    }
+
+    const operation = isSpecificationDoc(schema) && path != null ? path : {}
+    const today = new Date().toISOString().slice(0, 10)
+
+    const remaining = []
+    const waived = []
+    const expired = []
+
+    errors.forEach(error => {
+        // A waiver that has not expired takes precedence over an expired one
+        const matching = waivers.filter(waiver => _matchesOperation(waiver, operation) && _matchesError(waiver, error))
+        const waiver = matching.find(waiver => waiver.expires >= today) || matching[0]
+
+        if (!waiver) {
+            remaining.push(error)
+            return
+        }
+
+        if (waiver.id != null) {
+            matchedWaivers[waiver.id] = (matchedWaivers[waiver.id] || 0) + 1
+        }
+
+        if (waiver.expires < today) {
+            remaining.push(error)
+            expired.push({ error, waiver })
+        } else {
+            waived.push({ error, waiver })
+        }
+    })
+
+    return { errors: remaining.length > 0 ? remaining : null, waived, expired }
+}
+
+
+// ------------------------------------
+// PRIVATE FUNCTIONS
+// ------------------------------------
+
+/**
+ * Checks if a waiver applies to the operation validated. The properties of the waiver not provided match any operation.
+ * @private
+ *
+ * @param {object} waiver - The waiver.
+ * @param {object} operation - The path object to the operation validated (empty for plain JSON schemas).
+ *
+ * @returns {boolean} - `true` if the waiver applies to the operation.
+ */
+const _matchesOperation = (waiver, { endpoint, method = 'GET', status = 200 }) => {
+    return (waiver.endpoint == null || waiver.endpoint === endpoint) &&
+        (waiver.method == null || waiver.method.toUpperCase() === method.toUpperCase()) &&
+        (waiver.status == null || String(waiver.status) === String(status))
+}
+
+/**
+ * Checks if a waiver matches a schema error, by its path in the data (including the property missing or undocumented) and keyword.
+ * @private
+ *
+ * @param {object} waiver - The waiver.
+ * @param {object} error - The schema error.
+ *
+ * @returns {boolean} - `true` if the waiver matches the error.
+ */
+const _matchesError = (waiver, error) => {
+    if (waiver.keyword != null && waiver.keyword !== error.keyword) {
+        return false
+    }
+    if (waiver.instancePath == null) {
+        return true
+    }
+
+    const errorSegments = error.instancePath.split('/').slice(1)
+    const property = error.params && (error.params.missingProperty || error.params.undocumentedProperty)
+    if (property) {
+        errorSegments.push(property)
+    }
+
+    const waiverSegments = waiver.instancePath.split('/').slice(1)
+
+    return waiverSegments.length === errorSegments.length &&
+        waiverSegments.every((segment, i) => segment === '*' || segment === errorSegments[i])
+}
+
+
+// ------------------------------------
+// GLOBAL HOOKS
+// ------------------------------------
+
+after(() => {
+    // Only the waivers loaded by the Node plugin from the waivers file are tracked (Cypress environment variable "schemaWaiversFile")
+    if (!Cypress.env('schemaWaiversFile')) {
+        return
+    }
+
+    // Send the waivers matched in the spec file (even if none) to the Node plugin, that writes the waivers report
+    const matched = matchedWaivers
+    matchedWaivers = {}
+
+    cy.task('schemaValidator:recordWaivers', { spec: Cypress.spec.relative, matched }, { log: false })
+})